@@ -3,8 +3,16 @@ import { createAppEventEmitter, APP_EVENTS } from './utils/EventEmitter.js';
 import { ErrorHandler } from './utils/ErrorHandler.js';
 import { AppInitializer } from './core/AppInitializer.js';
 import { PhotoRenderer } from './modules/PhotoRenderer.js';
+import { PhotoPagination } from './modules/PhotoPagination.js';
 import { PhotoModal } from './modules/PhotoModal.js';
 import { FeedbackDialog } from './modules/FeedbackDialog.js';
+import { TimeSlider } from './modules/TimeSlider.js';
+import { UrlRouter } from './modules/UrlRouter.js';
+import { ModerationPanel } from './modules/ModerationPanel.js';
+import { PhotoUploader } from './modules/PhotoUploader.js';
+import { LoginDialog } from './modules/LoginDialog.js';
+import { AreaEditor } from './modules/AreaEditor.js';
+import { OfflineManager } from './modules/OfflineManager.js';
 
 /**
  * 🎯 リファクタリング済みメインアプリケーションクラス
@@ -24,11 +32,20 @@ class PhotoMapApp {
         this.managers = {};
         this.analytics = null;
         this.progressManager = null;
+        this.mapMode = APP_CONFIG.MAP_MODE.DEFAULT; // 'area' | 'photos'
         
         // UI専門クラス
         this.photoRenderer = null;
+        this.photoPagination = null;
         this.photoModal = null;
         this.feedbackDialog = null;
+        this.timeSlider = null;
+        this.router = null;
+        this.moderationPanel = null;
+        this.photoUploader = null;
+        this.loginDialog = null;
+        this.areaEditor = null;
+        this.offlineManager = null;
         
         console.log('🎯 EventBus created, starting clean initialization...');
         this.init();
@@ -50,6 +67,21 @@ class PhotoMapApp {
             // イベントハンドリングを設定
             this.setupEventHandlers();
             
+            // ログイン中のロールに応じて投稿・審査のボタンを表示
+            this.applyRoleControls();
+            
+            // 前回の地図モードを復元
+            this.setMapMode(this.loadMapMode(), { persist: false });
+            
+            // 共有URLの状態（エリア・写真・表示モード・地図位置）を復元
+            // 写真が分割されていて、URLの写真がまだ読み込まれていない場合は先にすべて読み込む
+            const route = UrlRouter.parse();
+            if (route.photoId && !this.managers.dataManager.getPhotos().some(p => p.id === route.photoId)) {
+                await this.loadPhotoShards(dataManager => dataManager.loadAllShards(this.getShardLoadOptions()));
+            }
+            this.restoreRoute(route);
+            this.router.start();
+            
             console.log('✨ Clean PhotoMapApp initialization completed');
             
         } catch (error) {
@@ -64,15 +96,52 @@ class PhotoMapApp {
     initializeUIModules() {
         // 写真レンダリング専門クラス
         this.photoRenderer = new PhotoRenderer(this.eventBus, this.analytics);
+        this.photoRenderer.init();
+        
+        // 写真一覧のページ送り
+        this.photoPagination = new PhotoPagination(this.photoRenderer, this.eventBus, this.analytics);
+        this.photoPagination.init();
         
         // 写真モーダル専門クラス  
-        this.photoModal = new PhotoModal(this.analytics);
+        this.photoModal = new PhotoModal(this.analytics, this.eventBus, this.managers.dataManager);
+        
+        // URLと表示状態の同期
+        this.router = new UrlRouter(this.eventBus);
         
         // 感想収集ダイアログ
         this.feedbackDialog = new FeedbackDialog(this.analytics);
         // 実際のGoogleフォームURLに置き換えてください
         this.feedbackDialog.setGoogleFormUrl('https://forms.gle/YOUR_ACTUAL_FORM_ID');
         
+        // 撮影月のタイムスライダー
+        this.timeSlider = new TimeSlider(this.managers.dataManager, this.analytics);
+        this.timeSlider.init();
+        
+        // 投稿写真の審査（スタッフ用）
+        this.moderationPanel = new ModerationPanel(this.managers.dataManager, this.analytics);
+        this.moderationPanel.init(false);
+        
+        // スタッフログイン
+        this.loginDialog = new LoginDialog(this.managers.authManager, this.analytics);
+        this.loginDialog.init();
+        
+        // エリアの編集（管理者用）
+        this.areaEditor = new AreaEditor(this.managers.mapManager.getMap(), this.managers.dataManager, this.analytics);
+        this.areaEditor.init(false);
+        
+        // オフライン対応（Service Worker の登録・通信状態の表示・地図と写真の保存）
+        this.offlineManager = new OfflineManager(this.managers.dataManager, this.eventBus, this.analytics, {
+            onStatus: (message) => this.managers.uiManager?.showToast(message)
+        });
+        this.offlineManager.init();
+        
+        // 写真追加フォームの画像ファイル選択
+        this.photoUploader = new PhotoUploader({
+            onError: (message) => this.managers.uiManager?.showAddPhotoError(message),
+            onMetadata: (exif) => this.applyPhotoMetadata(exif)
+        });
+        this.photoUploader.init();
+        
         console.log('🎨 UI modules initialized');
     }
 
@@ -83,6 +152,12 @@ class PhotoMapApp {
         // データ関連イベント
         this.setupDataEvents();
         
+        // ログイン・ログアウト
+        this.setupAuthEvents();
+        
+        // URL同期イベント（エリア選択時の履歴追加を一覧の再描画より先に行う）
+        this.setupRouteEvents();
+        
         // 地図関連イベント
         this.setupMapEvents();
         
@@ -116,6 +191,161 @@ class PhotoMapApp {
         this.eventBus.on(APP_EVENTS.DATA_ERROR, (eventData) => {
             console.error('📊 Data loading failed:', eventData.data);
         });
+
+        // 検索・絞り込み条件の変更 → マーカー・パネル・コントロールを同期
+        this.eventBus.on(APP_EVENTS.QUERY_CHANGED, (eventData) => {
+            const query = eventData.data;
+            this.analytics?.trackUserAction('photo_query_change', 'ui', query.toJSON());
+
+            this.managers.uiManager?.updateQueryControls(query);
+            this.timeSlider?.syncWithQuery(query);
+            this.refreshPhotoViews({ resetPage: true });
+            
+            // 検索・絞り込みはすべての写真が対象のため、分割ファイルを残らず読み込む
+            if (query.isFiltering()) {
+                this.loadPhotoShards(dataManager => dataManager.loadAllShards(this.getShardLoadOptions()));
+            }
+        });
+
+        // 写真の追加・更新・削除（保存済み・分割ファイルから読み込んだ写真）、掲載同意による表示範囲の変更
+        [
+            APP_EVENTS.PHOTO_CREATED,
+            APP_EVENTS.PHOTO_UPDATED,
+            APP_EVENTS.PHOTO_DELETED,
+            APP_EVENTS.PHOTO_VISIBILITY_CHANGED,
+            APP_EVENTS.PHOTOS_ADDED
+        ].forEach(eventType => {
+            this.eventBus.on(eventType, () => {
+                this.timeSlider?.refreshMonths();
+                this.refreshPhotoViews();
+                this.moderationPanel?.refresh();
+            });
+        });
+
+        // エリアの追加・更新・削除 → 選択中のエリアを最新の内容に差し替えて地図とパネルを更新
+        [
+            APP_EVENTS.AREA_CREATED,
+            APP_EVENTS.AREA_UPDATED,
+            APP_EVENTS.AREA_DELETED
+        ].forEach(eventType => {
+            this.eventBus.on(eventType, () => {
+                this.syncSelectedArea();
+                this.refreshPhotoViews();
+            });
+        });
+
+        // 更新の確認で届いた写真・エリアの差分（まとめて1回だけ更新する）
+        this.eventBus.on(APP_EVENTS.DATA_REFRESHED, (eventData) => {
+            const { photos, areas } = eventData.data;
+            if (areas) {
+                this.syncSelectedArea();
+            }
+            this.refreshPhotoViews();
+            if (photos) {
+                this.timeSlider?.refreshMonths();
+                this.moderationPanel?.refresh();
+            }
+        });
+    }
+
+    /**
+     * 選択中のエリアを最新の内容に差し替える（削除された場合はパネルを閉じる）
+     */
+    syncSelectedArea() {
+        const { uiManager, dataManager } = this.managers;
+        const selectedArea = uiManager?.selectedArea;
+        if (!selectedArea || selectedArea.isCluster) return;
+
+        const area = dataManager.getArea(selectedArea.id);
+        if (area) {
+            uiManager.selectedArea = area;
+        } else {
+            uiManager.hideAreaInfo();
+        }
+    }
+
+    /**
+     * ログイン・ログアウト → ボタンの表示と閲覧できる写真を更新
+     */
+    setupAuthEvents() {
+        this.eventBus.on(APP_EVENTS.AUTH_CHANGED, async (eventData) => {
+            const user = eventData.data;
+            const { authManager, dataManager, uiManager } = this.managers;
+
+            this.applyRoleControls();
+            uiManager?.showToast(user ?
+                `${user.username}（${authManager.getRoleLabel()}）でログインしました` :
+                'ログアウトしました');
+
+            // APIはロールで返す写真が変わるため読み込み直す（地図・一覧は変更の通知で更新）
+            try {
+                await dataManager.setViewerAccessLevel(authManager.getAccessLevel(), { reload: true });
+            } catch (error) {
+                await ErrorHandler.handle(error, 'PhotoMapApp.setupAuthEvents', {
+                    level: ErrorHandler.ERROR_LEVELS.WARNING,
+                    category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                    showToUser: true,
+                    component: 'PhotoMapApp'
+                });
+            }
+        });
+    }
+
+    /**
+     * 🔑 ロールに応じて投稿・審査・編集・エリア管理のボタンとログインボタンを更新
+     * 書き込みは保存先（APIサーバー）がある場合のみ
+     */
+    applyRoleControls() {
+        const { authManager, dataManager, uiManager } = this.managers;
+        const can = (permission) => dataManager.canWrite() && authManager.can(permission);
+
+        uiManager?.updateRoleControls(can);
+        uiManager?.updateLoginButton({
+            available: authManager.isAvailable(),
+            user: authManager.user,
+            roleLabel: authManager.getRoleLabel()
+        });
+        this.moderationPanel?.setEnabled(can('moderatePhoto'));
+        this.areaEditor?.setEnabled(can('manageAreas'));
+    }
+
+    /**
+     * 写真の絞り込み結果や内容が変わったときに、地図とエリアパネルを更新
+     * @param {Object} options - { resetPage: エリアパネルを1ページ目に戻すか }
+     */
+    refreshPhotoViews({ resetPage = false } = {}) {
+        this.managers.markerManager?.refreshAreaMarkers();
+        this.managers.photoPinManager?.refresh();
+        this.managers.mapManager?.updateHeatmapData(this.managers.dataManager.queryPhotos());
+
+        const selectedArea = this.managers.uiManager?.selectedArea;
+        if (selectedArea) {
+            if (resetPage) {
+                this.managers.uiManager.currentPage = 1;
+                this.photoRenderer?.reset();
+            }
+            this.managers.uiManager.showAreaInfo(selectedArea);
+        }
+    }
+
+    /**
+     * 📦 写真が分割されている場合に、必要な分割ファイルを読み込む
+     * 読み込んだ写真は PHOTOS_ADDED でマーカー・パネルに反映される
+     * @param {Function} load - (dataManager) => Promise
+     */
+    async loadPhotoShards(load) {
+        const { dataManager } = this.managers;
+        if (!dataManager?.isSharded()) return;
+        await load(dataManager);
+    }
+
+    /**
+     * 分割ファイルの読み込み状況を ProgressManager に表示するオプション
+     */
+    getShardLoadOptions() {
+        return {
+            onProgress: ({ loaded, total }) => this.progressManager?.updateShardProgress(loaded, total)
+        };
     }
 
     /**
@@ -126,6 +356,20 @@ class PhotoMapApp {
             this.managers.markerManager?.handleZoomChange();
         });
 
+        this.eventBus.on(APP_EVENTS.MAP_MOVED, (eventData) => {
+            if (this.mapMode === 'photos') {
+                this.managers.photoPinManager?.render();
+            }
+            this.loadPhotoShards(dataManager =>
+                dataManager.loadShardsInBounds(eventData.data.bounds, this.getShardLoadOptions()));
+        });
+
+        this.eventBus.on(APP_EVENTS.HEATMAP_CHANGED, (eventData) => {
+            const { visible, weighting } = eventData.data;
+            this.managers.uiManager?.updateHeatmapButton(visible);
+            this.analytics?.trackMapInteraction('heatmap_change', { visible, weighting });
+        });
+
         this.eventBus.on(APP_EVENTS.MAP_CLICKED, () => {
             // マーカー選択を解除
             this.managers.markerManager?.deselectAllMarkers();
@@ -134,6 +378,7 @@ class PhotoMapApp {
 
         this.eventBus.on(APP_EVENTS.MAP_LOCATION_SELECTED, (eventData) => {
             this.managers.uiManager?.updateLocationDisplay(eventData.data);
+            this.managers.uiManager?.showAddPhotoModal();
         });
 
         this.eventBus.on(APP_EVENTS.MAP_LOCATION_SELECTION_CANCELLED, () => {
@@ -146,16 +391,25 @@ class PhotoMapApp {
      */
     setupMarkerEvents() {
         this.eventBus.on(APP_EVENTS.MARKER_CLICKED, (eventData) => {
-            const { cluster, marker } = eventData.data;
+            const { cluster } = eventData.data;
             this.analytics?.trackMapInteraction('marker_click', {
                 area_name: cluster.name,
                 photos_count: this.managers.dataManager?.getPhotosInArea(cluster).length
             });
             
-            this.selectArea(cluster, marker);
             this.eventBus.emit(APP_EVENTS.AREA_SELECTED, cluster);
         });
 
+        this.eventBus.on(APP_EVENTS.CLUSTER_EXPANDED, (eventData) => {
+            const { cluster, action, zoom } = eventData.data;
+            this.analytics?.trackMapInteraction('cluster_expand', {
+                area_name: cluster.name,
+                areas_count: cluster.areas.length,
+                action,
+                zoom
+            });
+        });
+
         this.eventBus.on(APP_EVENTS.MARKERS_UPDATED, () => {
             this.managers.markerManager?.refreshAreaMarkers();
         });
@@ -168,7 +422,15 @@ class PhotoMapApp {
         this.eventBus.on(APP_EVENTS.AREA_SELECTED, (eventData) => {
             const data = eventData.data;
             if (data) {
-                this.managers.uiManager?.showAreaInfo(data);
+                // 別のエリアは1ページ目から表示する（URLから復元する場合はURLのページ）
+                const uiManager = this.managers.uiManager;
+                if (uiManager && !this.router?.isRestoring && uiManager.selectedArea?.id !== data.id) {
+                    uiManager.currentPage = 1;
+                    this.photoRenderer?.reset();
+                }
+                uiManager?.showAreaInfo(data);
+                this.photoPagination?.focusPanel();
+                this.loadPhotoShards(dataManager => dataManager.loadShardsForArea(data, this.getShardLoadOptions()));
             } else {
                 this.managers.uiManager?.hideAreaInfo();
                 // エリア選択解除時にマーカーの強調表示も解除
@@ -203,6 +465,111 @@ class PhotoMapApp {
         });
     }
 
+    /**
+     * URL同期イベント
+     * エリア・写真の選択は履歴に積み（戻るで前の状態へ）、地図の移動などは置き換える
+     */
+    setupRouteEvents() {
+        this.eventBus.on(APP_EVENTS.AREA_SELECTED, (eventData) => {
+            const area = eventData.data;
+            if (area) {
+                this.router.update({ areaId: area.id }, { push: true });
+            } else {
+                this.router.update({ areaId: null, page: 1 });
+            }
+        });
+
+        this.eventBus.on(APP_EVENTS.PHOTO_CLICKED, (eventData) => {
+            const photo = eventData.data || eventData;
+            this.router.update({ photoId: photo.id }, { push: true });
+        });
+
+        this.eventBus.on(APP_EVENTS.PHOTO_MODAL_CLOSED, () => {
+            this.router.update({ photoId: null });
+        });
+
+        this.eventBus.on(APP_EVENTS.MAP_MOVED, (eventData) => {
+            const { center, zoom } = eventData.data;
+            this.router.update({ map: { lat: center.lat, lng: center.lng, zoom } });
+        });
+
+        // エリアパネルをスクロールして表示中のページが変わった
+        this.eventBus.on(APP_EVENTS.PHOTOS_PAGE_CHANGED, (eventData) => {
+            if (!this.managers.uiManager?.selectedArea) return;
+            this.managers.uiManager.currentPage = eventData.data.page;
+            this.router.update({ page: eventData.data.page });
+        });
+
+        // 戻る/進む・URLの直接変更
+        this.eventBus.on(APP_EVENTS.ROUTE_CHANGED, (eventData) => {
+            this.restoreRoute(eventData.data);
+        });
+    }
+
+    /**
+     * 🔗 URLの状態を画面に復元
+     * @param {Object} state - UrlRouter.parse() の結果
+     */
+    restoreRoute(state) {
+        const { dataManager, mapManager, markerManager, uiManager } = this.managers;
+        if (!dataManager || !uiManager) return;
+
+        this.router.isRestoring = true;
+        try {
+            if (state.map) {
+                mapManager?.centerMapOnLocation(state.map.lat, state.map.lng, state.map.zoom);
+            }
+
+            const area = state.areaId && dataManager.getAreas().find(a => a.id === state.areaId);
+            if (state.areaId && !area) {
+                console.warn(`⚠️ Area in URL not found: ${state.areaId}`);
+            }
+
+            if (area) {
+                if (this.mapMode !== 'area') {
+                    this.setMapMode('area', { persist: false });
+                }
+
+                // 表示モードとページを先に設定し、パネル表示時の描画に反映させる
+                // （表示中のエリアでページだけが変わった場合も、そのページの先頭から表示し直す）
+                if (state.page !== uiManager.currentPage) {
+                    this.photoRenderer.reset();
+                }
+                uiManager.displayMode = state.mode;
+                uiManager.currentPage = state.page;
+                uiManager.updateDisplayModeButtons(state.mode);
+
+                markerManager?.selectMarker(area);
+                this.eventBus.emit(APP_EVENTS.AREA_SELECTED, area);
+            } else if (uiManager.selectedArea) {
+                this.eventBus.emit(APP_EVENTS.AREA_SELECTED, null);
+            }
+
+            const photo = state.photoId && dataManager.getPhotos().find(p => p.id === state.photoId);
+            if (state.photoId && !photo) {
+                console.warn(`⚠️ Photo in URL not found: ${state.photoId}`);
+            }
+
+            if (photo) {
+                this.photoModal.show(photo);
+            } else if (this.photoModal.isVisible()) {
+                this.photoModal.hide();
+            }
+
+            // 見つからなかったIDなどを取り除いた状態でURLを書き直す
+            this.router.update({
+                areaId: area ? area.id : null,
+                photoId: photo ? photo.id : null,
+                mode: uiManager.displayMode,
+                page: area ? uiManager.currentPage : 1
+            });
+        } finally {
+            this.router.isRestoring = false;
+        }
+
+        console.log('🔗 Route restored:', state);
+    }
+
     /**
      * エラー関連イベント
      */
@@ -222,11 +589,32 @@ class PhotoMapApp {
             this.managers.mapManager?.centerMapOnLocation();
         });
 
+        this.managers.uiManager.addEventListener('toggleHeatmap', () => {
+            this.managers.mapManager?.toggleHeatmap(this.managers.dataManager?.queryPhotos() || []);
+        });
+
+        this.managers.uiManager.addEventListener('toggleMapMode', () => {
+            this.setMapMode(this.mapMode === 'photos' ? 'area' : 'photos');
+        });
+
         this.managers.uiManager.addEventListener('selectLocation', () => {
-            this.managers.uiManager.hideAddPhotoModal();
+            this.managers.uiManager.hideAddPhotoModal({ resetForm: false });
             this.managers.mapManager?.startLocationSelection();
         });
 
+        this.managers.uiManager.addEventListener('isLocationSelectionMode', () => {
+            return !!this.managers.mapManager?.isSelectingLocation;
+        });
+
+        this.managers.uiManager.addEventListener('submitPhoto', () => {
+            this.handlePhotoSubmission();
+        });
+
+        this.managers.uiManager.addEventListener('resetAddPhotoForm', () => {
+            this.photoUploader?.reset();
+            this.managers.mapManager?.clearSelectedLocation();
+        });
+
         this.managers.uiManager.addEventListener('cancelLocationSelection', () => {
             this.managers.mapManager?.cancelLocationSelection();
             this.managers.uiManager.showAddPhotoModal();
@@ -236,6 +624,11 @@ class PhotoMapApp {
             this.refreshPhotoDisplay(mode, page);
         });
 
+        this.managers.uiManager.addEventListener('showPhoto', (photo) => {
+            this.photoModal.show(photo);
+            this.router?.update({ photoId: photo.id });
+        });
+
         // 感想収集ボタンのイベントリスナー
         const feedbackBtn = document.getElementById('feedbackBtn');
         if (feedbackBtn) {
@@ -247,17 +640,167 @@ class PhotoMapApp {
     }
 
     /**
-     * エリア選択処理
+     * 📸 写真追加フォームの内容を保存
      */
-    selectArea(area, marker) {
-        if (!area) {
-            console.warn('⚠️ No area data provided to selectArea');
+    async handlePhotoSubmission() {
+        const { dataManager, mapManager, uiManager } = this.managers;
+        const form = document.getElementById('addPhotoForm');
+        if (!form) return;
+
+        const formData = new FormData(form);
+        const title = formData.get('title')?.trim();
+        const hasFile = this.photoUploader?.hasFile();
+        let imageUrl = formData.get('image_url')?.trim();
+        let thumbnailUrl = imageUrl;
+        const location = mapManager?.selectedLocation;
+
+        if (!title) {
+            uiManager.showAddPhotoError('タイトルを入力してください');
             return;
         }
-        
-        if (area.isCluster) {
-            const zoom = Math.min(this.managers.mapManager.getZoom() + 2, APP_CONFIG.MAP.MAX_ZOOM);
-            this.managers.mapManager.centerMapOnLocation(area.center_lat, area.center_lng, zoom);
+        if (!hasFile && !imageUrl) {
+            uiManager.showAddPhotoError('写真を選択するか、画像URLを入力してください');
+            return;
+        }
+        if (!location) {
+            uiManager.showAddPhotoError('地図で撮影場所を選択してください');
+            return;
+        }
+
+        uiManager.showAddPhotoError(null);
+        uiManager.setPhotoSubmitting(true);
+
+        try {
+            // 選択した画像を縮小して本体とサムネイルを保存
+            if (hasFile) {
+                uiManager.setPhotoSubmitting(true, '画像を処理中...');
+                const { image, thumbnail } = await this.photoUploader.process();
+
+                uiManager.setPhotoSubmitting(true, 'アップロード中...');
+                [imageUrl, thumbnailUrl] = await Promise.all([
+                    dataManager.uploadImage(image, 'image'),
+                    dataManager.uploadImage(thumbnail, 'thumbnail')
+                ]);
+            }
+
+            uiManager.setPhotoSubmitting(true, '保存中...');
+            const photo = await dataManager.createPhoto({
+                title,
+                description: formData.get('description')?.trim() || '',
+                image_url: imageUrl,
+                thumbnail_url: thumbnailUrl,
+                latitude: location.lat,
+                longitude: location.lng,
+                taken_at: this.parseTakenAt(formData.get('taken_at')),
+                location: formData.get('location')?.trim() || '太子町',
+                tags: (formData.get('tags') || '').split(/[,、]/).map(tag => tag.trim()).filter(Boolean),
+                consent: {
+                    level: formData.get('consent_level') || APP_CONFIG.CONSENT.DEFAULT_LEVEL,
+                    expires_at: formData.get('consent_expires_at') || null,
+                    form_ref: formData.get('consent_form_ref')?.trim() || null
+                }
+            });
+
+            uiManager.hideAddPhotoModal();
+            uiManager.showToast('写真を受け付けました。スタッフの確認後に地図へ掲載されます。');
+            this.eventBus.emit(APP_EVENTS.PHOTO_SUBMITTED, photo);
+            this.analytics?.trackPhotoInteraction('submit', {
+                photo_title: photo.title,
+                photo_location: photo.location
+            });
+        } catch (error) {
+            await ErrorHandler.handle(error, 'PhotoMapApp.handlePhotoSubmission', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                component: 'PhotoMapApp'
+            });
+            uiManager.showAddPhotoError(`保存できませんでした: ${error.message}`);
+        } finally {
+            uiManager.setPhotoSubmitting(false);
+        }
+    }
+
+    /**
+     * 📷 写真の撮影情報（EXIF）から撮影日時と撮影場所を自動入力
+     * 手動で選んだ撮影場所は上書きしない（どちらも後から修正できる）
+     */
+    applyPhotoMetadata(exif) {
+        const { mapManager, uiManager } = this.managers;
+
+        if (exif.takenAt) {
+            uiManager.setTakenAt(exif.takenAt);
+        }
+
+        const currentSource = mapManager.selectedLocation?.source;
+        if (exif.latitude !== null && (!currentSource || currentSource === 'exif')) {
+            mapManager.setSelectedLocation(exif.latitude, exif.longitude, { source: 'exif', center: true });
+        }
+    }
+
+    /**
+     * 撮影日時の入力値をISO形式に変換（空欄なら現在時刻）
+     * 写真の撮影情報にタイムゾーンがあれば、入力値をその時刻として扱う
+     */
+    parseTakenAt(value) {
+        if (!value) return new Date().toISOString();
+
+        const offset = this.photoUploader?.metadata?.offset || '';
+        const withSeconds = value.length === 16 ? `${value}:00` : value; // 'YYYY-MM-DDTHH:MM'
+        const date = new Date(`${withSeconds}${offset}`);
+        return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    /**
+     * 🗺️ 地図モードを切り替える
+     * @param {string} mode - 'area'（エリアマーカー） | 'photos'（写真ピン）
+     * @param {Object} options - { persist: 選択を保存するか }
+     */
+    setMapMode(mode, { persist = true } = {}) {
+        const nextMode = mode === 'photos' ? 'photos' : 'area';
+        const { markerManager, photoPinManager, uiManager } = this.managers;
+
+        this.mapMode = nextMode;
+        markerManager?.setVisible(nextMode === 'area');
+
+        if (nextMode === 'photos') {
+            // 写真ピン表示中はエリアの選択とパネルを閉じる
+            this.eventBus.emit(APP_EVENTS.AREA_SELECTED, null);
+            photoPinManager?.show();
+        } else {
+            photoPinManager?.hide();
+        }
+
+        uiManager?.updateMapModeButton(nextMode);
+
+        if (persist) {
+            this.saveMapMode(nextMode);
+            this.analytics?.trackMapInteraction('mode_change', { mode: nextMode });
+        }
+
+        this.eventBus.emit(APP_EVENTS.MAP_MODE_CHANGED, nextMode);
+        console.log(`🗺️ Map mode: ${nextMode}`);
+    }
+
+    /**
+     * 保存された地図モードを読み込む
+     */
+    loadMapMode() {
+        try {
+            return localStorage.getItem(APP_CONFIG.MAP_MODE.STORAGE_KEY) || APP_CONFIG.MAP_MODE.DEFAULT;
+        } catch (error) {
+            console.warn('⚠️ Failed to load map mode:', error);
+            return APP_CONFIG.MAP_MODE.DEFAULT;
+        }
+    }
+
+    /**
+     * 地図モードを保存
+     */
+    saveMapMode(mode) {
+        try {
+            localStorage.setItem(APP_CONFIG.MAP_MODE.STORAGE_KEY, mode);
+        } catch (error) {
+            console.warn('⚠️ Failed to save map mode:', error);
         }
     }
 
@@ -272,12 +815,17 @@ class PhotoMapApp {
             return;
         }
 
-        const photosInArea = this.managers.dataManager.getPhotosInArea(this.managers.uiManager.selectedArea);
+        const dataManager = this.managers.dataManager;
+        const photosInArea = dataManager.getFilteredPhotosInArea(this.managers.uiManager.selectedArea);
         console.log(`🔍 Found ${photosInArea.length} photos in area after filtering`);
         
         // PhotoRendererクラスに委譲
         this.photoRenderer.updateDisplayMode(mode, page);
-        this.photoRenderer.renderPhotos(photosInArea, mode, page);
+        this.photoRenderer.renderPhotos(photosInArea, mode, page, dataManager.getQuery(), {
+            key: this.managers.uiManager.selectedArea.id
+        });
+        // 描画で表示中のページが変わることがある（表示モードの切り替えなど。PHOTOS_PAGE_CHANGED）
+        this.router?.update({ mode, page: this.managers.uiManager.currentPage });
     }
 
     /**
@@ -6,8 +6,56 @@ export const APP_CONFIG = {
         ZOOM: 14,  // デフォルトズームを上げる
         MAX_ZOOM: 18,
         MIN_ZOOM: 10,
-        CLUSTER_DISTANCE_KM: 2.0,
-        CLUSTER_ZOOM_THRESHOLD: 12  // クラスター閾値を下げる（12以下でクラスタリング）
+        // サブドメインなしのURL（オフライン用キャッシュのキーを1つに揃える。sw.js の TILE_HOST と同じ）
+        TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        TILE_ATTRIBUTION: '© OpenStreetMap contributors',
+        CLUSTER_RADIUS_PX: 60,      // 画面上でこの距離（ピクセル）以内のマーカーをまとめる
+        CLUSTER_MAX_ZOOM: 18,       // このズームまでクラスタリングする（MIN_ZOOM〜この値を事前計算）
+        CLUSTER_ANIMATION_MS: 300,  // クラスターの分割・統合アニメーション時間
+        CLUSTER_FIT_PADDING_PX: 50  // クラスタークリック時に範囲へズームする際の余白
+    },
+    
+    // Map display mode ('area': エリアマーカー, 'photos': 写真ピン)
+    MAP_MODE: {
+        DEFAULT: 'area',
+        STORAGE_KEY: 'taishi_map_mode'
+    },
+    
+    // Photo pin (photo mode) configuration
+    PHOTO_PIN: {
+        SIZE: 44,
+        CLUSTER_SIZE: 52,
+        CLUSTER_RADIUS_PX: 50,     // この距離（ピクセル）以内の写真ピンをまとめる
+        VIEWPORT_PADDING: 0.2,     // 表示範囲の外側に余分に描画する割合
+        CLUSTER_POPUP_MAX_PHOTOS: 12
+    },
+    
+    // Heatmap overlay configuration
+    HEATMAP: {
+        DEFAULT_WEIGHTING: 'count', // 'count': 写真の枚数 | 'views': 閲覧数
+        RADIUS_PX: 28,
+        BLUR_PX: 22,
+        MIN_OPACITY: 0.08,
+        OPACITY: 0.75,
+        GRADIENT: {
+            0.2: '#2c7bb6',
+            0.4: '#00a6ca',
+            0.6: '#90eb9d',
+            0.8: '#f9d057',
+            1.0: '#d7191c'
+        }
+    },
+    
+    // Spiderfy (fan out clustered markers that cannot be split by zooming)
+    SPIDERFY: {
+        SPIRAL_THRESHOLD: 9,    // この数以上は円ではなくらせん状に配置
+        CIRCLE_SPACING_PX: 44,  // 円周上のマーカー間隔
+        SPIRAL_SPACING_PX: 34,  // らせん上のマーカー間隔
+        SPIRAL_GROWTH_PX: 5,    // らせんの1周ごとの広がり
+        CLUSTER_OPACITY: 0.35,  // 展開中の元クラスターマーカーの不透明度
+        LEG_COLOR: '#007AFF',
+        LEG_WEIGHT: 1.5,
+        LEG_OPACITY: 0.6
     },
     
     // UI configuration
@@ -18,6 +66,20 @@ export const APP_CONFIG = {
         LOADING_DELAY_MS: 100
     },
     
+    // Photo query configuration (search / filter / sort)
+    QUERY: {
+        DEFAULT_SORT_BY: 'taken_at', // 'taken_at' | 'view_count' | 'title'
+        DEFAULT_SORT_ORDER: 'desc',  // 'asc' | 'desc'
+        SEARCH_DEBOUNCE_MS: 250,
+        MAX_TAG_CHIPS: 12
+    },
+    
+    // Time slider (filter by month / autoplay)
+    TIME_SLIDER: {
+        PLAY_INTERVAL_MS: 1200,  // 自動再生で1か月進める間隔
+        INPUT_DEBOUNCE_MS: 150   // スライダー操作から絞り込みまでの待ち時間
+    },
+    
     // Marker configuration
     MARKER: {
         DEFAULT_SIZE: 30,
@@ -29,10 +91,145 @@ export const APP_CONFIG = {
         STROKE_COLOR: 'white'
     },
     
+    // Photo → area assignment configuration
+    AREA_ASSIGNMENT: {
+        // 複数エリアに含まれる写真の割り当て方法
+        // 'nearest': 中心が最も近いエリア（同距離ならpriorityの小さいエリア）
+        // 'priority': priorityの小さいエリア（同じならより近いエリア）
+        STRATEGY: 'nearest'
+    },
+    
+    // Spatial index (grid) configuration
+    SPATIAL_INDEX: {
+        CELL_SIZE_DEG: 0.005 // 約550m四方のセル
+    },
+    
+    // Area boundary (selected area outline) configuration
+    AREA_BOUNDARY: {
+        WEIGHT: 2,
+        OPACITY: 0.9,
+        FILL_OPACITY: 0.12,
+        DASH_ARRAY: '6 4',
+        DEFAULT_COLOR: '#FF6B35'
+    },
+    
+    // Area editor (admin) configuration
+    AREA_EDITOR: {
+        DEFAULT_RADIUS: 0.5,  // km（新しいエリアの半径）
+        MIN_RADIUS: 0.05,     // km
+        MAX_RADIUS: 10,       // km
+        DEFAULT_COLOR: '#4CAF50',
+        MIN_POLYGON_POINTS: 3
+    },
+    
     // Data file paths
     DATA: {
         PHOTOS_FILE: '/data/photos.json',
-        AREAS_FILE: '/data/areas.json'
+        AREAS_FILE: '/data/areas.json',
+        // 写真の分割ファイルの一覧（node server/shards.mjs で生成。なければ PHOTOS_FILE をまとめて読み込む）
+        PHOTO_MANIFEST_FILE: '/data/photos/manifest.json'
+    },
+    
+    // 📦 写真の分割ファイルの読み込み（地図の表示範囲・選んだエリアに必要なものだけ）
+    PHOTO_SHARDS: {
+        CONCURRENCY: 3,          // 同時に読み込むファイル数
+        VIEWPORT_PADDING: 0.25   // 表示範囲の周囲（高さ・幅の割合）も先に読み込む
+    },
+    
+    // 💾 読み込んだデータファイルの保存（IndexedDB。次回の起動時にすぐ表示し、裏で更新を確認する）
+    PERSISTENT_CACHE: {
+        DB_NAME: 'taishi-photo-map',
+        DB_VERSION: 1,
+        STORE_NAME: 'dataFiles'
+    },
+    
+    // Photo storage (persistence of submitted / edited photos)
+    STORAGE: {
+        // 'auto': APIサーバー（server/server.mjs）が応答すればREST、なければ静的ファイル（読み込みのみ）
+        // 'rest': 常にREST | 'static': 常に静的ファイル
+        ADAPTER: 'auto',
+        API_BASE: 'api', // ページからの相対パス
+        REQUEST_TIMEOUT_MS: 8000
+    },
+    
+    // 📴 オフライン対応（Service Worker: sw.js）
+    OFFLINE: {
+        SERVICE_WORKER: 'sw.js',     // ページからの相対パス（登録範囲はアプリのディレクトリ）
+        // 端末に保存する地図の範囲（太子町全域）とズーム
+        BOUNDS: { south: 34.80, west: 134.54, north: 34.88, east: 134.63 },
+        TILE_MIN_ZOOM: 12,
+        // OpenStreetMapのタイルサーバーは一括取得を想定していないため、ズーム16までに抑える
+        // （より詳細な地図を保存する場合は、一括取得が許可されたタイル配信元に MAP.TILE_URL を切り替える）
+        TILE_MAX_ZOOM: 16,
+        CONCURRENCY: 4,              // データ・写真のサムネイル（アプリの配信元）の同時取得数
+        // 地図タイルの同時取得数（OpenStreetMapのタイル利用ポリシーでは一括取得は2接続まで）
+        TILE_CONCURRENCY: 2,
+        AVERAGE_TILE_KB: 25,         // 保存前の確認に表示する容量の目安
+        // キャッシュ名（sw.js の CACHE_NAMES と同じ）
+        CACHES: {
+            DATA: 'taishi-data',
+            IMAGES: 'taishi-images',
+            TILES: 'taishi-tiles'
+        }
+    },
+
+    // Photo file upload (client-side resize / thumbnail)
+    UPLOAD: {
+        ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+        MAX_FILE_BYTES: 20 * 1024 * 1024,           // 選択できる元ファイルの上限
+        IMAGE_WIDTH: 800,                            // 本体（photos.json の image_url と同じ 800x600）
+        IMAGE_HEIGHT: 600,
+        THUMBNAIL_SIZE: 200,                         // サムネイル（200x200）
+        OUTPUT_TYPES: ['image/webp', 'image/jpeg'],  // 対応していればWebP、なければJPEG
+        IMAGE_QUALITY: 0.85,
+        THUMBNAIL_QUALITY: 0.8
+    },
+    
+    // Moderation of submitted photos
+    MODERATION: {
+        STATUSES: ['pending', 'approved', 'rejected'],
+        DEFAULT_STATUS: 'approved',  // status のない既存データ（掲載済み）の扱い
+        PUBLIC_STATUS: 'approved'    // 公開地図に表示する状態
+    },
+
+    // 🔑 ログインとロール（server/auth.mjs と同じ定義）
+    AUTH: {
+        ROLES: ['viewer', 'contributor', 'moderator', 'admin'],  // 権限の弱い順
+        DEFAULT_ROLE: 'viewer',      // ログインしていない閲覧者
+        ROLE_LABELS: {
+            viewer: '閲覧者',
+            contributor: '投稿者',
+            moderator: '審査担当',
+            admin: '管理者'
+        },
+        // 操作ごとに必要なロール（画面のボタン表示とAPIの権限確認で同じ）
+        PERMISSIONS: {
+            submitPhoto: 'contributor',
+            moderatePhoto: 'moderator',
+            editPhoto: 'moderator',
+            deletePhoto: 'moderator',
+            manageAreas: 'admin'
+        },
+        // ロールごとに閲覧できる掲載同意の公開範囲
+        ACCESS_LEVELS: {
+            viewer: 'public',
+            contributor: 'members_only',
+            moderator: 'internal',
+            admin: 'internal'
+        },
+        TOKEN_STORAGE_KEY: 'taishi_auth_token'  // sessionStorage（タブを閉じるとログアウト）
+    },
+
+    // 📝 保護者の掲載同意（写真ごとの consent）
+    CONSENT: {
+        LEVELS: ['public', 'members_only', 'internal'],  // 公開範囲の広い順
+        DEFAULT_LEVEL: 'public',     // consent のない既存データの扱い
+        VIEWER_LEVEL: 'public',      // 閲覧者の既定のアクセスレベル
+        LABELS: {
+            public: '一般公開',
+            members_only: '関係者限定',
+            internal: '内部限定'
+        }
     },
     
     // Error messages
@@ -0,0 +1,244 @@
+// このファイルは data/areas.json から node server/embedded.mjs で生成しています。直接編集しないでください
+// エリアデータを読み込めない場合に DataManager.loadEmbeddedData() が使います
+export const EMBEDDED_AREAS = [
+    {
+        "id": "area_001",
+        "name": "太子アグリパーク",
+        "description": "農業体験と自然学習ができる公園エリア",
+        "center_lat": 34.8515,
+        "center_lng": 134.6021,
+        "radius": 0.8,
+        "color": "#32CD32",
+        "category": "公園",
+        "is_active": true,
+        "priority": 1
+    },
+    {
+        "id": "area_002",
+        "name": "太子中央公園",
+        "description": "町の中心部にある大型公園",
+        "center_lat": 34.843,
+        "center_lng": 134.5972,
+        "radius": 0.6,
+        "color": "#4CAF50",
+        "category": "市民公園",
+        "is_active": true,
+        "priority": 2
+    },
+    {
+        "id": "area_003",
+        "name": "太子山公園",
+        "description": "山間部の自然公園エリア",
+        "center_lat": 34.865,
+        "center_lng": 134.585,
+        "radius": 1.2,
+        "color": "#8BC34A",
+        "category": "山岳",
+        "is_active": true,
+        "priority": 3
+    },
+    {
+        "id": "area_004",
+        "name": "太子東部住宅地",
+        "description": "住宅地エリアと生活施設",
+        "center_lat": 34.838,
+        "center_lng": 134.61,
+        "radius": 1,
+        "color": "#FF9800",
+        "category": "住宅地",
+        "is_active": true,
+        "priority": 4
+    },
+    {
+        "id": "area_005",
+        "name": "太子西部田園地帯",
+        "description": "田園風景と農業地帯",
+        "center_lat": 34.847,
+        "center_lng": 134.57,
+        "radius": 1.5,
+        "color": "#FFC107",
+        "category": "田園",
+        "is_active": true,
+        "priority": 5
+    },
+    {
+        "id": "area_006",
+        "name": "太子川河川公園",
+        "description": "河川沿いの自然公園エリア",
+        "center_lat": 34.83,
+        "center_lng": 134.59,
+        "radius": 0.9,
+        "color": "#2196F3",
+        "category": "河川",
+        "is_active": true,
+        "priority": 6
+    },
+    {
+        "id": "area_007",
+        "name": "太子町役場周辺",
+        "description": "行政施設と商業エリア",
+        "center_lat": 34.8445,
+        "center_lng": 134.5985,
+        "radius": 0.7,
+        "color": "#9C27B0",
+        "category": "行政",
+        "is_active": true,
+        "priority": 7
+    },
+    {
+        "id": "area_008",
+        "name": "太子駅前商店街",
+        "description": "JR太子駅周辺の商業地域",
+        "center_lat": 34.8425,
+        "center_lng": 134.6005,
+        "radius": 0.5,
+        "color": "#E91E63",
+        "category": "商業",
+        "is_active": true,
+        "priority": 8
+    },
+    {
+        "id": "area_009",
+        "name": "太子南部工業団地",
+        "description": "工業施設と物流拠点",
+        "center_lat": 34.825,
+        "center_lng": 134.605,
+        "radius": 1.1,
+        "color": "#607D8B",
+        "category": "工業",
+        "is_active": true,
+        "priority": 9
+    },
+    {
+        "id": "area_010",
+        "name": "太子北部山林地帯",
+        "description": "自然豊かな山林エリア",
+        "center_lat": 34.87,
+        "center_lng": 134.59,
+        "radius": 2,
+        "color": "#4CAF50",
+        "category": "山林",
+        "is_active": true,
+        "priority": 10
+    },
+    {
+        "id": "area_011",
+        "name": "太子文化センター周辺",
+        "description": "文化・教育施設エリア",
+        "center_lat": 34.8405,
+        "center_lng": 134.594,
+        "radius": 0.6,
+        "color": "#3F51B5",
+        "category": "文化",
+        "is_active": true,
+        "priority": 11
+    },
+    {
+        "id": "area_012",
+        "name": "太子スポーツ公園",
+        "description": "体育館とグラウンドのスポーツ施設",
+        "center_lat": 34.848,
+        "center_lng": 134.603,
+        "radius": 0.8,
+        "color": "#FF5722",
+        "category": "スポーツ",
+        "is_active": true,
+        "priority": 12
+    },
+    {
+        "id": "area_013",
+        "name": "太子歴史公園",
+        "description": "古墳群と歴史遺跡エリア",
+        "center_lat": 34.855,
+        "center_lng": 134.575,
+        "radius": 1,
+        "color": "#795548",
+        "category": "歴史",
+        "is_active": true,
+        "priority": 13
+    },
+    {
+        "id": "area_014",
+        "name": "太子東小学校区",
+        "description": "学校と住宅地の混在エリア",
+        "center_lat": 34.835,
+        "center_lng": 134.615,
+        "radius": 0.9,
+        "color": "#FFEB3B",
+        "category": "教育",
+        "is_active": true,
+        "priority": 14
+    },
+    {
+        "id": "area_015",
+        "name": "太子西小学校区",
+        "description": "西部の教育・住宅エリア",
+        "center_lat": 34.841,
+        "center_lng": 134.575,
+        "radius": 0.9,
+        "color": "#CDDC39",
+        "category": "教育",
+        "is_active": true,
+        "priority": 15
+    },
+    {
+        "id": "area_016",
+        "name": "太子医療福祉区域",
+        "description": "病院と福祉施設エリア",
+        "center_lat": 34.8465,
+        "center_lng": 134.591,
+        "radius": 0.7,
+        "color": "#00BCD4",
+        "category": "医療",
+        "is_active": true,
+        "priority": 16
+    },
+    {
+        "id": "area_017",
+        "name": "太子温泉郷",
+        "description": "温泉施設とレクリエーションエリア",
+        "center_lat": 34.862,
+        "center_lng": 134.605,
+        "radius": 1.3,
+        "color": "#FF6EC7",
+        "category": "観光",
+        "is_active": true,
+        "priority": 17
+    },
+    {
+        "id": "area_018",
+        "name": "太子新興住宅地",
+        "description": "新しく開発された住宅団地",
+        "center_lat": 34.828,
+        "center_lng": 134.585,
+        "radius": 1,
+        "color": "#FFC658",
+        "category": "住宅地",
+        "is_active": true,
+        "priority": 18
+    },
+    {
+        "id": "area_019",
+        "name": "太子里山保全区域",
+        "description": "自然保護と里山体験エリア",
+        "center_lat": 34.873,
+        "center_lng": 134.575,
+        "radius": 1.8,
+        "color": "#81C784",
+        "category": "自然保護",
+        "is_active": true,
+        "priority": 19
+    },
+    {
+        "id": "area_020",
+        "name": "太子物流センター",
+        "description": "流通・物流の拠点エリア",
+        "center_lat": 34.82,
+        "center_lng": 134.595,
+        "radius": 1.2,
+        "color": "#9E9E9E",
+        "category": "物流",
+        "is_active": true,
+        "priority": 20
+    }
+];
@@ -1,9 +1,13 @@
 import { APP_CONFIG } from '../config/constants.js';
 import { DataManager } from '../modules/DataManager.js';
+import { AuthManager } from '../modules/AuthManager.js';
 import { MapManager } from '../modules/MapManager.js';
 import { MarkerManager } from '../modules/MarkerManager.js';
+import { PhotoPinManager } from '../modules/PhotoPinManager.js';
 import { UIManager } from '../modules/UIManager.js';
+import { UrlRouter } from '../modules/UrlRouter.js';
 import { ProgressManager } from '../utils/ProgressManager.js';
+import { StorageAdapter } from '../utils/StorageAdapter.js';
 import { Analytics } from '../utils/Analytics.js';
 
 /**
@@ -77,7 +81,16 @@ export class AppInitializer {
         this.progressManager.startStep(0); // データ読み込み
         console.log('📊 Initializing data management...');
         
-        this.managers.dataManager = new DataManager();
+        // APIサーバーがあれば写真の追加・編集を保存できる
+        const storage = await StorageAdapter.create();
+        
+        // 前回のログイン状態を復元（ロールによって読み込める写真が変わるため、写真の読み込みより先に行う）
+        this.managers.authManager = new AuthManager(storage, this.eventBus);
+        await this.managers.authManager.restore();
+        
+        this.managers.dataManager = new DataManager(storage, {
+            viewerAccessLevel: this.managers.authManager.getAccessLevel()
+        });
         this.managers.dataManager.eventBus = this.eventBus;
         await this.managers.dataManager.loadData();
         
@@ -91,15 +104,32 @@ export class AppInitializer {
         this.progressManager.startStep(1); // 地図準備
         console.log('🗺️ Initializing map...');
         
-        this.managers.mapManager = new MapManager('map');
+        this.managers.mapManager = new MapManager('map', this.eventBus);
         await this.managers.mapManager.initMap();
         this.progressManager.updateStepProgress(70);
 
+        // 📦 写真が分割されている場合は、最初の表示範囲の写真を読み込む（マーカーの枚数に使う）
+        if (this.managers.dataManager.isSharded()) {
+            await this.managers.dataManager.loadShardsInBounds(this.managers.mapManager.getMap().getBounds(), {
+                onProgress: ({ loaded, total }) => {
+                    this.progressManager.updateShardProgress(loaded, total);
+                    this.progressManager.updateStepProgress(70 + (loaded / total) * 20);
+                }
+            });
+        }
+
         console.log('📍 Initializing markers...');
         this.managers.markerManager = new MarkerManager(
             this.managers.mapManager.getMap(), 
             this.managers.dataManager, 
-            this.eventBus
+            this.eventBus,
+            this.managers.mapManager
+        );
+        this.managers.photoPinManager = new PhotoPinManager(
+            this.managers.mapManager.getMap(),
+            this.managers.dataManager,
+            this.eventBus,
+            this.managers.mapManager
         );
         this.progressManager.updateStepProgress(100);
     }
@@ -156,6 +186,9 @@ export class AppInitializer {
      * 初期化後のテスト実行
      */
     runPostInitializationTests() {
+        // 共有URLから開いた場合は復元した状態を上書きしない
+        if (UrlRouter.hasState()) return;
+
         setTimeout(() => {
             const areas = this.managers.dataManager.areas.filter(area => area.is_active);
             if (areas.length > 0) {
@@ -0,0 +1,633 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { GeoUtils } from '../utils/GeoUtils.js';
+
+/**
+ * エリアの編集画面（管理者用）を担当するクラス
+ * 地図上で中心の移動・半径のドラッグ、またはポリゴンの頂点を編集し、
+ * 名前・説明・カテゴリー・色・優先度・有効/無効とあわせて保存先に保存する
+ * 保存すると data/areas.json と埋め込みフォールバックがサーバーで更新される
+ */
+export class AreaEditor {
+    constructor(map, dataManager, analytics = null) {
+        this.map = map;
+        this.dataManager = dataManager;
+        this.analytics = analytics;
+        this.enabled = false;
+        this.elements = {};
+        this.layer = L.layerGroup(); // 編集中の範囲とハンドル
+
+        // 編集中の内容 { id, shape: 'circle' | 'polygon', center, radius, vertices, shapeLocked }
+        this.draft = null;
+        this.dirty = false;
+        this.handleMapClick = (e) => this.onMapClick(e);
+    }
+
+    /**
+     * 初期化（管理者の場合のみ編集ボタンを表示）
+     * @param {boolean} enabled - 編集画面を使えるか
+     */
+    init(enabled) {
+        this.elements = {
+            button: document.getElementById('areaEditorBtn'),
+            panel: document.getElementById('areaEditorPanel'),
+            close: document.getElementById('closeAreaEditor'),
+            select: document.getElementById('areaEditorSelect'),
+            newButton: document.getElementById('newAreaBtn'),
+            form: document.getElementById('areaEditorForm'),
+            name: document.getElementById('areaName'),
+            description: document.getElementById('areaDescription'),
+            category: document.getElementById('areaCategory'),
+            categoryOptions: document.getElementById('areaCategoryOptions'),
+            color: document.getElementById('areaColor'),
+            priority: document.getElementById('areaPriority'),
+            isActive: document.getElementById('areaIsActive'),
+            shapeInputs: document.querySelectorAll('input[name="areaShape"]'),
+            radius: document.getElementById('areaRadius'),
+            hint: document.getElementById('areaShapeHint'),
+            clearVertices: document.getElementById('clearAreaVertices'),
+            error: document.getElementById('areaEditorError'),
+            save: document.getElementById('saveAreaBtn'),
+            delete: document.getElementById('deleteAreaBtn')
+        };
+
+        const { button, panel, form } = this.elements;
+        if (!button || !panel || !form) {
+            console.warn('⚠️ AreaEditor: elements not found');
+            return;
+        }
+
+        const { radius } = this.elements;
+        radius.min = APP_CONFIG.AREA_EDITOR.MIN_RADIUS;
+        radius.max = APP_CONFIG.AREA_EDITOR.MAX_RADIUS;
+
+        this.setEnabled(enabled);
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const { button, close, select, newButton, form, color, radius, shapeInputs, clearVertices } = this.elements;
+
+        button.addEventListener('click', () => (this.isVisible() ? this.hide() : this.show()));
+        close?.addEventListener('click', () => this.hide());
+        select?.addEventListener('change', () => this.edit(select.value || null));
+        newButton?.addEventListener('click', () => this.edit(null));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        form.addEventListener('input', () => { this.dirty = true; });
+        this.elements.delete?.addEventListener('click', () => this.deleteArea());
+
+        color?.addEventListener('input', () => this.renderShape());
+        radius?.addEventListener('change', () => {
+            const value = Number(radius.value);
+            if (this.draft && Number.isFinite(value)) {
+                this.draft.radius = this.clampRadius(value);
+                this.renderShape();
+            }
+        });
+        shapeInputs.forEach(input => {
+            input.addEventListener('change', () => input.checked && this.setShape(input.value));
+        });
+        clearVertices?.addEventListener('click', () => {
+            this.draft.vertices = [];
+            this.dirty = true;
+            this.renderShape();
+        });
+    }
+
+    /**
+     * 編集画面の利用可否を切り替え
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.elements.button) {
+            this.elements.button.hidden = !enabled;
+        }
+        if (!enabled && this.isVisible()) {
+            this.hide({ force: true });
+        }
+    }
+
+    /**
+     * 編集画面を表示（選択中のエリア、なければ最初のエリアを編集）
+     * @param {string|null} areaId - 編集するエリアID
+     */
+    show(areaId = null) {
+        if (!this.enabled || !this.elements.panel) return;
+
+        this.elements.panel.hidden = false;
+        this.elements.button.classList.add('active');
+        this.layer.addTo(this.map);
+        this.map.on('click', this.handleMapClick);
+
+        this.renderAreaOptions();
+        const areas = this.dataManager.getAreas();
+        this.edit(areaId || areas[0]?.id || null, { force: true });
+        this.analytics?.trackUserAction('area_editor_open', 'area_editor');
+    }
+
+    /**
+     * 編集画面を閉じる（保存していない変更があれば確認）
+     * @param {Object} options - { force: 確認せずに閉じるか }
+     */
+    hide({ force = false } = {}) {
+        if (!force && !this.confirmDiscard()) return;
+
+        if (this.elements.panel) {
+            this.elements.panel.hidden = true;
+        }
+        this.elements.button?.classList.remove('active');
+        this.map.off('click', this.handleMapClick);
+        this.layer.clearLayers();
+        this.layer.remove();
+        this.draft = null;
+        this.dirty = false;
+    }
+
+    isVisible() {
+        return this.elements.panel ? !this.elements.panel.hidden : false;
+    }
+
+    /**
+     * 保存していない変更を破棄してよいか
+     */
+    confirmDiscard() {
+        return !this.dirty || confirm('保存していない変更があります。破棄しますか？');
+    }
+
+    /**
+     * エリアの選択肢とカテゴリーの候補を描画
+     */
+    renderAreaOptions(selectedId = this.draft?.id) {
+        const { select, categoryOptions } = this.elements;
+        const areas = this.dataManager.getAreas();
+
+        if (select) {
+            select.innerHTML = '';
+            select.add(new Option('（新しいエリア）', ''));
+            areas.forEach(area => {
+                const label = area.is_active === false ? `${area.name}（無効）` : area.name;
+                select.add(new Option(label, area.id));
+            });
+            select.value = selectedId || '';
+        }
+
+        if (categoryOptions) {
+            const categories = [...new Set(areas.map(area => area.category).filter(Boolean))]
+                .sort((a, b) => a.localeCompare(b, 'ja'));
+            categoryOptions.innerHTML = '';
+            categories.forEach(category => categoryOptions.appendChild(new Option(category)));
+        }
+    }
+
+    /**
+     * 🗺️ エリアの編集を開始（id が null の場合は新しいエリア）
+     */
+    edit(id, { force = false } = {}) {
+        if (!force && !this.confirmDiscard()) {
+            this.elements.select.value = this.draft?.id || '';
+            return;
+        }
+
+        const area = id ? this.dataManager.getArea(id) : null;
+        this.draft = this.createDraft(area);
+        this.dirty = false;
+        this.fillForm(area);
+        this.showError(null);
+        this.renderAreaOptions(this.draft.id);
+        this.renderShape();
+
+        const bounds = this.getDraftBounds();
+        if (bounds) {
+            this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 16 });
+        }
+    }
+
+    /**
+     * エリアから編集中の内容を作成
+     * 穴あき・複数のポリゴンの境界は画面では編集できないため、形はそのまま保存する
+     */
+    createDraft(area) {
+        const config = APP_CONFIG.AREA_EDITOR;
+        if (!area) {
+            return { id: null, shape: 'circle', center: null, radius: config.DEFAULT_RADIUS, vertices: [], shapeLocked: false };
+        }
+
+        const geometry = GeoUtils.getGeometry(area.boundary);
+        const isSimplePolygon = geometry?.type === 'Polygon' && geometry.coordinates.length === 1;
+        const ring = isSimplePolygon ? geometry.coordinates[0] : [];
+        // GeoJSONのリングは最初と最後が同じ座標
+        const vertices = ring.slice(0, -1).map(([lng, lat]) => ({ lat, lng }));
+
+        return {
+            id: area.id,
+            shape: geometry ? 'polygon' : 'circle',
+            center: Number.isFinite(area.center_lat) && Number.isFinite(area.center_lng) ?
+                { lat: area.center_lat, lng: area.center_lng } : null,
+            radius: area.radius || config.DEFAULT_RADIUS,
+            vertices,
+            shapeLocked: !!geometry && !isSimplePolygon
+        };
+    }
+
+    fillForm(area) {
+        const { name, description, category, color, priority, isActive, save } = this.elements;
+        name.value = area?.name || '';
+        description.value = area?.description || '';
+        category.value = area?.category || '';
+        color.value = area?.color || APP_CONFIG.AREA_EDITOR.DEFAULT_COLOR;
+        priority.value = area?.priority ?? '';
+        isActive.checked = area ? area.is_active !== false : true;
+        this.elements.delete.hidden = !area;
+        save.innerHTML = `<i class="fas fa-save"></i> ${area ? '保存' : '追加'}`;
+        this.updateShapeControls();
+    }
+
+    /**
+     * 範囲の指定方法（中心＋半径 / ポリゴン）を切り替え
+     */
+    setShape(shape) {
+        if (!this.draft || this.draft.shape === shape) return;
+
+        this.draft.shape = shape;
+        // ポリゴンにする場合、頂点がなければ今の円に内接する四角形から始める
+        if (shape === 'polygon' && this.draft.vertices.length === 0 && this.draft.center) {
+            this.draft.vertices = this.createSquareVertices(this.draft.center, this.draft.radius);
+        }
+        this.dirty = true;
+        this.updateShapeControls();
+        this.renderShape();
+    }
+
+    updateShapeControls() {
+        const { shapeInputs, radius, clearVertices, hint } = this.elements;
+        const { shape, shapeLocked } = this.draft;
+
+        shapeInputs.forEach(input => {
+            input.checked = input.value === shape;
+            input.disabled = shapeLocked;
+        });
+        radius.closest('.form-group').hidden = shape !== 'circle';
+        radius.value = this.draft.radius;
+        clearVertices.hidden = shape !== 'polygon' || shapeLocked;
+
+        hint.textContent = shapeLocked ?
+            'この境界（穴あき・複数のポリゴン）は画面では編集できません。形を変える場合は data/areas.json を直接編集してください' :
+            shape === 'circle' ?
+                '地図をクリックするか中心のハンドルをドラッグして移動し、外周のハンドルで半径を変更します' :
+                '地図をクリックして頂点を追加、ドラッグで移動、頂点のクリックで削除します。中心のハンドルで全体を移動します';
+    }
+
+    /**
+     * 地図のクリック（円は中心の移動、ポリゴンは頂点の追加）
+     */
+    onMapClick(e) {
+        if (!this.draft || this.draft.shapeLocked) return;
+
+        const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+        if (this.draft.shape === 'circle') {
+            this.draft.center = point;
+        } else {
+            this.insertVertex(point);
+        }
+        this.dirty = true;
+        this.renderShape();
+    }
+
+    /**
+     * 頂点を、周長の増え方が最も小さい辺の間に挿入する（形がねじれないように）
+     */
+    insertVertex(point) {
+        const { vertices } = this.draft;
+        if (vertices.length < 3) {
+            vertices.push(point);
+            return;
+        }
+
+        const distance = (a, b) => GeoUtils.distanceKm(a.lat, a.lng, b.lat, b.lng);
+        let bestIndex = 0;
+        let bestCost = Infinity;
+        vertices.forEach((a, i) => {
+            const b = vertices[(i + 1) % vertices.length];
+            const cost = distance(a, point) + distance(point, b) - distance(a, b);
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestIndex = i + 1;
+            }
+        });
+        vertices.splice(bestIndex, 0, point);
+    }
+
+    /**
+     * 🗺️ 編集中の範囲とハンドルを描画
+     */
+    renderShape() {
+        this.layer.clearLayers();
+        if (!this.draft) return;
+
+        const color = this.elements.color?.value || APP_CONFIG.AREA_EDITOR.DEFAULT_COLOR;
+        const style = { color, weight: 2, fillOpacity: 0.15, interactive: false };
+
+        if (this.draft.shapeLocked) {
+            const area = this.dataManager.getArea(this.draft.id);
+            L.geoJSON(area.boundary, { style, interactive: false }).addTo(this.layer);
+            return;
+        }
+
+        if (this.draft.shape === 'circle') {
+            this.renderCircle(style);
+        } else {
+            this.renderPolygon(style);
+        }
+    }
+
+    renderCircle(style) {
+        const { center } = this.draft;
+        if (!center) return;
+
+        const circle = L.circle([center.lat, center.lng], { ...style, radius: this.draft.radius * 1000 })
+            .addTo(this.layer);
+        const radiusHandle = this.createHandle(this.getRadiusHandlePosition(), 'radius', '半径を変更');
+        const centerHandle = this.createHandle(center, 'center', '中心を移動');
+
+        centerHandle.on('drag', () => {
+            const position = centerHandle.getLatLng();
+            this.draft.center = { lat: position.lat, lng: position.lng };
+            circle.setLatLng(position);
+            radiusHandle.setLatLng(this.getRadiusHandlePosition());
+        });
+        radiusHandle.on('drag', () => {
+            const position = radiusHandle.getLatLng();
+            this.draft.radius = this.clampRadius(
+                GeoUtils.distanceKm(center.lat, center.lng, position.lat, position.lng)
+            );
+            circle.setRadius(this.draft.radius * 1000);
+            this.elements.radius.value = this.draft.radius;
+        });
+        [centerHandle, radiusHandle].forEach(handle => handle.on('dragend', () => {
+            this.dirty = true;
+            this.renderShape();
+        }));
+    }
+
+    renderPolygon(style) {
+        const { vertices } = this.draft;
+        if (vertices.length === 0) return;
+
+        const polygon = L.polygon(vertices.map(v => [v.lat, v.lng]), style).addTo(this.layer);
+        const handles = vertices.map((vertex, index) => {
+            const handle = this.createHandle(vertex, 'vertex', 'ドラッグで移動、クリックで削除');
+            handle.on('drag', () => {
+                const position = handle.getLatLng();
+                vertices[index] = { lat: position.lat, lng: position.lng };
+                polygon.setLatLngs(vertices.map(v => [v.lat, v.lng]));
+            });
+            handle.on('dragend', () => {
+                this.dirty = true;
+                this.renderShape();
+            });
+            handle.on('click', () => {
+                vertices.splice(index, 1);
+                this.dirty = true;
+                this.renderShape();
+            });
+            return handle;
+        });
+
+        if (vertices.length < APP_CONFIG.AREA_EDITOR.MIN_POLYGON_POINTS) return;
+
+        // 中心のハンドルでポリゴン全体を移動
+        const centroid = this.getVerticesCentroid();
+        const centerHandle = this.createHandle(centroid, 'center', 'エリア全体を移動');
+        let start = centroid;
+        let original = vertices.map(v => ({ ...v }));
+        centerHandle.on('dragstart', () => {
+            start = centerHandle.getLatLng();
+            original = vertices.map(v => ({ ...v }));
+        });
+        centerHandle.on('drag', () => {
+            const position = centerHandle.getLatLng();
+            const dLat = position.lat - start.lat;
+            const dLng = position.lng - start.lng;
+            original.forEach((v, i) => {
+                vertices[i] = { lat: v.lat + dLat, lng: v.lng + dLng };
+                handles[i].setLatLng([vertices[i].lat, vertices[i].lng]);
+            });
+            polygon.setLatLngs(vertices.map(v => [v.lat, v.lng]));
+        });
+        centerHandle.on('dragend', () => {
+            this.dirty = true;
+            this.renderShape();
+        });
+    }
+
+    /**
+     * ドラッグできるハンドルを作成
+     * @param {string} type - 'center' | 'radius' | 'vertex'
+     */
+    createHandle(position, type, title) {
+        return L.marker([position.lat, position.lng], {
+            icon: L.divIcon({
+                className: `area-editor-handle area-editor-handle-${type}`,
+                iconSize: type === 'center' ? [18, 18] : [12, 12]
+            }),
+            draggable: true,
+            zIndexOffset: type === 'center' ? 1100 : 1000,
+            title
+        }).addTo(this.layer);
+    }
+
+    /**
+     * 半径のハンドルの位置（中心から東へ半径の距離）
+     */
+    getRadiusHandlePosition() {
+        const { center, radius } = this.draft;
+        const kmPerDegreeLng = GeoUtils.distanceKm(center.lat, 0, center.lat, 1);
+        return { lat: center.lat, lng: center.lng + radius / kmPerDegreeLng };
+    }
+
+    /**
+     * 円に内接する正方形の頂点
+     */
+    createSquareVertices(center, radius) {
+        const dLat = (radius / GeoUtils.distanceKm(0, 0, 1, 0)) * Math.SQRT1_2;
+        const dLng = (radius / GeoUtils.distanceKm(center.lat, 0, center.lat, 1)) * Math.SQRT1_2;
+        return [
+            { lat: center.lat + dLat, lng: center.lng - dLng },
+            { lat: center.lat + dLat, lng: center.lng + dLng },
+            { lat: center.lat - dLat, lng: center.lng + dLng },
+            { lat: center.lat - dLat, lng: center.lng - dLng }
+        ];
+    }
+
+    getVerticesCentroid() {
+        const centroid = GeoUtils.getBoundaryCentroid(this.buildBoundary());
+        return centroid || this.draft.vertices[0];
+    }
+
+    /**
+     * 編集中の範囲の表示範囲（地図を合わせる用）
+     */
+    getDraftBounds() {
+        const { draft } = this;
+        if (draft.shapeLocked || (draft.shape === 'polygon' && draft.vertices.length > 0)) {
+            const bounds = GeoUtils.getBoundaryBounds(
+                draft.shapeLocked ? this.dataManager.getArea(draft.id).boundary : this.buildBoundary()
+            );
+            return bounds && [[bounds.south, bounds.west], [bounds.north, bounds.east]];
+        }
+        if (draft.center) {
+            return L.latLng(draft.center.lat, draft.center.lng).toBounds(draft.radius * 2000);
+        }
+        return null;
+    }
+
+    clampRadius(radius) {
+        const { MIN_RADIUS, MAX_RADIUS } = APP_CONFIG.AREA_EDITOR;
+        return Math.round(Math.min(Math.max(radius, MIN_RADIUS), MAX_RADIUS) * 100) / 100;
+    }
+
+    /**
+     * 頂点からGeoJSONのPolygonを作成（座標は [経度, 緯度]、リングは閉じる）
+     */
+    buildBoundary() {
+        const ring = this.draft.vertices.map(v => [this.roundCoordinate(v.lng), this.roundCoordinate(v.lat)]);
+        return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+    }
+
+    roundCoordinate(value) {
+        return Math.round(value * 1e6) / 1e6;
+    }
+
+    /**
+     * 入力内容を検証して保存する内容を作成（エラーの場合はメッセージを投げる）
+     * 値が null の項目は保存先で削除される
+     */
+    buildChanges() {
+        const { name, description, category, color, priority, isActive } = this.elements;
+        const { draft } = this;
+
+        if (!name.value.trim()) {
+            throw new Error('名前を入力してください');
+        }
+        const priorityValue = priority.value.trim() === '' ? null : Number(priority.value);
+        if (priorityValue !== null && !Number.isInteger(priorityValue)) {
+            throw new Error('優先度は整数で入力してください');
+        }
+
+        const changes = {
+            name: name.value.trim(),
+            description: description.value.trim(),
+            category: category.value.trim() || null,
+            color: color.value,
+            priority: priorityValue,
+            is_active: isActive.checked
+        };
+        if (draft.shapeLocked) return changes;
+
+        if (draft.shape === 'circle') {
+            if (!draft.center) {
+                throw new Error('地図をクリックしてエリアの中心を置いてください');
+            }
+            return {
+                ...changes,
+                center_lat: this.roundCoordinate(draft.center.lat),
+                center_lng: this.roundCoordinate(draft.center.lng),
+                radius: draft.radius,
+                boundary: null
+            };
+        }
+
+        if (draft.vertices.length < APP_CONFIG.AREA_EDITOR.MIN_POLYGON_POINTS) {
+            throw new Error(`地図をクリックして頂点を${APP_CONFIG.AREA_EDITOR.MIN_POLYGON_POINTS}つ以上置いてください`);
+        }
+        // マーカーはポリゴンの重心に置く（DataManager.normalizeAreas で補完）
+        return { ...changes, boundary: this.buildBoundary(), center_lat: null, center_lng: null, radius: null };
+    }
+
+    /**
+     * 💾 エリアを保存
+     */
+    async save() {
+        let changes;
+        try {
+            changes = this.buildChanges();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const isNew = !this.draft.id;
+        this.setSaving(true);
+        this.showError(null);
+        try {
+            const area = isNew ?
+                await this.dataManager.createArea(changes) :
+                await this.dataManager.updateArea(this.draft.id, changes);
+            this.analytics?.trackUserAction(isNew ? 'area_create' : 'area_update', 'area_editor', {
+                area_id: area.id,
+                shape: this.draft.shape
+            });
+            this.dirty = false;
+            this.edit(area.id, { force: true });
+        } catch (error) {
+            await ErrorHandler.handle(error, 'AreaEditor.save', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'AreaEditor'
+            });
+            this.showError(`保存できませんでした: ${error.message}`);
+        } finally {
+            this.setSaving(false);
+        }
+    }
+
+    /**
+     * 🗑️ エリアを削除（確認あり）
+     */
+    async deleteArea() {
+        const area = this.draft?.id && this.dataManager.getArea(this.draft.id);
+        if (!area) return;
+
+        const photoCount = this.dataManager.getPhotosInArea(area).length;
+        const message = photoCount > 0 ?
+            `「${area.name}」を削除しますか？\n割り当てられている${photoCount}枚の写真は、範囲が重なる他のエリアに割り当て直されます。` :
+            `「${area.name}」を削除しますか？`;
+        if (!confirm(message)) return;
+
+        this.setSaving(true);
+        try {
+            await this.dataManager.deleteArea(area.id);
+            this.analytics?.trackUserAction('area_delete', 'area_editor', { area_id: area.id });
+            this.dirty = false;
+            this.edit(this.dataManager.getAreas()[0]?.id || null, { force: true });
+        } catch (error) {
+            await ErrorHandler.handle(error, 'AreaEditor.deleteArea', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'AreaEditor'
+            });
+            this.showError(`削除できませんでした: ${error.message}`);
+        } finally {
+            this.setSaving(false);
+        }
+    }
+
+    setSaving(isSaving) {
+        const { save } = this.elements;
+        save.disabled = isSaving;
+        this.elements.delete.disabled = isSaving;
+    }
+
+    showError(message) {
+        const { error } = this.elements;
+        if (!error) return;
+
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+}
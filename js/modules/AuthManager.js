@@ -0,0 +1,164 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+
+/**
+ * ログイン状態とロールを管理するクラス
+ * ログインは保存先（APIサーバー）に対して行い、受け取ったトークンを sessionStorage に保持する
+ * 画面のボタン表示は can() で判断する（APIも同じロールで権限を確認する）
+ */
+export class AuthManager {
+    /**
+     * @param {StorageAdapter|null} storage - 保存先（ログインに対応していなければ常に閲覧者）
+     * @param {EventEmitter|null} eventBus
+     */
+    constructor(storage = null, eventBus = null) {
+        this.storage = storage;
+        this.eventBus = eventBus;
+        this.user = null; // { username, role }
+
+        if (this.isAvailable()) {
+            this.storage.onUnauthorized = () => this.handleSessionExpired();
+        }
+    }
+
+    /**
+     * ログインできる環境か（APIサーバーがある場合のみ）
+     */
+    isAvailable() {
+        return !!this.storage?.supportsAuth;
+    }
+
+    /**
+     * 🔑 前回のトークンでログイン状態を復元（期限切れなどの場合はログアウト状態）
+     */
+    async restore() {
+        const token = this.loadToken();
+        if (!token || !this.isAvailable()) return null;
+
+        this.storage.setAuthToken(token);
+        try {
+            this.user = await this.storage.getCurrentUser();
+            console.log(`🔑 Session restored: ${this.user.username} (${this.user.role})`);
+        } catch (error) {
+            console.log('🔑 Saved session is no longer valid');
+            this.clearSession();
+        }
+        return this.user;
+    }
+
+    /**
+     * 🔑 ログイン
+     * @returns {Promise<Object>} ログインした利用者
+     */
+    async login(username, password) {
+        if (!this.isAvailable()) {
+            throw new Error('ログインにはAPIサーバーが必要です');
+        }
+
+        const { token, user } = await this.storage.login(username, password);
+        this.storage.setAuthToken(token);
+        this.saveToken(token);
+        this.user = user;
+
+        console.log(`🔑 Logged in: ${user.username} (${user.role})`);
+        this.notifyChanged();
+        return user;
+    }
+
+    /**
+     * 🔑 ログアウト（サーバーへの通知に失敗してもログアウト状態にする）
+     */
+    async logout() {
+        try {
+            await this.storage?.logout();
+        } catch (error) {
+            console.warn('⚠️ Logout request failed:', error);
+        }
+
+        this.clearSession();
+        console.log('🔑 Logged out');
+        this.notifyChanged();
+    }
+
+    /**
+     * APIがトークンを受け付けなかった場合（サーバーの再起動・期限切れ）はログアウト状態にする
+     */
+    handleSessionExpired() {
+        if (!this.user) return;
+
+        console.warn('🔑 Session expired');
+        this.clearSession();
+        this.notifyChanged();
+    }
+
+    /**
+     * 現在のロール（未ログインは閲覧者）
+     */
+    getRole() {
+        return this.user?.role || APP_CONFIG.AUTH.DEFAULT_ROLE;
+    }
+
+    getRoleLabel() {
+        return APP_CONFIG.AUTH.ROLE_LABELS[this.getRole()];
+    }
+
+    /**
+     * 指定以上のロールか
+     */
+    hasRole(role) {
+        const { ROLES } = APP_CONFIG.AUTH;
+        return ROLES.indexOf(this.getRole()) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * 操作の権限があるか
+     * @param {string} permission - APP_CONFIG.AUTH.PERMISSIONS のキー（'submitPhoto' など）
+     */
+    can(permission) {
+        const role = APP_CONFIG.AUTH.PERMISSIONS[permission];
+        if (!role) {
+            console.warn(`⚠️ Unknown permission: ${permission}`);
+            return false;
+        }
+        return this.hasRole(role);
+    }
+
+    /**
+     * 閲覧できる掲載同意の公開範囲
+     */
+    getAccessLevel() {
+        return APP_CONFIG.AUTH.ACCESS_LEVELS[this.getRole()];
+    }
+
+    clearSession() {
+        this.user = null;
+        this.storage?.setAuthToken(null);
+        this.saveToken(null);
+    }
+
+    notifyChanged() {
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.AUTH_CHANGED, this.user);
+        }
+    }
+
+    loadToken() {
+        try {
+            return sessionStorage.getItem(APP_CONFIG.AUTH.TOKEN_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveToken(token) {
+        try {
+            if (token) {
+                sessionStorage.setItem(APP_CONFIG.AUTH.TOKEN_STORAGE_KEY, token);
+            } else {
+                sessionStorage.removeItem(APP_CONFIG.AUTH.TOKEN_STORAGE_KEY);
+            }
+        } catch (error) {
+            // プライベートモードなどで保存できない場合は、このページを開いている間だけログイン状態を保つ
+        }
+    }
+}
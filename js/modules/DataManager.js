@@ -1,19 +1,59 @@
 import { APP_CONFIG } from '../config/constants.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { PhotoQuery } from '../utils/PhotoQuery.js';
+import { GeoUtils } from '../utils/GeoUtils.js';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import { PhotoConsent } from '../utils/PhotoConsent.js';
+import { DataValidator } from '../utils/DataValidator.js';
+import { PersistentCache } from '../utils/PersistentCache.js';
+import { EMBEDDED_AREAS } from '../config/embeddedAreas.js';
 
 /**
  * データ管理を担当するクラス
  * 写真データ、エリアデータの読み込み、フィルタリング、検索を管理
  */
 export class DataManager {
-    constructor() {
-        this.photos = [];
+    /**
+     * @param {StorageAdapter|null} storage - 写真の保存先（null の場合は静的ファイルの読み込みのみ）
+     * @param {Object} options - { viewerAccessLevel: 閲覧者のアクセスレベル, persistentCache: データファイルの保存先（PersistentCache。null で保存しない） }
+     */
+    constructor(storage = null, {
+        viewerAccessLevel = APP_CONFIG.CONSENT.VIEWER_LEVEL,
+        persistentCache = PersistentCache.isSupported() ? new PersistentCache() : null
+    } = {}) {
+        this.allPhotos = []; // 審査中・非公開を含む全写真
+        this.photos = [];    // 表示する写真（承認済み・閲覧者に見せられる同意あり）
         this.areas = [];
-        // 検索・ソート関連プロパティは削除されました
+        this.eventBus = null;
+        
+        // 🩺 検証で不正だったため表示から除外したレコード { record, index, id, errors }
+        this.quarantine = { photos: [], areas: [] };
+        
+        // 📝 閲覧者のアクセスレベル（掲載同意の公開範囲と照らし合わせる）
+        this.viewerAccessLevel = viewerAccessLevel;
+        this.consentExpiryTimer = null;
+        
+        // 💾 写真・エリアの保存先（追加・更新・削除に使う）
+        this.storage = storage;
+        
+        // 🔍 現在有効な検索・絞り込み・並び替え条件
+        this.activeQuery = new PhotoQuery();
+        
+        // 📍 写真のエリア割り当てインデックス（各写真はちょうど1つのエリアに属する）
+        this.areaPhotoIndex = new Map();  // areaId → photos[]
+        this.photoAreaIndex = new Map();  // photoId → areaId
+        
+        // 🧭 写真座標のグリッド空間インデックス（範囲・半径検索用）
+        this.spatialIndex = new SpatialIndex(APP_CONFIG.SPATIAL_INDEX.CELL_SIZE_DEG);
         
-        // ⚡ パフォーマンス向上のためのキャッシュ
-        this.cache = new Map();
-        this.cacheExpiry = 5 * 60 * 1000; // 5分間のキャッシュ
+        // 💾 読み込んだデータファイルの保存先（次回の起動時にすぐ表示する）
+        this.persistentCache = persistentCache;
+        this.revalidation = null; // 保存済みのデータで表示した後の更新の確認（Promise）
+        
+        // 📦 写真の分割ファイル（manifest.json がある場合のみ。id → { file, bounds, url, state, promise, ... }）
+        this.photoShards = null;
+        this.photoManifestUrl = null;
     }
 
     /**
@@ -30,24 +70,35 @@ export class DataManager {
             const baseUrl = window.location.origin + window.location.pathname.replace(/\/[^\/]*$/, '');
             const photosUrl = baseUrl + APP_CONFIG.DATA.PHOTOS_FILE;
             const areasUrl = baseUrl + APP_CONFIG.DATA.AREAS_FILE;
+            const manifestUrl = baseUrl + APP_CONFIG.DATA.PHOTO_MANIFEST_FILE;
             
             console.log('📍 Data file URLs:', { photosUrl, areasUrl });
 
+            // 📦 写真が分割されていれば、エリアだけ読み込んで写真は表示範囲に応じて読み込む（静的ファイルの場合のみ）
+            if (!this.storage && await this.loadPhotoManifest(manifestUrl)) {
+                this.setPhotoRecords([]);
+                this.setAreaRecords(await this.loadAreas(areasUrl));
+                this.buildIndexes();
+                console.log(`📦 ${this.areas.length} areas loaded, photos are loaded on demand from ${this.photoShards.size} shards`);
+                return { photos: this.photos, areas: this.areas };
+            }
+
+            // 💾 前回保存したデータがあればすぐに表示し、更新は裏で確認する（静的ファイルの場合のみ）
+            if (await this.loadFromPersistentCache(photosUrl, areasUrl)) {
+                this.preloadCriticalImages();
+                return { photos: this.photos, areas: this.areas };
+            }
+
             // ⚡ 並列読み込みでパフォーマンス向上
             console.log('🚀 Starting parallel data loading...');
-            const [photosResponse, areasResponse] = await Promise.all([
-                this.fetchWithCache(photosUrl, 'photos'),
-                this.fetchWithCache(areasUrl, 'areas')
-            ]);
-            
-            // ⚡ 並列でJSONパース
             const [photosData, areasData] = await Promise.all([
-                photosResponse.json(),
-                areasResponse.json()
+                this.loadPhotos(photosUrl),
+                this.loadAreas(areasUrl)
             ]);
             
-            this.photos = photosData;
-            this.areas = areasData;
+            this.setPhotoRecords(photosData);
+            this.setAreaRecords(areasData);
+            this.buildIndexes();
             
             const loadTime = performance.now() - loadStart;
             console.log(`🎉 Loaded ${this.photos.length} photos and ${this.areas.length} areas in ${loadTime.toFixed(2)}ms`);
@@ -57,10 +108,6 @@ export class DataManager {
             
             return { photos: this.photos, areas: this.areas };
             
-            // データ読み込み完了（フィルタリング・ソート機能は削除済み）
-            
-            return { photos: this.photos, areas: this.areas };
-            
         } catch (error) {
             const result = await ErrorHandler.handle(error, 'DataManager.loadData', {
                 level: ErrorHandler.ERROR_LEVELS.WARNING,
@@ -82,144 +129,1095 @@ export class DataManager {
         }
     }
 
+    /**
+     * 写真一覧を読み込む（保存先があればそこから、なければ静的ファイル）
+     */
+    async loadPhotos(photosUrl) {
+        if (this.storage) {
+            return this.storage.listPhotos();
+        }
+        
+        const { body } = await this.fetchDataFile(photosUrl, 'photos');
+        return body;
+    }
+
+    /**
+     * エリア一覧を読み込む（保存先があればそこから、なければ静的ファイル）
+     */
+    async loadAreas(areasUrl) {
+        if (this.storage) {
+            return this.storage.listAreas();
+        }
+        
+        const { body } = await this.fetchDataFile(areasUrl, 'areas');
+        return body;
+    }
+
     /**
      * 埋め込みデータを読み込む（フォールバック）
+     * 保存先にも Service Worker（sw.js）のキャッシュにもデータがない場合（初回をオフラインで開いた場合など）に使う
+     * エリアは data/areas.json から生成した js/config/embeddedAreas.js（node server/embedded.mjs）
+     * 写真は埋め込まない（地図とエリアのみ表示し、オンラインになってから再読み込みすると表示される）
      */
     loadEmbeddedData() {
         console.log('📦 Loading embedded fallback data...');
         
-        // エリアデータ（太子町全域の20エリア）
-        this.areas = [
-            {
-                id: "area_001",
-                name: "太子アグリパーク",
-                description: "農業体験と自然学習ができる公園エリア",
-                center_lat: 34.8515,
-                center_lng: 134.6021,
-                radius: 0.8,
-                color: "#32CD32",
-                category: "公園",
-                is_active: true
-            },
-            {
-                id: "area_002", 
-                name: "太子中央公園",
-                description: "町の中心部にある総合公園",
-                center_lat: 34.8425,
-                center_lng: 134.5965,
-                radius: 0.6,
-                color: "#32CD32",
-                category: "公園",
-                is_active: true
-            },
-            {
-                id: "area_003",
-                name: "太子山公園", 
-                description: "山間部にある自然豊かな公園エリア",
-                center_lat: 34.863,
-                center_lng: 134.582,
-                radius: 1.2,
-                color: "#00CED1",
-                category: "自然",
-                is_active: true
-            },
-            // ... 他のエリアデータは省略（実際のコードでは全20エリア）
-        ];
-
-        // 写真データ（太子町各エリアの15枚）
-        this.photos = [
-            {
-                id: "photo_001",
-                title: "アグリパークの花畑",
-                description: "色とりどりの花々が咲き誇る美しい風景",
-                image_url: "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=800&h=600&fit=crop",
-                thumbnail_url: "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=200&h=200&fit=crop",
-                latitude: 34.8505,
-                longitude: 134.6015,
-                taken_at: "2024-03-15T10:30:00Z",
-                location: "太子アグリパーク",
-                tags: ["花", "公園", "春"],
-                is_featured: true,
-                view_count: 245
-            },
-            // ... 他の写真データは省略（実際のコードでは全15枚）
-        ];
-        
-        console.log(`📦 Embedded data loaded: ${this.photos.length} photos, ${this.areas.length} areas`);
-        // データ初期化完了（フィルタリング・ソート機能は削除済み）
+        this.setPhotoRecords([]);
+        this.setAreaRecords(EMBEDDED_AREAS);
+        this.buildIndexes();
+        console.log(`📦 Embedded data loaded: ${this.areas.length} areas (photos are not embedded)`);
     }
 
-    // フィルタリング機能は削除されました（シンプル化のため）
+    /**
+     * 全写真を設定し、公開する写真を抽出（不正なレコードは隔離）
+     */
+    setPhotoRecords(photos) {
+        this.allPhotos = this.validateRecords(photos, 'photos');
+        this.applyPhotoVisibility();
+    }
 
-    // ソート機能は削除されました（シンプル化のため）
+    /**
+     * 全エリアを設定（不正なレコードは隔離）
+     */
+    setAreaRecords(areas) {
+        this.areas = this.normalizeAreas(this.validateRecords(areas, 'areas'));
+    }
 
     /**
-     * 指定エリア内の写真を取得
+     * 🩺 読み込んだレコードを検証し、不正なものを隔離する（地図・一覧には渡さない）
+     * 不正なレコードは1件ずつ ErrorHandler の VALIDATION として報告する
+     * 配列でない場合はエラーを投げる（loadData は埋め込みデータにフォールバック）
+     * @param {Array} records - 読み込んだレコード
+     * @param {string} kind - 'photos' | 'areas'
+     * @param {Object} options - { append: 隔離済みのレコードに追加するか（写真の分割ファイルを読み込んだ場合） }
+     * @returns {Array} 有効なレコード
      */
-    getPhotosInArea(area) {
-        if (!area || !area.center_lat || !area.center_lng) {
-            return [];
+    validateRecords(records, kind, { append = false } = {}) {
+        const validate = kind === 'areas' ?
+            record => DataValidator.validateArea(record) :
+            record => DataValidator.validatePhoto(record);
+        const { valid, invalid } = DataValidator.validateRecords(records, validate);
+
+        this.quarantine[kind] = append ? [...this.quarantine[kind], ...invalid] : invalid;
+        invalid.forEach(({ id, index, errors }) => {
+            ErrorHandler.handle(new Error(`${kind} ${id ?? `#${index}`}: ${errors.join(' / ')}`), 'DataManager.validateRecords', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.VALIDATION,
+                showToUser: false,
+                component: 'DataManager'
+            });
+        });
+        if (invalid.length > 0) {
+            console.warn(`🩺 ${invalid.length} of ${records.length} ${kind} quarantined (invalid records)`);
         }
-        
-        return this.photos.filter(photo => {
-            const distance = this.calculateDistance(
-                photo.latitude, photo.longitude,
-                area.center_lat, area.center_lng
-            );
-            return distance <= (area.radius || 1.0);
+
+        return valid;
+    }
+
+    /**
+     * 🩺 検証で隔離したレコード
+     * @param {string} kind - 'photos' | 'areas'
+     */
+    getQuarantinedRecords(kind) {
+        return this.quarantine[kind] || [];
+    }
+
+    /**
+     * 表示する写真（this.photos）を全写真から抽出
+     * 地図・マーカーの枚数・写真一覧はすべて this.photos を使うため、
+     * 未承認の写真、閲覧者のアクセスレベルより狭い公開範囲の写真、同意の期限が切れた写真は表示されない
+     */
+    applyPhotoVisibility() {
+        const now = new Date();
+        const approved = this.allPhotos.filter(photo => this.isPhotoPublic(photo));
+        this.photos = approved.filter(photo => PhotoConsent.canView(photo, this.viewerAccessLevel, now));
+
+        const unapprovedCount = this.allPhotos.length - approved.length;
+        if (unapprovedCount > 0) {
+            console.log(`🛡️ ${unapprovedCount} photos hidden (not approved)`);
+        }
+        const restrictedCount = approved.length - this.photos.length;
+        if (restrictedCount > 0) {
+            console.log(`📝 ${restrictedCount} photos hidden (consent expired or limited to ${this.viewerAccessLevel} and above)`);
+        }
+
+        this.scheduleConsentExpiryCheck(now);
+    }
+
+    /**
+     * 表示中の写真の同意が次に切れる時刻に、表示する写真を抽出し直す
+     * （掲示用に開いたままの画面でも期限切れの写真が残らないように）
+     */
+    scheduleConsentExpiryCheck(now) {
+        clearTimeout(this.consentExpiryTimer);
+        this.consentExpiryTimer = null;
+
+        const expiries = this.photos
+            .map(photo => PhotoConsent.getExpiry(photo))
+            .filter(expiry => expiry && expiry > now);
+        if (expiries.length === 0) return;
+
+        // setTimeout の上限（約24.8日）を超えないよう、最長1日ごとに確認し直す
+        const delay = Math.min(Math.min(...expiries) - now, 24 * 60 * 60 * 1000);
+        this.consentExpiryTimer = setTimeout(() => {
+            this.handlePhotosChanged(APP_EVENTS.PHOTO_VISIBILITY_CHANGED, { accessLevel: this.viewerAccessLevel });
+        }, delay);
+    }
+
+    /**
+     * 📝 閲覧者のアクセスレベルを変更して表示する写真を抽出し直す
+     * @param {string} level - 'public' | 'members_only' | 'internal'
+     * @param {Object} options - { reload: 保存先から写真を読み込み直すか（ログイン・ログアウト時。APIはロールで返す写真が変わる） }
+     */
+    async setViewerAccessLevel(level, { reload = false } = {}) {
+        if (!APP_CONFIG.CONSENT.LEVELS.includes(level)) {
+            throw new Error(`Unknown access level: ${level}`);
+        }
+
+        if (reload && this.storage) {
+            this.allPhotos = this.validateRecords(await this.storage.listPhotos(), 'photos');
+        } else if (level === this.viewerAccessLevel) {
+            return;
+        }
+
+        this.viewerAccessLevel = level;
+        console.log(`📝 Viewer access level: ${level}`);
+        this.handlePhotosChanged(APP_EVENTS.PHOTO_VISIBILITY_CHANGED, { accessLevel: level });
+    }
+
+    /**
+     * 🛡️ 写真の審査状態（'pending' | 'approved' | 'rejected'）
+     */
+    getPhotoStatus(photo) {
+        return APP_CONFIG.MODERATION.STATUSES.includes(photo.status) ?
+            photo.status :
+            APP_CONFIG.MODERATION.DEFAULT_STATUS;
+    }
+
+    /**
+     * 写真を公開地図に表示できるか
+     */
+    isPhotoPublic(photo) {
+        return this.getPhotoStatus(photo) === APP_CONFIG.MODERATION.PUBLIC_STATUS;
+    }
+
+    /**
+     * 指定した審査状態の写真（新しい投稿順）
+     */
+    getPhotosByStatus(status) {
+        return this.allPhotos
+            .filter(photo => this.getPhotoStatus(photo) === status)
+            .sort((a, b) => new Date(b.created_at || b.taken_at) - new Date(a.created_at || a.taken_at));
+    }
+
+    /**
+     * 🛡️ 写真の審査状態を変更して保存（承認で公開、却下で非公開）
+     * @param {string} id - 写真ID
+     * @param {string} status - 'pending' | 'approved' | 'rejected'
+     */
+    async moderatePhoto(id, status) {
+        if (!APP_CONFIG.MODERATION.STATUSES.includes(status)) {
+            throw new Error(`Unknown moderation status: ${status}`);
+        }
+        return this.updatePhoto(id, { status });
+    }
+
+    /**
+     * エリアデータを正規化
+     * ポリゴン境界（boundary）を持ち中心座標がないエリアには重心を中心として補完する
+     */
+    normalizeAreas(areas) {
+        return areas.map(area => {
+            if (!area.boundary) return area;
+
+            if (!GeoUtils.getGeometry(area.boundary)) {
+                console.warn(`⚠️ Unsupported boundary geometry for area: ${area.name}`);
+                return area;
+            }
+
+            if (area.center_lat != null && area.center_lng != null) return area;
+
+            const centroid = GeoUtils.getBoundaryCentroid(area.boundary);
+            return centroid ? { ...area, center_lat: centroid.lat, center_lng: centroid.lng } : area;
         });
     }
 
+    /**
+     * エリアがポリゴン境界を持つか
+     */
+    hasBoundary(area) {
+        return !!GeoUtils.getGeometry(area?.boundary);
+    }
+
+    /**
+     * 写真がエリア内にあるか判定
+     * ポリゴン境界があれば内外判定、なければ中心からの半径（km）で判定
+     */
+    isPhotoInArea(photo, area) {
+        if (this.hasBoundary(area)) {
+            return GeoUtils.isPointInBoundary(photo.latitude, photo.longitude, area.boundary);
+        }
+
+        const distance = this.calculateDistance(
+            photo.latitude, photo.longitude,
+            area.center_lat, area.center_lng
+        );
+        return distance <= (area.radius || 1.0);
+    }
+
+    /**
+     * 🔍 新しいクエリを作成（現在の条件には影響しない）
+     * @param {Object} criteria - 初期条件
+     * @returns {PhotoQuery}
+     */
+    createQuery(criteria = {}) {
+        return new PhotoQuery(criteria);
+    }
+
+    /**
+     * 🔍 有効なクエリを設定し、QUERY_CHANGEDを発火
+     * @param {PhotoQuery|Object} query - クエリまたは条件オブジェクト
+     */
+    setQuery(query) {
+        this.activeQuery = query instanceof PhotoQuery ? query : new PhotoQuery(query);
+        console.log('🔍 Photo query updated:', this.activeQuery.toJSON());
+
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.QUERY_CHANGED, this.activeQuery);
+        }
+        return this.activeQuery;
+    }
+
+    /**
+     * 🔍 有効なクエリの一部の条件を変更
+     * @param {Object} changes - 変更する条件
+     */
+    updateQuery(changes) {
+        return this.setQuery(this.activeQuery.with(changes));
+    }
+
+    /**
+     * 🔍 クエリを初期状態に戻す
+     */
+    resetQuery() {
+        return this.setQuery(new PhotoQuery());
+    }
+
+    /**
+     * 🔍 現在有効なクエリを取得
+     */
+    getQuery() {
+        return this.activeQuery;
+    }
+
+    /**
+     * 🔍 写真配列にクエリを適用
+     * @param {PhotoQuery} query - 適用するクエリ（省略時は有効なクエリ）
+     * @param {Array} photos - 対象の写真配列（省略時は全写真）
+     */
+    queryPhotos(query = this.activeQuery, photos = this.photos) {
+        return query.apply(photos);
+    }
+
+    /**
+     * 指定エリア内で有効なクエリに一致する写真を取得
+     */
+    getFilteredPhotosInArea(area) {
+        return this.queryPhotos(this.activeQuery, this.getPhotosInArea(area));
+    }
+
+    /**
+     * 全写真のタグを使用回数の多い順に取得
+     * @returns {Array<{tag: string, count: number}>}
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.photos.forEach(photo => {
+            (photo.tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ja'));
+    }
+
+    /**
+     * 空間インデックスとエリア割り当てインデックスを構築
+     * 写真やエリアを変更した後はこれを呼んで再構築する
+     */
+    buildIndexes() {
+        this.buildSpatialIndex();
+        this.buildAreaIndex();
+    }
+
+    /**
+     * 🧭 写真座標の空間インデックスを構築
+     */
+    buildSpatialIndex() {
+        const indexStart = performance.now();
+        this.spatialIndex.build(this.photos, photo => [photo.latitude, photo.longitude]);
+        console.log(`🧭 Spatial index built in ${(performance.now() - indexStart).toFixed(2)}ms` +
+            ` (${this.spatialIndex.size} photos, ${this.spatialIndex.cells.size} cells)`);
+    }
+
+    /**
+     * 🧭 エリアの範囲内にある写真を空間インデックスで検索（割り当ては考慮しない）
+     */
+    findPhotosWithinArea(area) {
+        if (this.hasBoundary(area)) {
+            return this.spatialIndex
+                .queryBounds(GeoUtils.getBoundaryBounds(area.boundary))
+                .filter(photo => GeoUtils.isPointInBoundary(photo.latitude, photo.longitude, area.boundary));
+        }
+
+        if (!area.center_lat || !area.center_lng) return [];
+        return this.spatialIndex.queryRadius(area.center_lat, area.center_lng, area.radius || 1.0);
+    }
+
+    /**
+     * 🧭 指定範囲（地図の表示範囲など）にある写真を取得
+     * @param {L.LatLngBounds|{south: number, west: number, north: number, east: number}} bounds
+     * @param {Object} options - { applyQuery: 有効なクエリを適用するか }
+     */
+    getPhotosInBounds(bounds, { applyQuery = false } = {}) {
+        const normalized = this.normalizeBounds(bounds);
+        if (!normalized) return [];
+
+        const photos = this.spatialIndex.queryBounds(normalized);
+        return applyQuery ? this.queryPhotos(this.activeQuery, photos) : photos;
+    }
+
+    /**
+     * LeafletのLatLngBoundsまたはプレーンオブジェクトを { south, west, north, east } に変換
+     */
+    normalizeBounds(bounds) {
+        if (!bounds) return null;
+        if (typeof bounds.getSouth === 'function') {
+            return {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            };
+        }
+        const { south, west, north, east } = bounds;
+        return [south, west, north, east].every(Number.isFinite) ? { south, west, north, east } : null;
+    }
+
+    /**
+     * 📍 写真→エリアの割り当てインデックスを構築
+     * 写真の割り当て先は次の順で決定する
+     *   1. 写真の area_id が既存エリアを指していればそのエリア
+     *   2. 写真を範囲内に含む有効なエリアのうち AREA_ASSIGNMENT.STRATEGY で選ばれた1つ
+     *   3. どのエリアにも含まれない写真は未割り当て
+     */
+    buildAreaIndex() {
+        const indexStart = performance.now();
+        const areasById = new Map(this.areas.map(area => [area.id, area]));
+        const candidates = this.areas.filter(area => area.is_active !== false);
+
+        this.areaPhotoIndex = new Map(this.areas.map(area => [area.id, []]));
+        this.photoAreaIndex = new Map();
+
+        // エリアごとに空間インデックスで範囲内の写真を集め、写真→候補エリアを作る
+        const containingAreas = new Map(); // photo → areas[]
+        candidates.forEach(area => {
+            this.findPhotosWithinArea(area).forEach(photo => {
+                if (!containingAreas.has(photo)) containingAreas.set(photo, []);
+                containingAreas.get(photo).push(area);
+            });
+        });
+
+        this.photos.forEach(photo => {
+            const area = (photo.area_id && areasById.get(photo.area_id)) ||
+                this.selectAreaForPhoto(photo, containingAreas.get(photo) || []);
+            if (!area) return;
+
+            this.areaPhotoIndex.get(area.id).push(photo);
+            this.photoAreaIndex.set(photo.id, area.id);
+        });
+
+        const unassigned = this.photos.length - this.photoAreaIndex.size;
+        console.log(`📍 Area index built in ${(performance.now() - indexStart).toFixed(2)}ms` +
+            ` (${this.photoAreaIndex.size} assigned, ${unassigned} unassigned)`);
+    }
+
+    /**
+     * 📍 写真を含むエリアの中から割り当て先を1つ選ぶ
+     */
+    findBestAreaForPhoto(photo, candidates = this.areas) {
+        return this.selectAreaForPhoto(photo, candidates.filter(area => this.isPhotoInArea(photo, area)));
+    }
+
+    /**
+     * 📍 写真を含むエリアの配列から AREA_ASSIGNMENT.STRATEGY に従って1つ選ぶ
+     */
+    selectAreaForPhoto(photo, containingAreas) {
+        const containing = containingAreas
+            .map(area => ({
+                area,
+                distance: this.calculateDistance(
+                    photo.latitude, photo.longitude,
+                    area.center_lat, area.center_lng
+                ),
+                priority: area.priority ?? Number.MAX_SAFE_INTEGER
+            }));
+
+        if (containing.length === 0) return null;
+
+        const byPriority = APP_CONFIG.AREA_ASSIGNMENT.STRATEGY === 'priority';
+        containing.sort((a, b) => {
+            const primary = byPriority ? a.priority - b.priority : a.distance - b.distance;
+            if (primary !== 0) return primary;
+            const secondary = byPriority ? a.distance - b.distance : a.priority - b.priority;
+            // 最後はIDで決定的に並べる
+            return secondary !== 0 ? secondary : String(a.area.id).localeCompare(String(b.area.id));
+        });
+
+        return containing[0].area;
+    }
+
+    /**
+     * 指定エリアに割り当てられた写真を取得
+     * クラスターの場合は構成エリアの写真をまとめて返す（重複なし）
+     */
+    getPhotosInArea(area) {
+        if (!area) return [];
+
+        if (area.isCluster && Array.isArray(area.areas)) {
+            return area.areas.flatMap(member => this.getPhotosInArea(member));
+        }
+
+        if (this.areaPhotoIndex.has(area.id)) {
+            return [...this.areaPhotoIndex.get(area.id)];
+        }
+
+        // インデックスにないエリア（データセット外）は範囲で判定
+        return this.findPhotosWithinArea(area);
+    }
+
+    /**
+     * 📍 エリア→写真のインデックスを取得（マーカーとパネルの件数の共通ソース）
+     * @returns {Map<string, Array>}
+     */
+    getAreaPhotoIndex() {
+        return this.areaPhotoIndex;
+    }
+
+    /**
+     * 📍 写真が割り当てられたエリアIDを取得（未割り当てなら null）
+     */
+    getAreaIdForPhoto(photo) {
+        return this.photoAreaIndex.get(photo?.id) ?? null;
+    }
+
+    /**
+     * 📍 どのエリアにも属さない写真を取得
+     */
+    getUnassignedPhotos() {
+        return this.photos.filter(photo => !this.photoAreaIndex.has(photo.id));
+    }
+
     /**
      * 2点間の距離を計算（km単位）
      */
     calculateDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371; // 地球の半径（km）
-        const dLat = this.degToRad(lat2 - lat1);
-        const dLng = this.degToRad(lng2 - lng1);
-        const a = 
-            Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(this.degToRad(lat1)) * Math.cos(this.degToRad(lat2)) * 
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c;
+        return GeoUtils.distanceKm(lat1, lng1, lat2, lng2);
     }
 
     /**
      * 度をラジアンに変換
      */
     degToRad(deg) {
-        return deg * (Math.PI/180);
+        return GeoUtils.degToRad(deg);
     }
 
     /**
-     * ⚡ キャッシュ機能付きFetch
+     * 💾 写真の保存先を設定
+     * @param {StorageAdapter|null} storage
      */
-    async fetchWithCache(url, key) {
-        const cacheKey = `${key}_${url}`;
-        const cached = this.cache.get(cacheKey);
-        
-        // キャッシュが有効かチェック
-        if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
-            console.log(`📄 Using cached data for: ${key}`);
-            return cached.response;
+    setStorageAdapter(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * 写真の追加・更新・削除ができるか
+     */
+    canWrite() {
+        return !!this.storage?.isWritable;
+    }
+
+    /**
+     * 💾 写真を追加して保存
+     * @param {Object} photoData - 追加する写真（IDは保存先で採番）
+     * @returns {Promise<Object>} 保存された写真
+     */
+    async createPhoto(photoData) {
+        this.assertWritable();
+
+        const photo = await this.storage.createPhoto(photoData);
+        this.allPhotos.push(photo);
+        this.handlePhotosChanged(APP_EVENTS.PHOTO_CREATED, photo);
+
+        console.log(`💾 Photo created: ${photo.id}`);
+        return photo;
+    }
+
+    /**
+     * 💾 写真を更新して保存
+     * @param {string} id - 写真ID
+     * @param {Object} changes - 変更する項目
+     * @returns {Promise<Object>} 更新後の写真
+     */
+    async updatePhoto(id, changes) {
+        this.assertWritable();
+        this.findPhotoIndex(id);
+
+        const photo = await this.storage.updatePhoto(id, changes);
+        // 保存中に一覧が読み込み直される（ログイン状態の変更・更新の確認）ことがあるため、位置は保存後に探す
+        const index = this.allPhotos.findIndex(p => p.id === id);
+        if (index === -1) {
+            console.warn(`⚠️ Photo updated but no longer loaded: ${id}`);
+            return photo;
+        }
+        this.allPhotos[index] = photo;
+        this.handlePhotosChanged(APP_EVENTS.PHOTO_UPDATED, photo);
+
+        console.log(`💾 Photo updated: ${id}`);
+        return photo;
+    }
+
+    /**
+     * 💾 写真を削除
+     * @param {string} id - 写真ID
+     */
+    async deletePhoto(id) {
+        this.assertWritable();
+        this.findPhotoIndex(id);
+
+        await this.storage.deletePhoto(id);
+        // 保存中に一覧が読み込み直された場合に備え、位置は削除後に探す（読み込み直した一覧になければ何もしない）
+        const index = this.allPhotos.findIndex(p => p.id === id);
+        if (index !== -1) {
+            const [photo] = this.allPhotos.splice(index, 1);
+            this.handlePhotosChanged(APP_EVENTS.PHOTO_DELETED, photo);
+        }
+
+        console.log(`💾 Photo deleted: ${id}`);
+    }
+
+    /**
+     * エリアをIDで取得
+     */
+    getArea(id) {
+        return this.areas.find(area => area.id === id) || null;
+    }
+
+    /**
+     * 🗺️ エリアを追加して保存
+     * @param {Object} areaData - 追加するエリア（IDは保存先で採番）
+     * @returns {Promise<Object>} 保存されたエリア
+     */
+    async createArea(areaData) {
+        this.assertWritable();
+
+        const [area] = this.normalizeAreas([await this.storage.createArea(areaData)]);
+        this.areas.push(area);
+        this.handleAreasChanged(APP_EVENTS.AREA_CREATED, area);
+
+        console.log(`🗺️ Area created: ${area.id}`);
+        return area;
+    }
+
+    /**
+     * 🗺️ エリアを更新して保存
+     * @param {string} id - エリアID
+     * @param {Object} changes - 変更する項目（値が null の項目は削除）
+     * @returns {Promise<Object>} 更新後のエリア
+     */
+    async updateArea(id, changes) {
+        this.assertWritable();
+        this.findAreaIndex(id);
+
+        const [area] = this.normalizeAreas([await this.storage.updateArea(id, changes)]);
+        // 保存中に一覧が読み込み直される（更新の確認）ことがあるため、位置は保存後に探す
+        const index = this.areas.findIndex(a => a.id === id);
+        if (index === -1) {
+            console.warn(`⚠️ Area updated but no longer loaded: ${id}`);
+            return area;
+        }
+        this.areas[index] = area;
+        this.handleAreasChanged(APP_EVENTS.AREA_UPDATED, area);
+
+        console.log(`🗺️ Area updated: ${id}`);
+        return area;
+    }
+
+    /**
+     * 🗺️ エリアを削除（割り当てられていた写真は範囲で割り当て直す）
+     * @param {string} id - エリアID
+     */
+    async deleteArea(id) {
+        this.assertWritable();
+        this.findAreaIndex(id);
+
+        await this.storage.deleteArea(id);
+        // 保存中に一覧が読み込み直された場合に備え、位置は削除後に探す（読み込み直した一覧になければ何もしない）
+        const index = this.areas.findIndex(a => a.id === id);
+        if (index !== -1) {
+            const [area] = this.areas.splice(index, 1);
+            this.handleAreasChanged(APP_EVENTS.AREA_DELETED, area);
+        }
+
+        console.log(`🗺️ Area deleted: ${id}`);
+    }
+
+    /**
+     * エリア一覧での位置を取得（見つからなければエラー）
+     */
+    findAreaIndex(id) {
+        const index = this.areas.findIndex(area => area.id === id);
+        if (index === -1) {
+            throw new Error(`Area not found: ${id}`);
+        }
+        return index;
+    }
+
+    /**
+     * 💾 画像ファイルを保存してURLを取得
+     * @param {Blob} blob - 画像
+     * @param {string} kind - 'image'（本体） | 'thumbnail'
+     * @returns {Promise<string>} 画像のURL
+     */
+    async uploadImage(blob, kind = 'image') {
+        this.assertWritable();
+
+        const url = await this.storage.uploadImage(blob, kind);
+        console.log(`💾 Image uploaded (${kind}, ${(blob.size / 1024).toFixed(1)}KB): ${url}`);
+        return url;
+    }
+
+    /**
+     * 書き込み可能な保存先がなければエラー
+     */
+    assertWritable() {
+        if (!this.canWrite()) {
+            throw new Error('保存先が設定されていません（APIサーバーを起動してください）');
+        }
+    }
+
+    /**
+     * 全写真の中での位置を取得（見つからなければエラー）
+     */
+    findPhotoIndex(id) {
+        const index = this.allPhotos.findIndex(photo => photo.id === id);
+        if (index === -1) {
+            throw new Error(`Photo not found: ${id}`);
+        }
+        return index;
+    }
+
+    /**
+     * 写真の追加・更新・削除（表示範囲の変更）後にインデックスを作り直して通知
+     */
+    handlePhotosChanged(eventType, data) {
+        this.applyPhotoVisibility();
+        this.buildIndexes();
+
+        if (this.eventBus) {
+            this.eventBus.emit(eventType, data);
+        }
+    }
+
+    /**
+     * エリアの追加・更新・削除後に写真の割り当てを作り直して通知
+     */
+    handleAreasChanged(eventType, data) {
+        this.buildAreaIndex();
+
+        if (this.eventBus) {
+            this.eventBus.emit(eventType, data);
+        }
+    }
+
+    /**
+     * 📦 写真の分割ファイルの一覧（manifest.json）を読み込む
+     * 分割していない場合（ファイルがない）や形式が正しくない場合は photos.json をまとめて読み込む
+     * @returns {Promise<boolean>} 分割読み込みにしたか
+     */
+    async loadPhotoManifest(manifestUrl) {
+        let manifest;
+        try {
+            ({ body: manifest } = await this.fetchDataFile(manifestUrl, 'photo manifest'));
+        } catch (error) {
+            console.log('📄 No photo manifest, loading all photos at once');
+            return false;
+        }
+
+        const shards = Array.isArray(manifest?.shards) ?
+            manifest.shards.filter(shard => typeof shard?.file === 'string') : [];
+        if (shards.length === 0) {
+            console.warn('⚠️ Photo manifest has no shards, loading all photos at once');
+            return false;
+        }
+
+        this.photoManifestUrl = manifestUrl;
+        this.photoShards = new Map(shards.map(shard => [shard.id ?? shard.file, {
+            ...shard,
+            url: new URL(shard.file, manifestUrl).href,
+            state: 'pending', // 'pending' | 'loading' | 'loaded' | 'failed'
+            promise: null
+        }]));
+        return true;
+    }
+
+    /**
+     * 写真を分割ファイルから読み込むか
+     */
+    isSharded() {
+        return this.photoShards !== null;
+    }
+
+    /**
+     * 📦 地図の表示範囲（と周囲）にある写真の分割ファイルを読み込む
+     * @param {L.LatLngBounds|{south: number, west: number, north: number, east: number}} bounds
+     * @param {Object} options - loadShards と同じ
+     * @returns {Promise<number>} 追加した写真の枚数
+     */
+    loadShardsInBounds(bounds, options = {}) {
+        const normalized = this.normalizeBounds(bounds);
+        if (!this.isSharded() || !normalized) return Promise.resolve(0);
+
+        const padded = GeoUtils.padBounds(normalized, APP_CONFIG.PHOTO_SHARDS.VIEWPORT_PADDING);
+        return this.loadShards(this.findShardsInBounds(padded), options);
+    }
+
+    /**
+     * 📦 エリア（クラスターの場合は含まれるすべてのエリア）の範囲にある写真の分割ファイルを読み込む
+     */
+    loadShardsForArea(area, options = {}) {
+        if (!this.isSharded() || !area) return Promise.resolve(0);
+
+        const members = area.isCluster && Array.isArray(area.areas) ? area.areas : [area];
+        const shards = new Set(members.flatMap(member => {
+            const bounds = this.getAreaBounds(member);
+            return bounds ? this.findShardsInBounds(bounds) : [];
+        }));
+        return this.loadShards([...shards], options);
+    }
+
+    /**
+     * 📦 すべての分割ファイルを読み込む（検索・絞り込みやオフライン用の保存の前）
+     */
+    loadAllShards(options = {}) {
+        if (!this.isSharded()) return Promise.resolve(0);
+        return this.loadShards([...this.photoShards.values()], options);
+    }
+
+    /**
+     * 範囲と重なる分割ファイル（範囲が書かれていないものは常に含める）
+     */
+    findShardsInBounds(bounds) {
+        return [...this.photoShards.values()]
+            .filter(shard => !shard.bounds || GeoUtils.boundsIntersect(shard.bounds, bounds));
+    }
+
+    /**
+     * エリアの範囲（ポリゴン境界、なければ中心と半径を囲む範囲）
+     */
+    getAreaBounds(area) {
+        if (this.hasBoundary(area)) {
+            return GeoUtils.getBoundaryBounds(area.boundary);
+        }
+        if (!Number.isFinite(area.center_lat) || !Number.isFinite(area.center_lng)) return null;
+        return GeoUtils.getCircleBounds(area.center_lat, area.center_lng, area.radius || 1.0);
+    }
+
+    /**
+     * 📦 分割ファイルを同時実行数を制限して読み込み、まとめて写真に追加する
+     * 読み込み済みのものは読み込まない。読み込み中のもの（別の呼び出し）は完了を待つ
+     * @param {Array} shards
+     * @param {Object} options - { onProgress: ({ loaded, total, shard }) => void 1ファイルごと（失敗を含む）に呼ばれる }
+     * @returns {Promise<number>} 追加した写真の枚数
+     */
+    async loadShards(shards, { onProgress = null } = {}) {
+        const targets = shards.filter(shard => shard.state !== 'loaded');
+        if (targets.length === 0) return 0;
+
+        const records = [];
+        const loadedIds = [];
+        let next = 0;
+        let loaded = 0;
+
+        const worker = async () => {
+            while (next < targets.length) {
+                const shard = targets[next++];
+                if (shard.promise) {
+                    await shard.promise;
+                } else {
+                    shard.promise = this.fetchShard(shard);
+                    const shardRecords = await shard.promise;
+                    if (shard.state === 'loaded') {
+                        records.push(...shardRecords);
+                        loadedIds.push(shard.id);
+                    }
+                }
+                onProgress?.({ loaded: ++loaded, total: targets.length, shard });
+            }
+        };
+
+        const loadStart = performance.now();
+        await Promise.all(Array.from({ length: Math.min(APP_CONFIG.PHOTO_SHARDS.CONCURRENCY, targets.length) }, worker));
+        console.log(`📦 Loaded ${loadedIds.length}/${targets.length} photo shards in ${(performance.now() - loadStart).toFixed(2)}ms`);
+
+        return loadedIds.length > 0 ? this.addShardPhotos(records, loadedIds) : 0;
+    }
+
+    /**
+     * 分割ファイルを1つ読み込む（失敗した場合は次に必要になった時に読み込み直す）
+     * @returns {Promise<Array>} 写真のレコード
+     */
+    async fetchShard(shard) {
+        shard.state = 'loading';
+        try {
+            const { body } = await this.fetchDataFile(shard.url, `photo shard ${shard.id}`);
+            if (!Array.isArray(body)) {
+                throw new TypeError(`Photo shard ${shard.id} is not an array`);
+            }
+            shard.state = 'loaded';
+            return body;
+        } catch (error) {
+            shard.state = 'failed';
+            shard.promise = null;
+            ErrorHandler.handle(error, 'DataManager.fetchShard', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'DataManager'
+            });
+            return [];
+        }
+    }
+
+    /**
+     * 分割ファイルから読み込んだ写真を検証して追加し、PHOTOS_ADDED を通知
+     * 別のファイルで読み込み済みの id は追加しない
+     * @returns {number} 追加した写真の枚数
+     */
+    addShardPhotos(records, shardIds) {
+        const knownIds = new Set(this.allPhotos.map(photo => photo.id));
+        const unique = records.filter(record => !knownIds.has(record?.id));
+        if (unique.length < records.length) {
+            console.warn(`⚠️ ${records.length - unique.length} photos skipped (already loaded from another shard)`);
+        }
+
+        const photos = this.validateRecords(unique, 'photos', { append: true });
+        this.allPhotos = [...this.allPhotos, ...photos];
+        this.handlePhotosChanged(APP_EVENTS.PHOTOS_ADDED, { photos, shards: shardIds });
+        return photos.length;
+    }
+
+    /**
+     * 撮影日の一覧（タイムスライダーの範囲用）
+     * 分割読み込みの場合は、まだ読み込んでいないファイルの撮影期間（manifest.json）も含める
+     */
+    getTakenDates() {
+        const dates = this.photos.map(photo => photo.taken_at);
+        if (this.isSharded()) {
+            this.photoShards.forEach(shard => {
+                if (shard.state !== 'loaded') dates.push(shard.taken_from, shard.taken_to);
+            });
+        }
+        return dates.filter(Boolean);
+    }
+
+    /**
+     * manifest.json と分割ファイルのURL（オフライン用の保存に使う。分割していなければ空）
+     */
+    getShardUrls() {
+        if (!this.isSharded()) return [];
+        return [this.photoManifestUrl, ...[...this.photoShards.values()].map(shard => shard.url)];
+    }
+
+    /**
+     * 💾 IndexedDB に保存した前回のデータで表示し、裏で更新を確認する
+     * 保存先（APIサーバー）がある場合はロールによって返す写真が変わるため使わない
+     * @returns {Promise<boolean>} 保存済みのデータで表示したか
+     */
+    async loadFromPersistentCache(photosUrl, areasUrl) {
+        if (this.storage || !this.persistentCache) return false;
+
+        const [photosEntry, areasEntry] = await Promise.all([
+            this.readPersistentCache(photosUrl),
+            this.readPersistentCache(areasUrl)
+        ]);
+        if (!photosEntry || !areasEntry) return false;
+
+        try {
+            this.setPhotoRecords(photosEntry.body);
+            this.setAreaRecords(areasEntry.body);
+        } catch (error) {
+            // 保存済みのデータが壊れている場合は通常どおり読み込む
+            console.warn('⚠️ Ignoring invalid persistent cache:', error);
+            return false;
+        }
+        this.buildIndexes();
+
+        const savedAt = new Date(Math.min(photosEntry.savedAt, areasEntry.savedAt));
+        console.log(`⚡ Showing ${this.photos.length} photos and ${this.areas.length} areas saved at ${savedAt.toLocaleString()}`);
+
+        this.revalidation = this.revalidateDataFiles(photosUrl, areasUrl, photosEntry, areasEntry);
+        return true;
+    }
+
+    /**
+     * 🔄 保存済みのデータの更新を確認し、変わっていれば差分を反映する
+     * 確認できなかった場合（オフラインなど）は保存済みのデータのまま表示を続ける
+     */
+    async revalidateDataFiles(photosUrl, areasUrl, photosEntry, areasEntry) {
+        try {
+            const [photos, areas] = await Promise.all([
+                this.fetchDataFile(photosUrl, 'photos', photosEntry),
+                this.fetchDataFile(areasUrl, 'areas', areasEntry)
+            ]);
+
+            if (!photos.modified && !areas.modified) {
+                console.log('✅ Saved data is up to date');
+                return;
+            }
+            this.applyFreshData(
+                photos.modified ? photos.body : null,
+                areas.modified ? areas.body : null
+            );
+        } catch (error) {
+            ErrorHandler.handle(error, 'DataManager.revalidateDataFiles', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'DataManager'
+            });
+        }
+    }
+
+    /**
+     * 新しいデータと表示中のデータの差分を反映して通知（地図を読み込み直さずにマーカーを更新できる）
+     * 写真とエリアの差分をまとめて DATA_REFRESHED で1回だけ通知する（変化があった場合のみ。マーカーの再描画を1回にするため）
+     * @param {Array|null} photoRecords - 新しい写真の一覧（変わっていなければ null）
+     * @param {Array|null} areaRecords - 新しいエリアの一覧（変わっていなければ null）
+     */
+    applyFreshData(photoRecords, areaRecords) {
+        const photoDiff = photoRecords ?
+            this.diffRecords(this.allPhotos, this.validateRecords(photoRecords, 'photos')) : null;
+        const areaDiff = areaRecords ?
+            this.diffRecords(this.areas, this.normalizeAreas(this.validateRecords(areaRecords, 'areas'))) : null;
+
+        if (photoDiff) this.allPhotos = photoDiff.records;
+        if (areaDiff) this.areas = areaDiff.records;
+
+        const photoChanges = photoDiff ? photoDiff.added.length + photoDiff.removed.length + photoDiff.updated.length : 0;
+        const areaChanges = areaDiff ? areaDiff.added.length + areaDiff.removed.length + areaDiff.updated.length : 0;
+        console.log(`🔄 Fresh data applied: ${photoChanges} photo changes, ${areaChanges} area changes`);
+        if (photoChanges === 0 && areaChanges === 0) return;
+
+        this.applyPhotoVisibility();
+        this.buildIndexes();
+        if (!this.eventBus) return;
+
+        const toChanges = diff => ({ added: diff.added, removed: diff.removed, updated: diff.updated });
+        this.eventBus.emit(APP_EVENTS.DATA_REFRESHED, {
+            photos: photoChanges > 0 ? toChanges(photoDiff) : null,
+            areas: areaChanges > 0 ? toChanges(areaDiff) : null
+        });
+    }
+
+    /**
+     * id ごとにレコードを比較して追加・削除・変更を求める
+     * @returns {{ records: Array, added: Array, removed: Array, updated: Array }}
+     */
+    diffRecords(previous, next) {
+        const previousById = new Map(previous.map(record => [record.id, record]));
+        const nextIds = new Set(next.map(record => record.id));
+
+        const added = [];
+        const updated = [];
+        next.forEach(record => {
+            const old = previousById.get(record.id);
+            if (!old) {
+                added.push(record);
+            } else if (JSON.stringify(old) !== JSON.stringify(record)) {
+                updated.push(record);
+            }
+        });
+        const removed = previous.filter(record => !nextIds.has(record.id));
+
+        return { records: next, added, removed, updated };
+    }
+
+    /**
+     * 🌐 データファイルを取得して IndexedDB に保存
+     * 保存済みの ETag / Last-Modified を送り、変わっていなければ（304）保存済みのデータを使う
+     * @param {Object} [cached] - 保存済みのエントリ（省略時は IndexedDB から読む）
+     * @returns {Promise<{ body: *, modified: boolean }>} modified: 保存済みのデータから変わったか
+     */
+    async fetchDataFile(url, key, cached = undefined) {
+        if (cached === undefined) {
+            cached = await this.readPersistentCache(url);
+        }
+
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        console.log(`🌐 Fetching ${key}${cached ? ' (revalidating)' : ''}`);
+        const response = await fetch(url, { headers });
+        const etag = response.headers.get('ETag');
+
+        // オフライン時に Service Worker が保存済みの応答を返した場合も ETag が同じなら変わっていない
+        if (cached && (response.status === 304 || (etag && etag === cached.etag))) {
+            console.log(`📄 ${key} not modified`);
+            return { body: cached.body, modified: false };
         }
-        
-        // 新規フェッチ
-        console.log(`🌐 Fetching fresh data for: ${key}`);
-        const response = await fetch(url);
-        
         if (!response.ok) {
             throw new Error(`${key} fetch failed: ${response.status} ${response.statusText}`);
         }
-        
-        // キャッシュに保存
-        this.cache.set(cacheKey, {
-            response: response.clone(),
-            timestamp: Date.now()
+
+        const body = await response.json();
+        await this.writePersistentCache({
+            key: url,
+            body,
+            etag,
+            lastModified: response.headers.get('Last-Modified'),
+            savedAt: Date.now()
         });
-        
-        return response;
+        return { body, modified: true };
+    }
+
+    /**
+     * IndexedDB から読む（使えない・失敗した場合は保存されていないものとして扱う）
+     */
+    async readPersistentCache(key) {
+        if (!this.persistentCache) return null;
+
+        try {
+            return await this.persistentCache.get(key);
+        } catch (error) {
+            console.warn('⚠️ Persistent cache is not available:', error);
+            return null;
+        }
+    }
+
+    /**
+     * IndexedDB に保存（失敗しても表示は続ける）
+     */
+    async writePersistentCache(entry) {
+        if (!this.persistentCache) return;
+
+        try {
+            await this.persistentCache.set(entry);
+        } catch (error) {
+            console.warn('⚠️ Failed to save data for the next visit:', error);
+        }
     }
 
     /**
@@ -262,23 +1260,13 @@ export class DataManager {
         console.log('🎉 Critical image preloading completed');
     }
 
-    /**
-     * ⚡ メモリキャッシュをクリア
-     */
-    clearCache() {
-        this.cache.clear();
-        console.log('🧹 Data cache cleared');
-    }
-
     // Getters  
     getPhotos() { return this.photos; }
     getAreas() { return this.areas; }
     
-    // フィルタリング関数（パフォーマンス最適化版）
+    
+    // 有効なクエリを適用した全写真
     getFilteredPhotos() {
-        // シンプル化のため、基本的にはすべての写真を返す
-        return this.photos;
+        return this.queryPhotos();
     }
-    
-    // 検索・ソート機能は削除されました（シンプル化のため）
 }
\ No newline at end of file
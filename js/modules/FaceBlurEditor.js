@@ -0,0 +1,233 @@
+import { ImageAnonymizer } from '../utils/ImageAnonymizer.js';
+
+/**
+ * 顔ぼかしエディターを担当するクラス
+ * 投稿前の写真に四角形（ドラッグ）またはブラシ（なぞる）でモザイクをかける範囲を指定する
+ * 編集結果は画像サイズに依存しないマスク（ImageAnonymizer の形式）として返し、
+ * アップロード時に縮小前の画像へ適用する
+ */
+export class FaceBlurEditor {
+    // 編集用に表示する画像の長辺（元画像が大きくても操作が重くならないように縮小）
+    static WORKING_SIZE = 1200;
+
+    constructor() {
+        this.elements = {};
+        this.image = null;         // 編集用に縮小した元画像（Canvas）
+        this.mask = ImageAnonymizer.createMask();
+        this.history = [];         // 元に戻す用: 'rect' | 'stroke'
+        this.tool = 'rect';
+        this.brushSize = 0.04;     // 画像の幅に対するブラシの太さ
+        this.drawing = null;       // 描画中の { type, start, rect | stroke }
+        this.resolve = null;
+    }
+
+    /**
+     * 初期化（DOMと結びつける）
+     */
+    init() {
+        this.elements = {
+            modal: document.getElementById('faceBlurModal'),
+            canvas: document.getElementById('faceBlurCanvas'),
+            toolButtons: document.querySelectorAll('#faceBlurModal [data-blur-tool]'),
+            brushSize: document.getElementById('faceBlurBrushSize'),
+            undo: document.getElementById('faceBlurUndo'),
+            clear: document.getElementById('faceBlurClear'),
+            apply: document.getElementById('faceBlurApply'),
+            cancel: document.getElementById('faceBlurCancel')
+        };
+
+        const { modal, canvas, toolButtons, brushSize, undo, clear, apply, cancel } = this.elements;
+        if (!modal || !canvas) {
+            console.warn('⚠️ FaceBlurEditor: elements not found');
+            return;
+        }
+
+        toolButtons.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.blurTool));
+        });
+        brushSize?.addEventListener('input', () => {
+            this.brushSize = Number(brushSize.value) / 100;
+        });
+        undo?.addEventListener('click', () => this.undo());
+        clear?.addEventListener('click', () => {
+            this.mask = ImageAnonymizer.createMask();
+            this.history = [];
+            this.render();
+        });
+        apply?.addEventListener('click', () => this.close(this.mask));
+        cancel?.addEventListener('click', () => this.close(null));
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', () => {
+            this.drawing = null;
+            this.render();
+        });
+    }
+
+    /**
+     * エディターを開く
+     * @param {ImageBitmap|HTMLImageElement} image - 元画像
+     * @param {Object|null} mask - 前回の編集結果
+     * @returns {Promise<Object|null>} 適用したマスク（キャンセル時は null）
+     */
+    open(image, mask = null) {
+        const { modal, canvas } = this.elements;
+        if (!modal || !canvas) return Promise.resolve(null);
+
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+        const scale = Math.min(1, FaceBlurEditor.WORKING_SIZE / Math.max(sourceWidth, sourceHeight));
+        this.image = ImageAnonymizer.apply(image, null, {
+            width: Math.round(sourceWidth * scale),
+            height: Math.round(sourceHeight * scale)
+        });
+        canvas.width = this.image.width;
+        canvas.height = this.image.height;
+
+        this.mask = mask ?
+            { rects: [...mask.rects], strokes: [...mask.strokes] } :
+            ImageAnonymizer.createMask();
+        this.history = [];
+        this.setTool(this.tool);
+        this.render();
+
+        modal.style.display = 'flex';
+        return new Promise(resolve => { this.resolve = resolve; });
+    }
+
+    /**
+     * エディターを閉じて結果を返す
+     */
+    close(result) {
+        if (this.elements.modal) {
+            this.elements.modal.style.display = 'none';
+        }
+        this.image = null;
+        this.drawing = null;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve?.(result);
+    }
+
+    /**
+     * 道具を切り替え（'rect' | 'brush'）
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.elements.toolButtons?.forEach(button => {
+            const isActive = button.dataset.blurTool === tool;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        if (this.elements.brushSize) {
+            this.elements.brushSize.disabled = tool !== 'brush';
+        }
+    }
+
+    /**
+     * 直前の範囲を取り消す
+     */
+    undo() {
+        const last = this.history.pop();
+        if (last === 'rect') this.mask.rects.pop();
+        if (last === 'stroke') this.mask.strokes.pop();
+        this.render();
+    }
+
+    /**
+     * ポインター位置を画像に対する比率（0〜1）に変換
+     */
+    getPoint(e) {
+        const bounds = this.elements.canvas.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1),
+            y: Math.min(Math.max((e.clientY - bounds.top) / bounds.height, 0), 1)
+        };
+    }
+
+    handlePointerDown(e) {
+        if (!this.image) return;
+        e.preventDefault();
+        this.elements.canvas.setPointerCapture(e.pointerId);
+
+        const point = this.getPoint(e);
+        this.drawing = this.tool === 'brush' ?
+            { type: 'stroke', stroke: { points: [point], size: this.brushSize } } :
+            { type: 'rect', start: point, rect: { x: point.x, y: point.y, width: 0, height: 0 } };
+        this.render();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drawing) return;
+
+        const point = this.getPoint(e);
+        if (this.drawing.type === 'stroke') {
+            this.drawing.stroke.points.push(point);
+        } else {
+            const { start } = this.drawing;
+            this.drawing.rect = {
+                x: Math.min(start.x, point.x),
+                y: Math.min(start.y, point.y),
+                width: Math.abs(point.x - start.x),
+                height: Math.abs(point.y - start.y)
+            };
+        }
+        this.render();
+    }
+
+    handlePointerUp() {
+        if (!this.drawing) return;
+
+        const { type, rect, stroke } = this.drawing;
+        this.drawing = null;
+
+        if (type === 'stroke') {
+            this.mask.strokes.push(stroke);
+            this.history.push('stroke');
+        } else if (rect.width > 0.005 && rect.height > 0.005) {
+            // クリックだけの小さすぎる四角形は無視
+            this.mask.rects.push(rect);
+            this.history.push('rect');
+        }
+        this.render();
+    }
+
+    /**
+     * モザイクを適用した画像と、描画中の範囲の枠を表示
+     */
+    render() {
+        const { canvas, undo } = this.elements;
+        if (!canvas || !this.image) return;
+
+        const mask = this.getMaskWithDrawing();
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(ImageAnonymizer.apply(this.image, mask), 0, 0);
+
+        if (this.drawing?.type === 'rect') {
+            const { x, y, width, height } = this.drawing.rect;
+            ctx.save();
+            ctx.strokeStyle = '#FF3B30';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(x * canvas.width, y * canvas.height, width * canvas.width, height * canvas.height);
+            ctx.restore();
+        }
+
+        if (undo) {
+            undo.disabled = this.history.length === 0;
+        }
+    }
+
+    /**
+     * 描画中の範囲を含めたマスク（プレビュー用）
+     */
+    getMaskWithDrawing() {
+        if (!this.drawing) return this.mask;
+        return this.drawing.type === 'stroke' ?
+            { rects: this.mask.rects, strokes: [...this.mask.strokes, this.drawing.stroke] } :
+            { rects: [...this.mask.rects, this.drawing.rect], strokes: this.mask.strokes };
+    }
+}
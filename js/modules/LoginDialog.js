@@ -0,0 +1,121 @@
+/**
+ * スタッフのログイン画面を担当するクラス
+ * 地図コントロールのログインボタンで開き、ログイン中はボタンでログアウトする
+ */
+export class LoginDialog {
+    constructor(authManager, analytics = null) {
+        this.authManager = authManager;
+        this.analytics = analytics;
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（ボタン・ログイン画面と結びつける）
+     */
+    init() {
+        this.elements = {
+            button: document.getElementById('loginBtn'),
+            modal: document.getElementById('loginModal'),
+            form: document.getElementById('loginForm'),
+            username: document.getElementById('loginUsername'),
+            password: document.getElementById('loginPassword'),
+            error: document.getElementById('loginError'),
+            submit: document.getElementById('loginSubmitBtn'),
+            close: document.getElementById('closeLoginModal'),
+            backdrop: document.getElementById('loginBackdrop')
+        };
+
+        const { button, modal, form, close, backdrop } = this.elements;
+        if (!button || !modal || !form) {
+            console.warn('⚠️ LoginDialog: elements not found');
+            return;
+        }
+
+        button.addEventListener('click', () => this.handleButtonClick());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        close?.addEventListener('click', () => this.hide());
+        backdrop?.addEventListener('click', () => this.hide());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * ログインボタン（未ログインはログイン画面、ログイン中はログアウト）
+     */
+    async handleButtonClick() {
+        const { user } = this.authManager;
+        if (!user) {
+            this.show();
+            return;
+        }
+
+        if (confirm(`${user.username}（${this.authManager.getRoleLabel()}）からログアウトしますか？`)) {
+            await this.authManager.logout();
+            this.analytics?.trackUserAction('logout', 'auth');
+        }
+    }
+
+    show() {
+        const { modal, form, username } = this.elements;
+        if (!modal) return;
+
+        form.reset();
+        this.showError(null);
+        modal.style.display = 'flex';
+        username?.focus();
+    }
+
+    hide() {
+        if (this.elements.modal) {
+            this.elements.modal.style.display = 'none';
+        }
+        if (this.elements.password) {
+            this.elements.password.value = '';
+        }
+    }
+
+    isVisible() {
+        return this.elements.modal?.style.display === 'flex';
+    }
+
+    /**
+     * 🔑 入力内容でログイン
+     */
+    async submit() {
+        const { username, password, submit } = this.elements;
+        const name = username.value.trim();
+        if (!name || !password.value) {
+            this.showError('ユーザー名とパスワードを入力してください');
+            return;
+        }
+
+        submit.disabled = true;
+        this.showError(null);
+        try {
+            const user = await this.authManager.login(name, password.value);
+            this.analytics?.trackUserAction('login', 'auth', { role: user.role });
+            this.hide();
+        } catch (error) {
+            // 入力ミスはダイアログ内に表示する（ErrorHandlerのトーストは出さない）
+            this.showError(error.status === 401 ? error.message : `ログインできませんでした: ${error.message}`);
+            password.value = '';
+            password.focus();
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    showError(message) {
+        const { error } = this.elements;
+        if (!error) return;
+
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+}
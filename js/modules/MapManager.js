@@ -1,5 +1,7 @@
 import { APP_CONFIG } from '../config/constants.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { HeatmapLayer } from '../utils/HeatmapLayer.js';
 
 /**
  * 地図管理を担当するクラス
@@ -11,11 +13,18 @@ export class MapManager {
         this.map = null;
         this.eventHandlers = new Map(); // レガシー互換性
         this.isSelectingLocation = false;
-        this.selectedLocation = null;
+        this.selectedLocation = null;     // { lat, lng, source: 'map' | 'exif' | 'drag' }
+        this.selectedLocationMarker = null;
         this.tempMapClickHandler = null;
         
         // 🎯 EventBus統合
         this.eventBus = eventBus;
+        
+        // 🔥 ヒートマップ
+        this.heatmapLayer = null;
+        this.heatmapLegend = null;
+        this.heatmapWeighting = APP_CONFIG.HEATMAP.DEFAULT_WEIGHTING; // 'count' | 'views'
+        this.heatmapPhotos = [];
     }
 
     /**
@@ -69,9 +78,11 @@ export class MapManager {
     addTileLayer() {
         console.log('🗺️ Adding tile layer...');
         
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: APP_CONFIG.MAP.MAX_ZOOM
+        L.tileLayer(APP_CONFIG.MAP.TILE_URL, {
+            attribution: APP_CONFIG.MAP.TILE_ATTRIBUTION,
+            maxZoom: APP_CONFIG.MAP.MAX_ZOOM,
+            // CORSで取得する（Service Worker が中身を確認してキャッシュできるように）
+            crossOrigin: true
         }).addTo(this.map);
         
         console.log('✅ Tile layer added');
@@ -94,12 +105,27 @@ export class MapManager {
     setupMapEvents() {
         // ズーム変更イベント
         this.map.on('zoomend', () => {
+            if (this.eventBus) {
+                this.eventBus.emit(APP_EVENTS.MAP_ZOOM_CHANGED, this.map.getZoom());
+            }
+
             const handler = this.eventHandlers.get('zoomChange');
             if (handler) {
                 handler(this.map.getZoom());
             }
         });
 
+        // 移動・ズーム完了イベント（表示範囲に依存する描画の更新用）
+        this.map.on('moveend', () => {
+            if (this.eventBus) {
+                this.eventBus.emit(APP_EVENTS.MAP_MOVED, {
+                    center: this.map.getCenter(),
+                    zoom: this.map.getZoom(),
+                    bounds: this.map.getBounds()
+                });
+            }
+        });
+
         // 地図クリックイベント
         this.map.on('click', (e) => {
             // 位置選択モード中の処理
@@ -142,20 +168,70 @@ export class MapManager {
      */
     handleLocationSelection(e) {
         const { lat, lng } = e.latlng;
-        console.log(`📍 Location selected: ${lat.toFixed(6)}, ${lng.toFixed(6)}`);
-        
-        this.selectedLocation = { lat, lng };
         
         // 位置選択モードを終了
         this.endLocationSelection();
         
+        this.setSelectedLocation(lat, lng, { source: 'map' });
+    }
+
+    /**
+     * 📍 撮影場所を設定し、ドラッグで修正できるマーカーを置く
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {Object} options - { source: 'map'（地図で選択） | 'exif'（写真の位置情報） | 'drag'（マーカーを移動）, center: 地図をその位置へ移動するか }
+     */
+    setSelectedLocation(lat, lng, { source = 'map', center = false } = {}) {
+        console.log(`📍 Location selected (${source}): ${lat.toFixed(6)}, ${lng.toFixed(6)}`);
+        this.selectedLocation = { lat, lng, source };
+
+        if (this.selectedLocationMarker) {
+            this.selectedLocationMarker.setLatLng([lat, lng]);
+        } else {
+            this.selectedLocationMarker = L.marker([lat, lng], {
+                icon: L.divIcon({
+                    className: 'selected-location-marker',
+                    html: '<i class="fas fa-map-pin"></i>',
+                    iconSize: [28, 36],
+                    iconAnchor: [14, 36]
+                }),
+                draggable: true,
+                zIndexOffset: 1000,
+                title: 'ドラッグして撮影場所を修正'
+            }).addTo(this.map);
+
+            this.selectedLocationMarker.on('dragend', () => {
+                const position = this.selectedLocationMarker.getLatLng();
+                this.setSelectedLocation(position.lat, position.lng, { source: 'drag' });
+            });
+        }
+
+        if (center) {
+            this.centerMapOnLocation(lat, lng, Math.max(this.map.getZoom(), APP_CONFIG.MAP.ZOOM));
+        }
+        
         // 位置選択完了イベントを発火
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.MAP_LOCATION_SELECTED, this.selectedLocation);
+        }
+
         const handler = this.eventHandlers.get('locationSelected');
         if (handler) {
             handler(this.selectedLocation);
         }
     }
 
+    /**
+     * 撮影場所の選択とマーカーを消去
+     */
+    clearSelectedLocation() {
+        this.selectedLocation = null;
+        if (this.selectedLocationMarker) {
+            this.selectedLocationMarker.remove();
+            this.selectedLocationMarker = null;
+        }
+    }
+
     /**
      * 位置選択を終了
      */
@@ -170,12 +246,11 @@ export class MapManager {
     }
 
     /**
-     * 位置選択をキャンセル
+     * 位置選択をキャンセル（選択済みの撮影場所はそのまま）
      */
     cancelLocationSelection() {
         console.log('📍 Cancelling location selection');
         this.endLocationSelection();
-        this.selectedLocation = null;
         
         const handler = this.eventHandlers.get('locationSelectionCancelled');
         if (handler) {
@@ -275,12 +350,14 @@ export class MapManager {
 
     /**
      * 2点間の画面上での距離を計算（ピクセル単位）
+     * zoom を指定すると、そのズームレベルで表示したときの距離を返す
      */
-    getPixelDistance(lat1, lng1, lat2, lng2) {
+    getPixelDistance(lat1, lng1, lat2, lng2, zoom = null) {
         if (!this.map) return 0;
         
-        const point1 = this.map.latLngToLayerPoint([lat1, lng1]);
-        const point2 = this.map.latLngToLayerPoint([lat2, lng2]);
+        const targetZoom = zoom ?? this.map.getZoom();
+        const point1 = this.map.project([lat1, lng1], targetZoom);
+        const point2 = this.map.project([lat2, lng2], targetZoom);
         
         return Math.sqrt(
             Math.pow(point2.x - point1.x, 2) + 
@@ -288,6 +365,170 @@ export class MapManager {
         );
     }
 
+    /**
+     * 🔥 ヒートマップが表示中か
+     */
+    isHeatmapVisible() {
+        return !!this.heatmapLayer;
+    }
+
+    /**
+     * 🔥 ヒートマップを表示
+     * @param {Array} photos - 対象の写真（latitude/longitude/view_count）
+     */
+    showHeatmap(photos = this.heatmapPhotos) {
+        if (!this.map) return;
+
+        this.heatmapPhotos = photos;
+        if (!this.heatmapLayer) {
+            const config = APP_CONFIG.HEATMAP;
+            this.heatmapLayer = new HeatmapLayer({
+                radius: config.RADIUS_PX,
+                blur: config.BLUR_PX,
+                minOpacity: config.MIN_OPACITY,
+                opacity: config.OPACITY,
+                gradient: config.GRADIENT
+            }).addTo(this.map);
+            this.addHeatmapLegend();
+        }
+
+        this.heatmapLayer.setPoints(this.getHeatmapPoints(photos));
+        this.notifyHeatmapChanged();
+    }
+
+    /**
+     * 🔥 ヒートマップを非表示
+     */
+    hideHeatmap() {
+        if (!this.heatmapLayer) return;
+
+        this.heatmapLayer.remove();
+        this.heatmapLayer = null;
+        this.removeHeatmapLegend();
+        this.notifyHeatmapChanged();
+    }
+
+    /**
+     * 🔥 ヒートマップの表示を切り替え
+     */
+    toggleHeatmap(photos = this.heatmapPhotos) {
+        if (this.isHeatmapVisible()) {
+            this.hideHeatmap();
+        } else {
+            this.showHeatmap(photos);
+        }
+        return this.isHeatmapVisible();
+    }
+
+    /**
+     * 🔥 ヒートマップの対象写真を更新（絞り込み条件の変更時など）
+     */
+    updateHeatmapData(photos) {
+        this.heatmapPhotos = photos;
+        if (this.heatmapLayer) {
+            this.heatmapLayer.setPoints(this.getHeatmapPoints(photos));
+        }
+    }
+
+    /**
+     * 🔥 ヒートマップの重み付けを変更
+     * @param {string} weighting - 'count'（写真の枚数） | 'views'（閲覧数）
+     */
+    setHeatmapWeighting(weighting) {
+        this.heatmapWeighting = weighting === 'views' ? 'views' : 'count';
+        this.updateHeatmapData(this.heatmapPhotos);
+        this.updateHeatmapLegend();
+        this.notifyHeatmapChanged();
+    }
+
+    /**
+     * 写真をヒートマップの点に変換
+     */
+    getHeatmapPoints(photos) {
+        const byViews = this.heatmapWeighting === 'views';
+        return photos.map(photo => ({
+            lat: photo.latitude,
+            lng: photo.longitude,
+            weight: byViews ? (photo.view_count || 0) : 1
+        }));
+    }
+
+    /**
+     * 🔥 凡例（重み付けの切り替えを含む）を追加
+     */
+    addHeatmapLegend() {
+        const legend = L.control({ position: 'bottomleft' });
+
+        legend.onAdd = () => {
+            const container = L.DomUtil.create('div', 'heatmap-legend');
+            const stops = Object.entries(APP_CONFIG.HEATMAP.GRADIENT)
+                .map(([stop, color]) => `${color} ${Number(stop) * 100}%`)
+                .join(', ');
+
+            container.innerHTML = `
+                <div class="heatmap-legend-title">活動の集中度</div>
+                <div class="heatmap-weighting" role="group" aria-label="ヒートマップの重み付け">
+                    <button type="button" data-weighting="count">写真の枚数</button>
+                    <button type="button" data-weighting="views">閲覧数</button>
+                </div>
+                <div class="heatmap-legend-bar" style="background: linear-gradient(to right, ${stops});"></div>
+                <div class="heatmap-legend-labels">
+                    <span>少ない</span>
+                    <span>多い</span>
+                </div>
+            `;
+
+            container.querySelectorAll('[data-weighting]').forEach(button => {
+                button.addEventListener('click', () => this.setHeatmapWeighting(button.dataset.weighting));
+            });
+
+            // 凡例の操作で地図がドラッグ・ズームしないようにする
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            return container;
+        };
+
+        legend.addTo(this.map);
+        this.heatmapLegend = legend;
+        this.updateHeatmapLegend();
+    }
+
+    /**
+     * 凡例の重み付けボタンの状態を更新
+     */
+    updateHeatmapLegend() {
+        const container = this.heatmapLegend?.getContainer();
+        if (!container) return;
+
+        container.querySelectorAll('[data-weighting]').forEach(button => {
+            const isActive = button.dataset.weighting === this.heatmapWeighting;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * 凡例を削除
+     */
+    removeHeatmapLegend() {
+        if (this.heatmapLegend) {
+            this.heatmapLegend.remove();
+            this.heatmapLegend = null;
+        }
+    }
+
+    /**
+     * ヒートマップの状態変更を通知
+     */
+    notifyHeatmapChanged() {
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.HEATMAP_CHANGED, {
+                visible: this.isHeatmapVisible(),
+                weighting: this.heatmapWeighting
+            });
+        }
+    }
+
     /**
      * イベントハンドラを登録
      */
@@ -313,6 +554,7 @@ export class MapManager {
      * 地図を破棄
      */
     destroy() {
+        this.hideHeatmap();
         if (this.map) {
             this.map.remove();
             this.map = null;
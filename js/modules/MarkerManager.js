@@ -1,17 +1,21 @@
 import { APP_CONFIG } from '../config/constants.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { ClusterIndex } from '../utils/ClusterIndex.js';
 
 /**
  * マーカー管理を担当するクラス
  * SVGマーカーの生成、サイズ調整、クラスタリング、イベントハンドリングを管理
  */
 export class MarkerManager {
-    constructor(map, dataManager, eventBus = null) {
+    constructor(map, dataManager, eventBus = null, mapManager = null) {
         this.map = map;
         this.dataManager = dataManager;
+        this.mapManager = mapManager; // ピクセル距離の計算に使用
         this.areaLayer = L.layerGroup().addTo(map);
-        this.lastClusterState = null;
+        this.boundaryLayer = L.layerGroup().addTo(map); // 選択エリアの境界表示用
+        this.spiderLayer = L.layerGroup().addTo(map);   // 展開（スパイダー）表示の脚線用
+        this.isVisible = true; // 写真ピン表示中は false
         this.eventHandlers = new Map(); // レガシー互換性のために残す
         
         // 🎯 EventBus統合
@@ -21,10 +25,21 @@ export class MarkerManager {
         this.selectedMarker = null;
         this.selectedCluster = null;
         this.markerLookup = new Map(); // マーカーと詳細情報のマッピング
+        
+        // 🔍 全ズームレベルのクラスター階層（addAreaMarkersで再計算）
+        this.clusterIndex = null;
+        this.photosByArea = new Map(); // areaId → 絞り込み後の写真
+        this.transitionId = 0;         // 進行中のズームアニメーション・再描画の識別用（新しい処理が始まると古い処理は途中でやめる）
+        
+        // 🕸️ 展開中のクラスター { clusterId, clusterMarker, childMarkers }
+        this.spiderfied = null;
+        this.map.on('zoomstart', () => this.unspiderfy());
+        this.map.on('click', () => this.unspiderfy());
     }
 
     /**
      * エリアマーカーを追加
+     * @returns {Promise<boolean>} 最後まで追加したか（途中で再描画・ズーム変更が始まった場合は false）
      */
     async addAreaMarkers() {
         if (!this.dataManager || !this.dataManager.getAreas) {
@@ -40,22 +55,26 @@ export class MarkerManager {
             return;
         }
 
+        const transitionId = this.transitionId;
         const areas = this.dataManager.getAreas();
-        const clusters = this.createClusters(areas);
+        this.buildClusterIndex(areas);
+        const clusters = this.createClusters();
         
         console.log(`Adding area markers for ${areas.length} areas`);
 
         for (const cluster of clusters) {
-            const photosInArea = cluster.isCluster ? 
-                cluster.photos : 
-                this.dataManager.getPhotosInArea(cluster);
+            const photosInArea = this.getClusterPhotos(cluster);
 
             console.log(`Area \"${cluster.name}\": ${photosInArea.length} photos`);
             
             if (photosInArea.length > 0) {
                 await this.createAreaMarker(cluster, photosInArea.length);
             }
+
+            // 追加の途中で再描画・ズーム変更が始まった場合は、そちらに任せる（マーカーの重複を防ぐ）
+            if (transitionId !== this.transitionId) return false;
         }
+        return true;
     }
 
     /**
@@ -67,6 +86,7 @@ export class MarkerManager {
             return;
         }
 
+        const transitionId = this.transitionId;
         const currentZoom = this.map.getZoom();
         const displayCount = photoCount > 999 ? '999+' : photoCount.toString();
         
@@ -104,6 +124,9 @@ export class MarkerManager {
                 // 最後の手段として基本的なマーカーを作成
                 areaIcon = L.marker([0, 0]).options.icon;
             }
+
+            // 待っている間に再描画が始まった場合は追加しない
+            if (transitionId !== this.transitionId) return null;
         }
 
         // マーカーを地図に追加
@@ -126,6 +149,7 @@ export class MarkerManager {
         this.attachMarkerEvents(marker, cluster);
 
         console.log(`✅ Added marker with events for: ${cluster.name}`);
+        return marker;
     }
 
     /**
@@ -220,80 +244,98 @@ export class MarkerManager {
     }
 
     /**
-     * クラスタリングを実行
+     * 🔍 クラスター階層を構築
+     * 写真のあるエリアを写真枚数で重み付けし、MIN_ZOOM〜CLUSTER_MAX_ZOOMの全レベルを事前計算する
      */
-    createClusters(areas) {
-        const currentZoom = this.map.getZoom();
-        const shouldCluster = this.shouldClusterMarkers(currentZoom);
-        
-        console.log(`🔍 Clustering check: zoom=${currentZoom}, threshold=${APP_CONFIG.MAP.CLUSTER_ZOOM_THRESHOLD}, shouldCluster=${shouldCluster}`);
-        
-        if (!shouldCluster) {
-            console.log('📍 Individual markers mode (no clustering)');
-            return areas.map(area => ({ ...area, isCluster: false }));
-        }
+    buildClusterIndex(areas = this.dataManager.getAreas()) {
+        const buildStart = performance.now();
+
+        this.photosByArea = new Map(
+            areas.map(area => [area.id, this.dataManager.getFilteredPhotosInArea(area)])
+        );
+
+        const points = areas
+            .filter(area => area.is_active !== false && area.center_lat && area.center_lng)
+            .filter(area => this.photosByArea.get(area.id).length > 0)
+            .map(area => ({
+                id: area.id,
+                lat: area.center_lat,
+                lng: area.center_lng,
+                weight: this.photosByArea.get(area.id).length,
+                item: area
+            }));
+
+        this.clusterIndex = new ClusterIndex({
+            minZoom: APP_CONFIG.MAP.MIN_ZOOM,
+            maxZoom: APP_CONFIG.MAP.CLUSTER_MAX_ZOOM,
+            radius: APP_CONFIG.MAP.CLUSTER_RADIUS_PX,
+            getPixelDistance: (a, b, zoom) => this.getPixelDistance(a, b, zoom)
+        }).load(points);
+
+        console.log(`🔍 Cluster hierarchy built in ${(performance.now() - buildStart).toFixed(2)}ms ` +
+            `(${points.length} areas, zoom ${APP_CONFIG.MAP.MIN_ZOOM}-${APP_CONFIG.MAP.CLUSTER_MAX_ZOOM})`);
+    }
 
-        const clusters = [];
-        const processed = new Set();
+    /**
+     * 指定ズームでの2点間のピクセル距離
+     */
+    getPixelDistance(a, b, zoom) {
+        if (this.mapManager) {
+            return this.mapManager.getPixelDistance(a.lat, a.lng, b.lat, b.lng, zoom);
+        }
+        return this.map.project([a.lat, a.lng], zoom).distanceTo(this.map.project([b.lat, b.lng], zoom));
+    }
 
-        areas.forEach((area, index) => {
-            if (processed.has(index)) return;
+    /**
+     * 指定ズームのクラスター（マーカー単位）を取得
+     */
+    createClusters(zoom = this.map.getZoom()) {
+        if (!this.clusterIndex) {
+            this.buildClusterIndex();
+        }
 
-            const nearbyAreas = [area];
-            const nearbyIndices = [index];
+        const clusters = this.clusterIndex.getClusters(zoom).map(node => this.toMarkerCluster(node));
 
-            areas.forEach((otherArea, otherIndex) => {
-                if (otherIndex !== index && !processed.has(otherIndex)) {
-                    const distance = this.dataManager.calculateDistance(
-                        area.center_lat, area.center_lng,
-                        otherArea.center_lat, otherArea.center_lng
-                    );
+        console.log(`🎯 Clustering result at zoom ${zoom}: ${clusters.length} clusters/markers`);
+        return clusters;
+    }
 
-                    if (distance <= APP_CONFIG.MAP.CLUSTER_DISTANCE_KM) {
-                        nearbyAreas.push(otherArea);
-                        nearbyIndices.push(otherIndex);
-                    }
-                }
-            });
+    /**
+     * クラスター階層のノードをマーカー用のデータに変換
+     * 単独エリアはエリアそのもの、複数エリアは写真枚数で重み付けした中心を持つクラスター
+     */
+    toMarkerCluster(node) {
+        if (node.items.length === 1) {
+            return { ...node.items[0], isCluster: false };
+        }
 
-            nearbyIndices.forEach(idx => processed.add(idx));
-
-            if (nearbyAreas.length > 1) {
-                // クラスター作成
-                const centerLat = nearbyAreas.reduce((sum, a) => sum + a.center_lat, 0) / nearbyAreas.length;
-                const centerLng = nearbyAreas.reduce((sum, a) => sum + a.center_lng, 0) / nearbyAreas.length;
-                const totalPhotos = nearbyAreas.reduce((sum, a) => sum + this.dataManager.getPhotosInArea(a).length, 0);
-
-                clusters.push({
-                    id: `cluster_${nearbyAreas.map(a => a.id).join('_')}`,
-                    name: `${nearbyAreas[0].name} エリア`,
-                    center_lat: centerLat,
-                    center_lng: centerLng,
-                    isCluster: true,
-                    areas: nearbyAreas,
-                    photos: nearbyAreas.flatMap(a => this.dataManager.getPhotosInArea(a)),
-                    is_active: true
-                });
-            } else {
-                clusters.push({ ...area, isCluster: false });
-            }
-        });
+        return {
+            id: node.id,
+            name: `${node.items[0].name} エリア`,
+            center_lat: node.lat,
+            center_lng: node.lng,
+            isCluster: true,
+            areas: node.items,
+            photos: node.items.flatMap(area => this.photosByArea.get(area.id) || []),
+            is_active: true
+        };
+    }
 
-        console.log(`🎯 Clustering result: ${clusters.length} clusters/markers from ${areas.length} areas`);
-        console.log('📊 Cluster details:', clusters.map(c => ({
-            name: c.name,
-            isCluster: c.isCluster,
-            photoCount: c.isCluster ? c.photos?.length : this.dataManager.getPhotosInArea(c).length
-        })));
-        
-        return clusters;
+    /**
+     * マーカーに表示する写真を取得
+     */
+    getClusterPhotos(cluster) {
+        if (cluster.isCluster) {
+            return cluster.photos;
+        }
+        return this.photosByArea.get(cluster.id) || this.dataManager.getFilteredPhotosInArea(cluster);
     }
 
     /**
-     * クラスタリングを行うかどうかを判定
+     * クラスターを構成するエリアIDの配列
      */
-    shouldClusterMarkers(zoom) {
-        return zoom <= APP_CONFIG.MAP.CLUSTER_ZOOM_THRESHOLD;
+    getClusterAreaIds(cluster) {
+        return cluster.isCluster ? cluster.areas.map(area => area.id) : [cluster.id];
     }
 
     /**
@@ -333,6 +375,15 @@ export class MarkerManager {
      * マーカークリックを処理
      */
     handleMarkerClick(cluster, marker) {
+        // 写真ピン表示中はエリアを選択しない
+        if (!this.isVisible) return;
+        
+        // 🔍 クラスターは選択せず、ズームまたは展開して個々のエリアを選べるようにする
+        if (cluster.isCluster) {
+            this.expandCluster(cluster, marker);
+            return;
+        }
+        
         // 🎯 マーカー選択状態を更新
         this.selectMarker(cluster);
         
@@ -348,6 +399,139 @@ export class MarkerManager {
         }
     }
 
+    /**
+     * 🔍 クラスターを展開
+     * 構成エリアの範囲へズームし、最大ズームでも分割されない場合はマーカーを放射状に展開する
+     */
+    expandCluster(cluster, marker) {
+        const currentZoom = this.map.getZoom();
+        const expansionZoom = this.clusterIndex ?
+            this.clusterIndex.getExpansionZoom(this.getClusterAreaIds(cluster), currentZoom) :
+            currentZoom + 1;
+        const canZoomIn = currentZoom < APP_CONFIG.MAP.MAX_ZOOM && expansionZoom <= APP_CONFIG.MAP.MAX_ZOOM;
+
+        console.log(`🔍 Expanding cluster ${cluster.name}: zoom=${currentZoom}, expansionZoom=${expansionZoom}`);
+
+        if (canZoomIn) {
+            const bounds = L.latLngBounds(cluster.areas.map(area => [area.center_lat, area.center_lng]));
+            const padding = APP_CONFIG.MAP.CLUSTER_FIT_PADDING_PX;
+            const options = { padding: [padding, padding], maxZoom: APP_CONFIG.MAP.MAX_ZOOM };
+
+            if (this.mapManager) {
+                this.mapManager.fitBounds(bounds, options);
+            } else {
+                this.map.fitBounds(bounds, options);
+            }
+        } else if (this.spiderfied?.clusterId === cluster.id) {
+            this.unspiderfy();
+        } else {
+            this.spiderfy(cluster, marker);
+        }
+
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.CLUSTER_EXPANDED, {
+                cluster,
+                action: canZoomIn ? 'zoom' : 'spiderfy',
+                zoom: currentZoom
+            });
+        }
+    }
+
+    /**
+     * 🕸️ クラスターの構成エリアを放射状に展開し、個別に選択できるようにする
+     */
+    async spiderfy(cluster, clusterMarker) {
+        this.unspiderfy();
+        if (!clusterMarker) return;
+
+        const center = clusterMarker.getLatLng();
+        const centerPoint = this.map.latLngToLayerPoint(center);
+        const positions = this.getSpiderfyPositions(cluster.areas.length, centerPoint);
+        const config = APP_CONFIG.SPIDERFY;
+
+        const spiderfied = { clusterId: cluster.id, clusterMarker, childMarkers: [] };
+        this.spiderfied = spiderfied;
+        clusterMarker.setOpacity(config.CLUSTER_OPACITY);
+
+        for (const [index, area] of cluster.areas.entries()) {
+            const photos = this.photosByArea.get(area.id) || [];
+            const marker = await this.createAreaMarker({ ...area, isCluster: false }, photos.length);
+
+            // 展開中に閉じられた場合は作成したマーカーを片付ける
+            if (this.spiderfied !== spiderfied) {
+                if (marker) this.areaLayer.removeLayer(marker);
+                return;
+            }
+            if (!marker) continue;
+
+            spiderfied.childMarkers.push({ marker, areaId: area.id });
+
+            const target = this.map.layerPointToLatLng(positions[index]);
+            marker.setLatLng(center);
+            marker.setZIndexOffset(1000);
+            this.animateMarker(marker, target).then(() => {
+                if (this.spiderfied !== spiderfied) return;
+                L.polyline([center, target], {
+                    color: config.LEG_COLOR,
+                    weight: config.LEG_WEIGHT,
+                    opacity: config.LEG_OPACITY,
+                    interactive: false
+                }).addTo(this.spiderLayer);
+            });
+        }
+
+        console.log(`🕸️ Spiderfied ${spiderfied.childMarkers.length} areas of ${cluster.name}`);
+    }
+
+    /**
+     * 🕸️ 展開したマーカーを閉じる
+     */
+    unspiderfy() {
+        if (!this.spiderfied) return;
+
+        const { clusterMarker, childMarkers } = this.spiderfied;
+        this.spiderfied = null;
+
+        childMarkers.forEach(({ marker, areaId }) => {
+            if (marker === this.selectedMarker) {
+                this.selectedMarker = null;
+                this.selectedCluster = null;
+            }
+            this.markerLookup.delete(areaId);
+            this.areaLayer.removeLayer(marker);
+        });
+
+        this.spiderLayer.clearLayers();
+        clusterMarker.setOpacity(1);
+    }
+
+    /**
+     * 展開時の各マーカーの位置（レイヤー座標）を計算
+     * 少数なら円周上に、多数ならアルキメデスのらせん上に並べる
+     */
+    getSpiderfyPositions(count, centerPoint) {
+        const config = APP_CONFIG.SPIDERFY;
+
+        if (count < config.SPIRAL_THRESHOLD) {
+            const radius = (config.CIRCLE_SPACING_PX * (2 + count)) / (2 * Math.PI);
+            const angleStep = (2 * Math.PI) / count;
+
+            return Array.from({ length: count }, (_, i) => {
+                const angle = i * angleStep - Math.PI / 2; // 真上から時計回り
+                return centerPoint.add(L.point(radius * Math.cos(angle), radius * Math.sin(angle))).round();
+            });
+        }
+
+        let legLength = config.SPIRAL_SPACING_PX;
+        let angle = 0;
+        return Array.from({ length: count }, () => {
+            angle += config.SPIRAL_SPACING_PX / legLength;
+            const point = centerPoint.add(L.point(legLength * Math.cos(angle), legLength * Math.sin(angle))).round();
+            legLength += (2 * Math.PI * config.SPIRAL_GROWTH_PX) / angle;
+            return point;
+        });
+    }
+
     /**
      * 🎯 マーカーを選択状態にする
      */
@@ -385,6 +569,52 @@ export class MarkerManager {
                 console.error('❌ Failed to create selected marker icon:', error);
             }
         }
+
+        this.showAreaBoundary(cluster);
+    }
+
+    /**
+     * 🗺️ 選択エリアの境界を描画
+     * ポリゴン境界があればその形状を、なければ中心と半径の円を描く
+     * クラスターの場合は構成する各エリアの境界を描く
+     */
+    showAreaBoundary(cluster) {
+        this.clearAreaBoundary();
+        if (!cluster) return;
+
+        const areas = cluster.isCluster ? (cluster.areas || []) : [cluster];
+        const config = APP_CONFIG.AREA_BOUNDARY;
+
+        areas.forEach(area => {
+            const style = {
+                color: area.color || config.DEFAULT_COLOR,
+                weight: config.WEIGHT,
+                opacity: config.OPACITY,
+                fillOpacity: config.FILL_OPACITY,
+                dashArray: config.DASH_ARRAY,
+                interactive: false
+            };
+
+            try {
+                if (this.dataManager.hasBoundary(area)) {
+                    L.geoJSON(area.boundary, { style, interactive: false }).addTo(this.boundaryLayer);
+                } else if (area.center_lat && area.center_lng) {
+                    L.circle([area.center_lat, area.center_lng], {
+                        ...style,
+                        radius: (area.radius || 1.0) * 1000 // km → m
+                    }).addTo(this.boundaryLayer);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to draw boundary for area: ${area.name}`, error);
+            }
+        });
+    }
+
+    /**
+     * 🗺️ エリア境界の表示をクリア
+     */
+    clearAreaBoundary() {
+        this.boundaryLayer.clearLayers();
     }
 
     /**
@@ -402,6 +632,7 @@ export class MarkerManager {
         
         this.selectedMarker = null;
         this.selectedCluster = null;
+        this.clearAreaBoundary();
     }
 
     /**
@@ -414,21 +645,122 @@ export class MarkerManager {
 
     /**
      * ズーム変更時のマーカー更新
+     * 事前計算済みの階層から新しいズームのクラスターを取り出し、分割・統合をアニメーションする
      */
-    handleZoomChange() {
+    async handleZoomChange() {
         const currentZoom = this.map.getZoom();
         console.log('Zoom level changed to:', currentZoom);
         
-        const shouldCluster = this.shouldClusterMarkers(currentZoom);
-        const wasCluster = this.lastClusterState;
-        
-        if (shouldCluster !== wasCluster) {
-            console.log('Clustering state changed, redrawing markers');
-            this.refreshAreaMarkers();
-            this.lastClusterState = shouldCluster;
-        } else {
-            this.updateMarkerSizesSafely(currentZoom);
+        if (!this.clusterIndex) {
+            await this.refreshAreaMarkers();
+            return;
         }
+
+        await this.transitionClusters(currentZoom);
+        this.updateMarkerSizesSafely(currentZoom);
+    }
+
+    /**
+     * 🎞️ 現在のマーカーから指定ズームのクラスターへ切り替える
+     * - 統合: まとめられるマーカーは新しいクラスターの中心へ移動してから消える
+     * - 分割: 新しいマーカーは元のクラスターの位置から自分の位置へ広がる
+     */
+    async transitionClusters(zoom) {
+        const transitionId = ++this.transitionId;
+        const nextClusters = this.createClusters(zoom);
+        const nextIds = new Set(nextClusters.map(cluster => cluster.id));
+
+        const toAreaLookup = clusters => {
+            const lookup = new Map();
+            clusters.forEach(cluster => {
+                this.getClusterAreaIds(cluster).forEach(areaId => lookup.set(areaId, cluster));
+            });
+            return lookup;
+        };
+        const previousClusters = [...this.markerLookup.values()].map(info => info.cluster);
+        const previousByArea = toAreaLookup(previousClusters);
+        const nextByArea = toAreaLookup(nextClusters);
+
+        const removals = [...this.markerLookup.values()]
+            .filter(info => !nextIds.has(info.cluster.id))
+            .map(info => {
+                this.markerLookup.delete(info.cluster.id);
+                if (info.marker === this.selectedMarker) {
+                    this.selectedMarker = null;
+                    this.selectedCluster = null;
+                }
+
+                const areaIds = this.getClusterAreaIds(info.cluster);
+                const target = nextByArea.get(areaIds[0]);
+                const isMerging = target && this.getClusterAreaIds(target).length > areaIds.length;
+                if (!isMerging) {
+                    this.areaLayer.removeLayer(info.marker);
+                    return Promise.resolve();
+                }
+
+                return this.animateMarker(info.marker, [target.center_lat, target.center_lng])
+                    .then(() => this.areaLayer.removeLayer(info.marker));
+            });
+
+        await Promise.all(removals);
+
+        // アニメーション中に次のズーム変更があれば、そちらに任せる
+        if (transitionId !== this.transitionId) return;
+
+        for (const cluster of nextClusters) {
+            if (this.markerLookup.has(cluster.id)) continue;
+
+            const photos = this.getClusterPhotos(cluster);
+            if (photos.length === 0) continue;
+
+            const marker = await this.createAreaMarker(cluster, photos.length);
+            if (transitionId !== this.transitionId) return;
+            if (!marker) continue;
+
+            const areaIds = this.getClusterAreaIds(cluster);
+            const origin = previousByArea.get(areaIds[0]);
+            const isSplitting = origin && this.getClusterAreaIds(origin).length > areaIds.length;
+            if (isSplitting) {
+                marker.setLatLng([origin.center_lat, origin.center_lng]);
+                this.animateMarker(marker, [cluster.center_lat, cluster.center_lng]);
+            }
+        }
+    }
+
+    /**
+     * 🎞️ マーカーを指定位置まで滑らかに移動
+     * @returns {Promise} 移動完了時に解決
+     */
+    animateMarker(marker, targetLatLng, duration = APP_CONFIG.MAP.CLUSTER_ANIMATION_MS) {
+        const to = L.latLng(targetLatLng);
+        const prefersReducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+        if (duration <= 0 || prefersReducedMotion) {
+            marker.setLatLng(to);
+            return Promise.resolve();
+        }
+
+        const from = marker.getLatLng();
+        const startTime = performance.now();
+
+        return new Promise(resolve => {
+            const step = (now) => {
+                const progress = Math.min((now - startTime) / duration, 1);
+                const eased = 1 - Math.pow(1 - progress, 3); // ease-out cubic
+
+                marker.setLatLng([
+                    from.lat + (to.lat - from.lat) * eased,
+                    from.lng + (to.lng - from.lng) * eased
+                ]);
+
+                if (progress < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    resolve();
+                }
+            };
+            requestAnimationFrame(step);
+        });
     }
 
     /**
@@ -443,10 +775,7 @@ export class MarkerManager {
                 
                 if (currentIcon && currentIcon.options.iconSize[0] !== newSize) {
                     try {
-                        const count = layer.clusterData ? 
-                            (layer.clusterData.photos ? layer.clusterData.photos.length : 
-                             this.dataManager.getPhotosInArea(layer.areaData).length) : 
-                            this.dataManager.getPhotosInArea(layer.areaData).length;
+                        const count = this.getClusterPhotos(layer.areaData).length;
                         
                         const displayCount = count > 999 ? '999+' : count.toString();
                         const svgString = this.createSVGMarker(newSize, displayCount);
@@ -459,7 +788,17 @@ export class MarkerManager {
                             className: 'custom-marker-icon'
                         });
                         
-                        layer.setIcon(newIcon);
+                        const markerInfo = this.markerLookup.get(layer.areaData.id);
+                        if (markerInfo) {
+                            markerInfo.originalIcon = newIcon;
+                        }
+                        
+                        // 選択中のマーカーは強調表示を新しいサイズで作り直す
+                        if (layer === this.selectedMarker) {
+                            this.selectMarker(this.selectedCluster);
+                        } else {
+                            layer.setIcon(newIcon);
+                        }
                     } catch (error) {
                         console.warn('Marker size update failed:', error);
                     }
@@ -471,9 +810,19 @@ export class MarkerManager {
     /**
      * エリアマーカーを再描画
      */
-    refreshAreaMarkers() {
+    async refreshAreaMarkers() {
+        // 再描画後も同じエリアが存在すれば選択状態を復元する
+        const selectedId = this.selectedCluster?.id;
+        
+        // 続けて呼ばれた場合（データの更新が重なった場合など）は最後の呼び出しだけが最後まで追加する
+        this.transitionId++;
         this.clearAreaMarkers();
-        this.addAreaMarkers();
+        if (!await this.addAreaMarkers()) return;
+        
+        const markerInfo = selectedId && this.markerLookup.get(selectedId);
+        if (markerInfo) {
+            this.selectMarker(markerInfo.cluster);
+        }
     }
 
     /**
@@ -484,8 +833,28 @@ export class MarkerManager {
         this.selectedMarker = null;
         this.selectedCluster = null;
         this.markerLookup.clear();
+        this.spiderfied = null;
         
         this.areaLayer.clearLayers();
+        this.spiderLayer.clearLayers();
+        this.clearAreaBoundary();
+    }
+
+    /**
+     * エリアマーカー（と選択境界・展開表示）の表示/非表示を切り替える
+     * 非表示の間もマーカーは更新されるため、再表示時に作り直す必要はない
+     */
+    setVisible(visible) {
+        const layers = [this.areaLayer, this.boundaryLayer, this.spiderLayer];
+        this.isVisible = visible;
+
+        if (visible) {
+            layers.forEach(layer => layer.addTo(this.map));
+        } else {
+            this.unspiderfy();
+            this.deselectCurrentMarker();
+            layers.forEach(layer => this.map.removeLayer(layer));
+        }
     }
 
     /**
@@ -0,0 +1,225 @@
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+/**
+ * 投稿写真の審査画面（スタッフ用）を担当するクラス
+ * 審査待ちの写真を一覧表示し、承認（公開）・却下（非公開）を保存する
+ * 承認されるまで写真は公開地図・マーカーの枚数・写真一覧に表示されない
+ */
+export class ModerationPanel {
+    constructor(dataManager, analytics = null) {
+        this.dataManager = dataManager;
+        this.analytics = analytics;
+        this.enabled = false;
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（スタッフの場合のみ審査ボタンを表示）
+     * @param {boolean} enabled - 審査画面を使えるか
+     */
+    init(enabled) {
+        this.elements = {
+            button: document.getElementById('moderationBtn'),
+            badge: document.getElementById('moderationBadge'),
+            modal: document.getElementById('moderationModal'),
+            list: document.getElementById('moderationList'),
+            summary: document.getElementById('moderationSummary'),
+            close: document.getElementById('closeModerationModal'),
+            backdrop: document.getElementById('moderationBackdrop')
+        };
+
+        const { button, modal, close, backdrop } = this.elements;
+        if (!button || !modal) {
+            console.warn('⚠️ ModerationPanel: elements not found');
+            return;
+        }
+
+        this.setEnabled(enabled);
+        button.addEventListener('click', () => this.show());
+        close?.addEventListener('click', () => this.hide());
+        backdrop?.addEventListener('click', () => this.hide());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * 審査画面の利用可否を切り替え
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.elements.button) {
+            this.elements.button.hidden = !enabled;
+        }
+        if (!enabled && this.isVisible()) {
+            this.hide();
+        }
+        this.refresh();
+    }
+
+    /**
+     * 審査画面を表示
+     */
+    show() {
+        if (!this.enabled || !this.elements.modal) return;
+
+        this.render();
+        this.elements.modal.style.display = 'flex';
+        this.analytics?.trackUserAction('moderation_open', 'moderation', {
+            pending_count: this.getPendingPhotos().length
+        });
+    }
+
+    /**
+     * 審査画面を閉じる
+     */
+    hide() {
+        if (this.elements.modal) {
+            this.elements.modal.style.display = 'none';
+        }
+    }
+
+    isVisible() {
+        return this.elements.modal?.style.display === 'flex';
+    }
+
+    /**
+     * 写真の追加・更新後に件数と一覧を更新
+     */
+    refresh() {
+        this.updateBadge();
+        if (this.isVisible()) {
+            this.render();
+        }
+    }
+
+    getPendingPhotos() {
+        return this.dataManager.getPhotosByStatus('pending');
+    }
+
+    /**
+     * 審査ボタンの件数バッジを更新
+     */
+    updateBadge() {
+        const { badge } = this.elements;
+        if (!badge) return;
+
+        const count = this.enabled ? this.getPendingPhotos().length : 0;
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.hidden = count === 0;
+    }
+
+    /**
+     * 審査待ち一覧を描画
+     */
+    render() {
+        const { list, summary } = this.elements;
+        if (!list) return;
+
+        const pending = this.getPendingPhotos();
+        if (summary) {
+            const rejectedCount = this.dataManager.getPhotosByStatus('rejected').length;
+            // 検証で隔離した（データが不正で表示できない）写真は件数だけ知らせる（詳細はコンソール）
+            const invalidCount = this.dataManager.getQuarantinedRecords('photos').length;
+            summary.textContent = `審査待ち ${pending.length}件 ・ 却下済み ${rejectedCount}件` +
+                (invalidCount > 0 ? ` ・ データ不正で非表示 ${invalidCount}件` : '');
+        }
+
+        list.innerHTML = '';
+        if (pending.length === 0) {
+            list.innerHTML = '<p class="no-photos">審査待ちの写真はありません。</p>';
+            return;
+        }
+
+        pending.forEach(photo => list.appendChild(this.createItem(photo)));
+    }
+
+    /**
+     * 審査待ちの写真1件分の要素を作成
+     */
+    createItem(photo) {
+        const item = document.createElement('div');
+        item.className = 'moderation-item';
+
+        const img = document.createElement('img');
+        img.className = 'moderation-thumb';
+        img.src = photo.thumbnail_url || photo.image_url;
+        img.alt = photo.title || '';
+        img.loading = 'lazy';
+
+        const info = document.createElement('div');
+        info.className = 'moderation-info';
+
+        const title = document.createElement('div');
+        title.className = 'moderation-title';
+        title.textContent = photo.title || '（タイトルなし）';
+
+        const description = document.createElement('p');
+        description.className = 'moderation-description';
+        description.textContent = photo.description || '';
+
+        const meta = document.createElement('div');
+        meta.className = 'moderation-meta';
+        meta.textContent = [
+            photo.location,
+            this.formatDate(photo.created_at || photo.taken_at),
+            `${Number(photo.latitude).toFixed(5)}, ${Number(photo.longitude).toFixed(5)}`
+        ].filter(Boolean).join(' ・ ');
+
+        const actions = document.createElement('div');
+        actions.className = 'moderation-actions';
+        actions.append(
+            this.createActionButton(photo, 'approved', '承認して公開', 'fa-check'),
+            this.createActionButton(photo, 'rejected', '却下', 'fa-times')
+        );
+
+        info.append(title, description, meta, actions);
+        item.append(img, info);
+        return item;
+    }
+
+    /**
+     * 承認・却下ボタンを作成
+     */
+    createActionButton(photo, status, label, icon) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `moderation-btn moderation-btn-${status}`;
+        button.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+        button.addEventListener('click', () => this.moderate(photo, status, button));
+        return button;
+    }
+
+    /**
+     * 🛡️ 審査結果を保存
+     */
+    async moderate(photo, status, button) {
+        const item = button.closest('.moderation-item');
+        item?.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+
+        try {
+            await this.dataManager.moderatePhoto(photo.id, status);
+            console.log(`🛡️ Photo ${status}: ${photo.id}`);
+            this.analytics?.trackUserAction(`moderation_${status}`, 'moderation', {
+                photo_id: photo.id
+            });
+            // 一覧はPHOTO_UPDATEDを受けた refresh() で更新される
+        } catch (error) {
+            await ErrorHandler.handle(error, 'ModerationPanel.moderate', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: true,
+                component: 'ModerationPanel'
+            });
+            item?.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+        }
+    }
+
+    formatDate(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return date.toLocaleDateString('ja-JP', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+}
@@ -0,0 +1,329 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { GeoUtils } from '../utils/GeoUtils.js';
+
+/**
+ * オフライン対応を担当するクラス
+ * Service Worker（sw.js）を登録し、通信状態（オンライン・オフライン）を画面に表示する
+ * 「オフライン用に保存」で太子町全域の地図タイルと写真のサムネイルをこの端末に保存する
+ *
+ * 保存はページから Cache Storage に直接書き込む（Service Worker は処理が長いと停止されるため）
+ */
+export class OfflineManager {
+    /**
+     * @param {DataManager} dataManager
+     * @param {EventEmitter|null} eventBus
+     * @param {Analytics|null} analytics
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - (message) => void 保存の結果などを利用者に知らせる
+     */
+    constructor(dataManager, eventBus = null, analytics = null, options = {}) {
+        this.dataManager = dataManager;
+        this.eventBus = eventBus;
+        this.analytics = analytics;
+        this.onStatus = options.onStatus || (() => {});
+        this.online = navigator.onLine;
+        this.saving = false;
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（Service Worker の登録と通信状態の監視）
+     */
+    init() {
+        this.elements = {
+            button: document.getElementById('offlineBtn'),
+            progress: document.getElementById('offlineProgress'),
+            status: document.getElementById('connectionStatus')
+        };
+
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+        this.updateStatus();
+
+        // 削除・却下した写真の画像は、この端末の保存済みの画像からも取り除く（sw.js はキャッシュ優先で返し続けるため）
+        if (this.eventBus) {
+            this.eventBus.on(APP_EVENTS.PHOTO_DELETED, (eventData) => this.removeCachedImages(eventData.data));
+            this.eventBus.on(APP_EVENTS.PHOTO_UPDATED, (eventData) => {
+                if (eventData.data?.status === 'rejected') this.removeCachedImages(eventData.data);
+            });
+        }
+
+        if (!this.isSupported()) {
+            console.log('📴 Offline mode is not available (service workers need http(s))');
+            return;
+        }
+
+        this.register();
+        if (this.elements.button) {
+            this.elements.button.hidden = false;
+            this.elements.button.addEventListener('click', () => this.saveForOffline());
+        }
+    }
+
+    /**
+     * Service Worker と Cache Storage を使えるか（file:// で開いた場合などは使えない）
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+    }
+
+    /**
+     * 📴 Service Worker を登録
+     */
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register(APP_CONFIG.OFFLINE.SERVICE_WORKER);
+            console.log(`📴 Service worker registered: ${registration.scope}`);
+        } catch (error) {
+            ErrorHandler.handle(error, 'OfflineManager.register', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'OfflineManager'
+            });
+        }
+    }
+
+    isOnline() {
+        return this.online;
+    }
+
+    /**
+     * 通信状態の変化を反映して通知
+     */
+    setOnline(online) {
+        if (this.online === online) return;
+
+        this.online = online;
+        console.log(online ? '📶 Back online' : '📴 Offline');
+        this.updateStatus();
+        this.onStatus(online
+            ? 'オンラインに戻りました'
+            : 'オフラインです。保存済みの地図と写真を表示しています');
+
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.CONNECTION_CHANGED, { online });
+        }
+    }
+
+    /**
+     * 通信状態の表示を更新（オフラインの間だけヘッダーに表示）
+     */
+    updateStatus() {
+        const { status, button } = this.elements;
+        if (status) {
+            status.hidden = this.online;
+        }
+        if (button) {
+            button.disabled = this.saving || !this.online;
+        }
+    }
+
+    /**
+     * 💾 地図タイルと写真のサムネイル・データをこの端末に保存
+     * 保存済みのものは取得し直さない（続きから保存できる）
+     */
+    async saveForOffline() {
+        if (this.saving || !this.isSupported()) return;
+        if (!this.online) {
+            this.onStatus('オンラインの時に保存してください');
+            return;
+        }
+
+        const { OFFLINE } = APP_CONFIG;
+        const tileUrls = this.getTileUrls();
+        const estimatedMb = Math.ceil((tileUrls.length * OFFLINE.AVERAGE_TILE_KB) / 1024);
+        if (!confirm(`太子町の地図（${tileUrls.length}枚・約${estimatedMb}MB）と公開中の写真のサムネイルをこの端末に保存します。` +
+            'Wi-Fiでの実行をおすすめします。よろしいですか？')) {
+            return;
+        }
+
+        this.saving = true;
+        this.updateStatus();
+        const startTime = performance.now();
+
+        try {
+            // 写真が分割されている場合は、すべての写真のサムネイルを保存できるよう先に読み込む
+            await this.dataManager.loadAllShards();
+            const imageUrls = this.getImageUrls();
+
+            // 端末の容量が少なくなっても自動で削除されないように依頼する（許可されない場合もある）
+            await navigator.storage?.persist?.();
+
+            const [tileCache, imageCache, dataCache] = await Promise.all([
+                caches.open(OFFLINE.CACHES.TILES),
+                caches.open(OFFLINE.CACHES.IMAGES),
+                caches.open(OFFLINE.CACHES.DATA)
+            ]);
+            const fileTasks = [
+                ...this.getDataUrls().map(url => () => this.cacheUrl(dataCache, url, { refresh: true })),
+                ...imageUrls.map(url => () => this.cacheUrl(imageCache, url))
+            ];
+            const tileTasks = tileUrls.map(url => () => this.cacheUrl(tileCache, url));
+            const total = fileTasks.length + tileTasks.length;
+
+            // 地図タイルは配信元の利用ポリシーに合わせ、データ・写真とは別の同時取得数で取得する
+            const failed =
+                await this.runWithConcurrency(fileTasks, OFFLINE.CONCURRENCY,
+                    (done) => this.showProgress(done / total)) +
+                await this.runWithConcurrency(tileTasks, OFFLINE.TILE_CONCURRENCY,
+                    (done) => this.showProgress((fileTasks.length + done) / total));
+
+            const elapsedSec = ((performance.now() - startTime) / 1000).toFixed(1);
+            console.log(`💾 Saved for offline: ${total - failed}/${total} in ${elapsedSec}s`);
+            this.onStatus(failed === 0
+                ? 'オフライン用に地図と写真を保存しました'
+                : `オフライン用に保存しました（${failed}件は保存できませんでした。もう一度実行すると続きから保存します）`);
+
+            this.analytics?.trackUserAction('offline_save', 'offline', {
+                tiles: tileUrls.length,
+                images: imageUrls.length,
+                failed
+            });
+        } catch (error) {
+            // 容量不足（QuotaExceededError）など
+            ErrorHandler.handle(error, 'OfflineManager.saveForOffline', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'OfflineManager'
+            });
+            this.onStatus(`オフライン用の保存に失敗しました: ${error.message}`);
+        } finally {
+            this.saving = false;
+            this.showProgress(null);
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * 太子町全域（APP_CONFIG.OFFLINE.BOUNDS）の地図タイルのURL
+     */
+    getTileUrls() {
+        const { BOUNDS, TILE_MIN_ZOOM, TILE_MAX_ZOOM } = APP_CONFIG.OFFLINE;
+        return GeoUtils.getTilesInBounds(BOUNDS, TILE_MIN_ZOOM, TILE_MAX_ZOOM).map(({ z, x, y }) =>
+            APP_CONFIG.MAP.TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+    }
+
+    /**
+     * 公開中の写真のサムネイルのURL（拡大表示の画像は表示した時に保存される）
+     */
+    getImageUrls() {
+        const urls = this.dataManager.getPhotos()
+            .map(photo => photo.thumbnail_url || photo.image_url)
+            .filter(Boolean)
+            .map(url => new URL(url, document.baseURI).href);
+        return [...new Set(urls)];
+    }
+
+    /**
+     * areas.json と写真一覧（APIサーバーがあれば api/photos、写真が分割されていれば manifest.json と分割ファイル、
+     * どちらでもなければ photos.json）のURL
+     * APIサーバーは photos.json を公開しないため、オフライン時は sw.js が api/photos で代用する
+     * ログイン中でも閲覧者と同じ公開範囲の一覧を保存する（認証なしで取得する）
+     */
+    getDataUrls() {
+        const { PHOTOS_FILE, AREAS_FILE } = APP_CONFIG.DATA;
+        const apiBase = APP_CONFIG.STORAGE.API_BASE.replace(/\/$/, '');
+        if (this.dataManager.isSharded()) {
+            return [new URL(AREAS_FILE.replace(/^\//, ''), document.baseURI).href, ...this.dataManager.getShardUrls()];
+        }
+        const paths = this.dataManager.canWrite()
+            ? [AREAS_FILE, `${apiBase}/photos`, `${apiBase}/areas`]
+            : [AREAS_FILE, PHOTOS_FILE];
+        return paths.map(path => new URL(path.replace(/^\//, ''), document.baseURI).href);
+    }
+
+    /**
+     * 写真の画像（拡大表示・サムネイル）を保存済みの画像から削除
+     */
+    async removeCachedImages(photo) {
+        if (!photo || !('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(APP_CONFIG.OFFLINE.CACHES.IMAGES);
+            const urls = [photo.image_url, photo.thumbnail_url]
+                .filter(Boolean)
+                .map(url => new URL(url, document.baseURI).href);
+            await Promise.all(urls.map(url => cache.delete(url)));
+        } catch (error) {
+            ErrorHandler.handle(error, 'OfflineManager.removeCachedImages', {
+                level: ErrorHandler.ERROR_LEVELS.WARNING,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'OfflineManager'
+            });
+        }
+    }
+
+    /**
+     * URLを取得してキャッシュに保存
+     * CORSに対応していない画像は中身を確認できない形（opaque）で保存する
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - 保存済みでも取得し直す
+     * @returns {Promise<boolean>} 保存できたか（取得できなかった場合は false）
+     */
+    async cacheUrl(cache, url, { refresh = false } = {}) {
+        if (!refresh && await cache.match(url)) return true;
+
+        let response;
+        try {
+            response = await fetch(url, { mode: 'cors' });
+        } catch (error) {
+            response = await fetch(url, { mode: 'no-cors' }).catch(() => null);
+        }
+        if (!response || !(response.ok || response.type === 'opaque')) return false;
+
+        // 容量不足などの保存の失敗は呼び出し元に伝える
+        await cache.put(url, response);
+        return true;
+    }
+
+    /**
+     * 同時実行数を制限して順に実行
+     * @param {Array<Function>} tasks - () => Promise<boolean>
+     * @param {number} limit
+     * @param {Function} onProgress - (doneCount) => void
+     * @returns {Promise<number>} 失敗（false）した件数
+     */
+    async runWithConcurrency(tasks, limit, onProgress) {
+        let next = 0;
+        let done = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (next < tasks.length) {
+                const task = tasks[next++];
+                try {
+                    if (!await task()) failed++;
+                } catch (error) {
+                    next = tasks.length; // 残りは実行しない
+                    throw error;
+                }
+                onProgress(++done);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+        return failed;
+    }
+
+    /**
+     * 保存の進み具合をボタンに表示
+     * @param {number|null} ratio - 0〜1（null で非表示）
+     */
+    showProgress(ratio) {
+        const { progress, button } = this.elements;
+        if (button) {
+            button.setAttribute('aria-busy', String(ratio !== null));
+        }
+        if (!progress) return;
+
+        progress.hidden = ratio === null;
+        if (ratio !== null) {
+            progress.textContent = `${Math.floor(ratio * 100)}%`;
+        }
+    }
+}
@@ -1,16 +1,29 @@
 import { ImageRenderer } from '../utils/ImageRenderer.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { PhotoConsent } from '../utils/PhotoConsent.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
 
 /**
  * 写真詳細モーダルを専門に扱うクラス
  * モーダル表示ロジックを分離し、再利用可能にする
+ * 審査担当以上には編集・削除ボタンが表示され（UIManager.updateRoleControls）、DataManager経由で保存する
  */
 export class PhotoModal {
-    constructor(analytics = null) {
+    /**
+     * @param {Analytics|null} analytics
+     * @param {EventEmitter|null} eventBus
+     * @param {DataManager|null} dataManager - 編集・削除の保存先
+     */
+    constructor(analytics = null, eventBus = null, dataManager = null) {
         this.analytics = analytics;
+        this.eventBus = eventBus;
+        this.dataManager = dataManager;
         this.currentPhoto = null;
         this.modal = null;
+        this.isSaving = false;
         
         this.bindEvents();
+        this.bindEditEvents();
     }
 
     /**
@@ -23,6 +36,7 @@ export class PhotoModal {
         }
 
         console.log('📸 Showing photo detail:', photo.title);
+        this.cancelEdit();
         this.currentPhoto = photo;
 
         // モーダル要素を取得
@@ -42,6 +56,7 @@ export class PhotoModal {
      */
     updateModalContent() {
         this.updateTitle();
+        this.updateConsentBadge();
         this.updateImage();
         this.updateMetadata();
     }
@@ -56,6 +71,24 @@ export class PhotoModal {
         }
     }
 
+    /**
+     * 公開範囲が限定された写真にバッジを表示
+     */
+    updateConsentBadge() {
+        const badge = document.getElementById('modalConsentBadge');
+        if (!badge) return;
+
+        const isLimited = PhotoConsent.isLimited(this.currentPhoto);
+        badge.hidden = !isLimited;
+        if (!isLimited) return;
+
+        const expiry = this.currentPhoto.consent?.expires_at;
+        badge.innerHTML = `<i class="fas fa-lock"></i> ${PhotoConsent.getLabel(this.currentPhoto)}`;
+        badge.title = expiry ?
+            `保護者の同意により公開範囲が限定されています（${expiry}まで）` :
+            '保護者の同意により公開範囲が限定されています';
+    }
+
     /**
      * 画像を更新
      */
@@ -148,9 +181,12 @@ export class PhotoModal {
     updateTags() {
         const modalTags = document.getElementById('modalPhotoTags');
         if (modalTags && this.currentPhoto.tags) {
-            modalTags.innerHTML = this.currentPhoto.tags.map(tag => 
-                `<span class="tag">${tag}</span>`
-            ).join('');
+            modalTags.replaceChildren(...this.currentPhoto.tags.map(tag => {
+                const element = document.createElement('span');
+                element.className = 'tag';
+                element.textContent = tag;
+                return element;
+            }));
         }
     }
 
@@ -174,8 +210,14 @@ export class PhotoModal {
      */
     hide() {
         if (this.modal) {
+            this.cancelEdit();
+            const closedPhoto = this.currentPhoto;
             this.modal.style.display = 'none';
             this.currentPhoto = null;
+
+            if (closedPhoto && this.eventBus) {
+                this.eventBus.emit(APP_EVENTS.PHOTO_MODAL_CLOSED, closedPhoto);
+            }
         }
     }
 
@@ -206,11 +248,168 @@ export class PhotoModal {
         // ESCキーでクローズ
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.modal && this.modal.style.display === 'flex') {
-                this.hide();
+                // 編集中は編集だけを取り消す
+                if (this.isEditing()) {
+                    this.cancelEdit();
+                } else {
+                    this.hide();
+                }
             }
         });
     }
 
+    /**
+     * 編集・削除のボタンとフォームをバインド
+     */
+    bindEditEvents() {
+        const editBtn = document.getElementById('editPhotoBtn');
+        const deleteBtn = document.getElementById('deletePhotoBtn');
+        const form = document.getElementById('photoEditForm');
+        const cancelBtn = document.getElementById('cancelPhotoEdit');
+
+        editBtn?.addEventListener('click', () => this.startEdit());
+        deleteBtn?.addEventListener('click', () => this.deleteCurrentPhoto());
+        cancelBtn?.addEventListener('click', () => this.cancelEdit());
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEdit();
+        });
+    }
+
+    /**
+     * ✏️ 編集モードを開始（フォームに現在の内容を入れる）
+     */
+    startEdit() {
+        const form = document.getElementById('photoEditForm');
+        if (!this.currentPhoto || !this.modal || !form) return;
+
+        const photo = this.currentPhoto;
+        form.elements.title.value = photo.title || '';
+        form.elements.description.value = photo.description || '';
+        form.elements.location.value = photo.location || '';
+        form.elements.tags.value = (photo.tags || []).join(', ');
+        form.elements.latitude.value = photo.latitude ?? '';
+        form.elements.longitude.value = photo.longitude ?? '';
+
+        this.showEditError(null);
+        form.hidden = false;
+        this.modal.classList.add('editing');
+        form.elements.title.focus();
+    }
+
+    /**
+     * 編集モードを終了（保存せずに閉じる）
+     */
+    cancelEdit() {
+        const form = document.getElementById('photoEditForm');
+        if (form) {
+            form.hidden = true;
+        }
+        this.modal?.classList.remove('editing');
+    }
+
+    isEditing() {
+        return !!this.modal?.classList.contains('editing');
+    }
+
+    /**
+     * 💾 編集内容を保存（マーカー・一覧は PHOTO_UPDATED を受けて更新される）
+     */
+    async saveEdit() {
+        const form = document.getElementById('photoEditForm');
+        if (!form || !this.currentPhoto || !this.dataManager || this.isSaving) return;
+
+        const title = form.elements.title.value.trim();
+        const latitude = parseFloat(form.elements.latitude.value);
+        const longitude = parseFloat(form.elements.longitude.value);
+
+        if (!title) {
+            this.showEditError('タイトルを入力してください');
+            return;
+        }
+        if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+            !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+            this.showEditError('緯度・経度を正しく入力してください');
+            return;
+        }
+
+        const changes = {
+            title,
+            description: form.elements.description.value.trim(),
+            location: form.elements.location.value.trim(),
+            tags: form.elements.tags.value.split(/[,、]/).map(tag => tag.trim()).filter(Boolean),
+            latitude,
+            longitude
+        };
+
+        this.setSaving(true);
+        try {
+            const photo = await this.dataManager.updatePhoto(this.currentPhoto.id, changes);
+            this.analytics?.trackUserAction('photo_edit', 'photo', { photo_id: photo.id });
+
+            this.cancelEdit();
+            this.currentPhoto = photo;
+            this.updateModalContent();
+        } catch (error) {
+            this.showEditError(`保存できませんでした: ${error.message}`);
+            await ErrorHandler.handle(error, 'PhotoModal.saveEdit', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: false,
+                component: 'PhotoModal'
+            });
+        } finally {
+            this.setSaving(false);
+        }
+    }
+
+    /**
+     * 🗑️ 確認のうえ表示中の写真を削除
+     */
+    async deleteCurrentPhoto() {
+        const photo = this.currentPhoto;
+        if (!photo || !this.dataManager || this.isSaving) return;
+
+        if (!confirm(`「${photo.title || '写真'}」を削除しますか？この操作は取り消せません。`)) {
+            return;
+        }
+
+        this.setSaving(true);
+        try {
+            await this.dataManager.deletePhoto(photo.id);
+            this.analytics?.trackUserAction('photo_delete', 'photo', { photo_id: photo.id });
+            this.hide();
+        } catch (error) {
+            await ErrorHandler.handle(error, 'PhotoModal.deleteCurrentPhoto', {
+                level: ErrorHandler.ERROR_LEVELS.ERROR,
+                category: ErrorHandler.ERROR_CATEGORIES.NETWORK,
+                showToUser: true,
+                component: 'PhotoModal'
+            });
+        } finally {
+            this.setSaving(false);
+        }
+    }
+
+    /**
+     * 保存・削除中はボタンを無効にする
+     */
+    setSaving(isSaving) {
+        this.isSaving = isSaving;
+        ['savePhotoEdit', 'editPhotoBtn', 'deletePhotoBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = isSaving;
+        });
+    }
+
+    showEditError(message) {
+        const error = document.getElementById('photoEditError');
+        if (!error) return;
+
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+
     /**
      * 現在表示中の写真を取得
      */
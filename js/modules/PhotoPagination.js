@@ -0,0 +1,126 @@
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+
+/**
+ * エリアパネルの写真一覧のページ送りを担当するクラス
+ * PhotoRenderer が通知する表示中のページ（PHOTOS_PAGE_CHANGED）をページ表示とボタンに反映し、
+ * 前後のページへの移動を PhotoRenderer に依頼する
+ *
+ * キーボード: エリアパネル内で ←/→ で前後のページ、Home/End で最初・最後のページ
+ * （パネルは tabindex="-1" でフォーカスを受け取れるようにし、エリアを選んだ時点でフォーカスを移す）
+ */
+export class PhotoPagination {
+    /**
+     * @param {PhotoRenderer} photoRenderer
+     * @param {EventEmitter} eventBus
+     * @param {Analytics|null} analytics
+     */
+    constructor(photoRenderer, eventBus, analytics = null) {
+        this.photoRenderer = photoRenderer;
+        this.eventBus = eventBus;
+        this.analytics = analytics;
+        this.state = { key: null, mode: null, page: 1, totalPages: 0 };
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（ボタン・キーボード操作・ページの変化の監視）
+     */
+    init() {
+        this.elements = {
+            container: document.getElementById('photoPagination'),
+            prevButton: document.getElementById('prevPage'),
+            nextButton: document.getElementById('nextPage'),
+            pageInfo: document.getElementById('pageInfo'),
+            panel: document.getElementById('areaInfoPanel')
+        };
+
+        const { prevButton, nextButton, panel } = this.elements;
+        prevButton?.addEventListener('click', () => this.goToPage(this.state.page - 1, 'button'));
+        nextButton?.addEventListener('click', () => this.goToPage(this.state.page + 1, 'button'));
+        panel?.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.eventBus.on(APP_EVENTS.PHOTOS_PAGE_CHANGED, (eventData) => {
+            this.update(eventData.data);
+        });
+    }
+
+    /**
+     * ページの状態を反映（エリア・表示モードが変わった場合は総ページ数も変わる）
+     * @param {Object} state - { key: エリアID, mode, page, totalPages }
+     */
+    update(state) {
+        this.state = { ...state };
+        this.render();
+    }
+
+    /**
+     * ページ表示とボタンの状態を更新（1ページに収まる場合は非表示）
+     */
+    render() {
+        const { container, prevButton, nextButton, pageInfo } = this.elements;
+        const { page, totalPages } = this.state;
+
+        if (container) {
+            container.style.display = totalPages > 1 ? 'flex' : 'none';
+        }
+        if (pageInfo) {
+            pageInfo.textContent = `${page} / ${Math.max(totalPages, 1)}`;
+        }
+        if (prevButton) {
+            prevButton.disabled = page <= 1;
+        }
+        if (nextButton) {
+            nextButton.disabled = page >= totalPages;
+        }
+    }
+
+    /**
+     * 指定ページへ移動（範囲外・同じページの場合は何もしない）
+     * @param {number} page
+     * @param {string} source - 'button' | 'keyboard'（分析用）
+     * @returns {boolean} 移動したか
+     */
+    goToPage(page, source = 'button') {
+        const { totalPages } = this.state;
+        if (totalPages === 0 || page < 1 || page > totalPages || page === this.state.page) {
+            return false;
+        }
+
+        console.log(`📄 Photo page ${this.state.page} → ${page} / ${totalPages}`);
+        this.photoRenderer.goToPage(page);
+        this.analytics?.trackUserAction('photo_page', 'pagination', { page, totalPages, source });
+        return true;
+    }
+
+    /**
+     * エリアパネルにフォーカスを移す（マーカーをクリックした後もキーボードでページを送れるように）
+     * パネル内の入力欄などにフォーカスがある場合はそのままにする
+     */
+    focusPanel() {
+        const { panel } = this.elements;
+        if (!panel || panel.contains(document.activeElement)) return;
+        panel.focus({ preventScroll: true });
+    }
+
+    /**
+     * ⌨️ エリアパネル内のキーボード操作
+     * 入力欄にフォーカスがある場合は何もしない
+     */
+    handleKeydown(e) {
+        if (e.target.closest?.('input, textarea, select') || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        const targets = {
+            ArrowLeft: this.state.page - 1,
+            ArrowRight: this.state.page + 1,
+            Home: 1,
+            End: this.state.totalPages
+        };
+        if (!(e.key in targets)) return;
+
+        if (this.goToPage(targets[e.key], 'keyboard')) {
+            e.preventDefault();
+        }
+    }
+}
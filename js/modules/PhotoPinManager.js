@@ -0,0 +1,278 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { ClusterIndex } from '../utils/ClusterIndex.js';
+
+/**
+ * 写真ピン表示を担当するクラス
+ * 各写真を撮影位置にサムネイルのピンとして表示し、近接する写真はズームに応じてまとめる
+ * エリアマーカー（MarkerManager）とは地図モードで切り替えて使う
+ */
+export class PhotoPinManager {
+    constructor(map, dataManager, eventBus = null, mapManager = null) {
+        this.map = map;
+        this.dataManager = dataManager;
+        this.eventBus = eventBus;
+        this.mapManager = mapManager;
+
+        this.pinLayer = L.layerGroup(); // 表示するまで地図には追加しない
+        this.clusterIndex = null;
+        this.isVisible = false;
+    }
+
+    /**
+     * 写真ピンを表示
+     */
+    show() {
+        if (this.isVisible) return;
+        this.isVisible = true;
+        this.pinLayer.addTo(this.map);
+        this.refresh();
+    }
+
+    /**
+     * 写真ピンを非表示
+     */
+    hide() {
+        if (!this.isVisible) return;
+        this.isVisible = false;
+        this.map.closePopup();
+        this.pinLayer.clearLayers();
+        this.map.removeLayer(this.pinLayer);
+    }
+
+    /**
+     * 絞り込み条件の変更などで写真が変わったときにクラスターを再計算して描画
+     */
+    refresh() {
+        this.clusterIndex = null;
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * 🔍 写真ピンのクラスター階層を構築（絞り込み後の写真が対象）
+     */
+    buildClusterIndex() {
+        const buildStart = performance.now();
+        const photos = this.dataManager.queryPhotos();
+
+        this.clusterIndex = new ClusterIndex({
+            minZoom: APP_CONFIG.MAP.MIN_ZOOM,
+            maxZoom: APP_CONFIG.MAP.CLUSTER_MAX_ZOOM,
+            radius: APP_CONFIG.PHOTO_PIN.CLUSTER_RADIUS_PX,
+            getPixelDistance: (a, b, zoom) => this.getPixelDistance(a, b, zoom)
+        }).load(photos.map(photo => ({
+            id: photo.id,
+            lat: photo.latitude,
+            lng: photo.longitude,
+            weight: 1,
+            item: photo
+        })));
+
+        console.log(`📌 Photo pin hierarchy built in ${(performance.now() - buildStart).toFixed(2)}ms (${photos.length} photos)`);
+    }
+
+    /**
+     * 指定ズームでの2点間のピクセル距離
+     */
+    getPixelDistance(a, b, zoom) {
+        if (this.mapManager) {
+            return this.mapManager.getPixelDistance(a.lat, a.lng, b.lat, b.lng, zoom);
+        }
+        return this.map.project([a.lat, a.lng], zoom).distanceTo(this.map.project([b.lat, b.lng], zoom));
+    }
+
+    /**
+     * 現在のズームと表示範囲のピンを描画
+     * 表示範囲外のピンは描画しない（移動・ズームのたびに呼ばれる）
+     */
+    render() {
+        if (!this.isVisible) return;
+        if (!this.clusterIndex) {
+            this.buildClusterIndex();
+        }
+
+        const bounds = this.map.getBounds().pad(APP_CONFIG.PHOTO_PIN.VIEWPORT_PADDING);
+        const nodes = this.clusterIndex.getClusters(this.map.getZoom())
+            .filter(node => bounds.contains([node.lat, node.lng]));
+
+        this.pinLayer.clearLayers();
+        nodes.forEach(node => {
+            const marker = node.items.length === 1 ?
+                this.createPhotoMarker(node.items[0]) :
+                this.createClusterMarker(node);
+            marker.addTo(this.pinLayer);
+        });
+    }
+
+    /**
+     * 写真1枚のピンを作成
+     */
+    createPhotoMarker(photo) {
+        const marker = L.marker([photo.latitude, photo.longitude], {
+            icon: this.createPhotoPin(photo),
+            title: photo.title,
+            alt: photo.title
+        });
+
+        marker.bindPopup(() => this.createPopupContent(photo), {
+            maxWidth: 240,
+            className: 'photo-pin-popup'
+        });
+        return marker;
+    }
+
+    /**
+     * 複数写真のクラスターピンを作成
+     * クリックで構成写真の範囲へズームし、最大ズームでも分割できない場合は写真一覧のポップアップを開く
+     */
+    createClusterMarker(node) {
+        const marker = L.marker([node.lat, node.lng], {
+            icon: this.createPhotoPin(this.getRepresentativePhoto(node.items), node.items.length),
+            title: `${node.items.length}枚の写真`
+        });
+
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+
+            const currentZoom = this.map.getZoom();
+            const expansionZoom = this.clusterIndex.getExpansionZoom(node.itemIds, currentZoom);
+            if (currentZoom < APP_CONFIG.MAP.MAX_ZOOM && expansionZoom <= APP_CONFIG.MAP.MAX_ZOOM) {
+                const bounds = L.latLngBounds(node.items.map(photo => [photo.latitude, photo.longitude]));
+                const padding = APP_CONFIG.MAP.CLUSTER_FIT_PADDING_PX;
+                const options = { padding: [padding, padding], maxZoom: APP_CONFIG.MAP.MAX_ZOOM };
+
+                if (this.mapManager) {
+                    this.mapManager.fitBounds(bounds, options);
+                } else {
+                    this.map.fitBounds(bounds, options);
+                }
+                return;
+            }
+
+            L.popup({ maxWidth: 280, className: 'photo-pin-popup' })
+                .setLatLng(marker.getLatLng())
+                .setContent(this.createClusterPopupContent(node.items))
+                .openOn(this.map);
+        });
+        return marker;
+    }
+
+    /**
+     * クラスターの代表写真（閲覧数が最も多い写真）
+     */
+    getRepresentativePhoto(photos) {
+        return photos.reduce((best, photo) =>
+            (photo.view_count || 0) > (best.view_count || 0) ? photo : best
+        );
+    }
+
+    /**
+     * サムネイル付きのピンアイコンを作成
+     * @param {Object} photo - サムネイルに使う写真
+     * @param {number} count - クラスターの写真枚数（1枚ならバッジなし）
+     */
+    createPhotoPin(photo, count = 1) {
+        const isCluster = count > 1;
+        const iconSize = isCluster ? APP_CONFIG.PHOTO_PIN.CLUSTER_SIZE : APP_CONFIG.PHOTO_PIN.SIZE;
+        const thumbnailUrl = encodeURI(photo.thumbnail_url || photo.image_url || '').replace(/'/g, '%27');
+        const badge = isCluster ?
+            `<span class="photo-pin-count">${count > 999 ? '999+' : count}</span>` : '';
+
+        return L.divIcon({
+            className: `photo-pin-container${isCluster ? ' photo-pin-cluster' : ''}`,
+            html: `
+                <div class="photo-pin" style="
+                    width: ${iconSize}px;
+                    height: ${iconSize}px;
+                    background-image: url('${thumbnailUrl}');
+                "></div>
+                ${badge}
+            `,
+            iconSize: [iconSize, iconSize],
+            iconAnchor: [iconSize / 2, iconSize / 2],
+            popupAnchor: [0, -(iconSize / 2 + 4)]
+        });
+    }
+
+    /**
+     * 写真ポップアップの内容を作成
+     */
+    createPopupContent(photo) {
+        const container = document.createElement('div');
+        container.className = 'popup-content';
+
+        const img = document.createElement('img');
+        img.src = photo.thumbnail_url || photo.image_url;
+        img.alt = photo.title || '';
+        img.className = 'popup-image';
+        img.loading = 'lazy';
+
+        const title = document.createElement('div');
+        title.className = 'popup-title';
+        title.textContent = photo.title || '';
+
+        const location = document.createElement('div');
+        location.className = 'popup-location';
+        location.textContent = photo.location || '';
+
+        const viewButton = document.createElement('button');
+        viewButton.className = 'popup-view-btn';
+        viewButton.textContent = '詳細を表示';
+        viewButton.addEventListener('click', () => this.openPhoto(photo));
+
+        container.append(img, title, location, viewButton);
+        return container;
+    }
+
+    /**
+     * 分割できないクラスターのポップアップ（写真サムネイル一覧）を作成
+     */
+    createClusterPopupContent(photos) {
+        const maxPhotos = APP_CONFIG.PHOTO_PIN.CLUSTER_POPUP_MAX_PHOTOS;
+        const container = document.createElement('div');
+        container.className = 'popup-content photo-pin-cluster-popup';
+
+        const title = document.createElement('div');
+        title.className = 'popup-title';
+        title.textContent = `この場所の写真（${photos.length}枚）`;
+
+        const grid = document.createElement('div');
+        grid.className = 'popup-photo-grid';
+        photos.slice(0, maxPhotos).forEach(photo => {
+            const button = document.createElement('button');
+            button.className = 'popup-photo-thumb';
+            button.title = photo.title || '';
+
+            const img = document.createElement('img');
+            img.src = photo.thumbnail_url || photo.image_url;
+            img.alt = photo.title || '';
+            img.loading = 'lazy';
+
+            button.appendChild(img);
+            button.addEventListener('click', () => this.openPhoto(photo));
+            grid.appendChild(button);
+        });
+
+        container.append(title, grid);
+
+        if (photos.length > maxPhotos) {
+            const more = document.createElement('div');
+            more.className = 'popup-location';
+            more.textContent = `ほか${photos.length - maxPhotos}枚`;
+            container.appendChild(more);
+        }
+        return container;
+    }
+
+    /**
+     * 写真の詳細を開く
+     */
+    openPhoto(photo) {
+        this.map.closePopup();
+        if (this.eventBus) {
+            this.eventBus.emit(APP_EVENTS.PHOTO_CLICKED, photo);
+        }
+    }
+}
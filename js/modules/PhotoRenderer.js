@@ -1,23 +1,57 @@
+import { APP_CONFIG } from '../config/constants.js';
 import { ImageRenderer } from '../utils/ImageRenderer.js';
 import { APP_EVENTS } from '../utils/EventEmitter.js';
+import { VirtualScroller } from '../utils/VirtualScroller.js';
 
 /**
  * 写真表示処理を専門に扱うクラス
  * グリッド/タイムライン表示の責任を分離し、コードの重複を除去
+ *
+ * 表示範囲の行だけを描画し（VirtualScroller）、末尾に近づくと APP_CONFIG.UI.PHOTOS_PER_PAGE 枚ずつ読み足す
+ * 表示モードを切り替えても、先頭に表示していた写真の位置から表示する
+ * 表示中のページ（1ページ = PHOTOS_PER_PAGE 枚）が変わると PHOTOS_PAGE_CHANGED を通知する（PhotoPagination）
  */
 export class PhotoRenderer {
     constructor(eventBus, analytics = null) {
         this.eventBus = eventBus;
         this.analytics = analytics;
+        this.photosPerPage = APP_CONFIG.UI.PHOTOS_PER_PAGE;
+
+        this.scrollers = {};        // mode → VirtualScroller
+        this.mode = null;
+        this.listKey = null;        // 表示中の一覧（エリアID）。変わったら先頭（指定ページ）から表示する
+        this.photos = [];           // 表示モードの並び順の写真
+        this.dateCounts = new Map();
+        this.loadedCount = 0;       // 描画対象に含める写真の数（末尾に近づくと増やす）
+        this.anchorPhotoId = null;  // 先頭に表示中の写真（表示モードの切り替え・再描画で位置を保つ）
+        this.rowIndexByPhotoId = new Map();
+        this.currentPage = 1;
+        this.pageState = null;      // 最後に通知したページの状態
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（「さらに読み込む」ボタン）
+     */
+    init() {
+        this.elements = {
+            loadMoreButton: document.getElementById('loadMorePhotos')
+        };
+        this.elements.loadMoreButton?.addEventListener('click', () => this.loadMore());
     }
 
     /**
      * 写真を指定モードで描画
+     * 同じ一覧（options.key）の再描画・表示モードの切り替えでは表示位置を保ち、
+     * 別の一覧に変わった場合は page の先頭の写真から表示する
      * @param {Array} photos - 写真配列
      * @param {string} mode - 表示モード ('grid' | 'timeline')
-     * @param {number} page - ページ番号
+     * @param {number} page - ページ番号（先頭に表示するページ。1ページ = APP_CONFIG.UI.PHOTOS_PER_PAGE 枚）
+     * @param {PhotoQuery} query - 適用中のクエリ（並び順・空表示メッセージに使用）
+     * @param {Object} [options]
+     * @param {string} [options.key] - 一覧の識別子（エリアID）
      */
-    renderPhotos(photos, mode, page) {
+    renderPhotos(photos, mode, page, query = null, { key = this.listKey } = {}) {
         const container = mode === 'grid' ? 
             document.getElementById('areaPhotosGrid') : 
             document.getElementById('areaPhotosTimeline');
@@ -26,32 +60,249 @@ export class PhotoRenderer {
             console.warn('⚠️ Photo display container not found for mode:', mode);
             return;
         }
-        
-        container.innerHTML = '';
-        
-        if (mode === 'grid') {
-            this.renderGridPhotos(photos, container, page);
-        } else {
-            this.renderTimelinePhotos(photos, container, page);
+
+        const scroller = this.getScroller(mode, container);
+        this.mode = mode;
+        this.query = query;
+        this.photos = mode === 'grid' ? photos : this.sortByTakenAt(photos, query);
+
+        if (photos.length === 0) {
+            this.listKey = key;
+            this.anchorPhotoId = null;
+            this.loadedCount = 0;
+            scroller.setRows([{ key: 'empty', type: 'empty' }], { scrollToIndex: 0 });
+            this.updateLoadMoreButton();
+            this.updatePage(1);
+            return;
         }
-        
-        // スクロール状況をデバッグ
-        this.debugScrollStatus(container, mode, photos.length);
+
+        // 別の一覧に変わった場合は指定ページの先頭の写真から表示する
+        if (key !== this.listKey) {
+            this.listKey = key;
+            const startIndex = Math.min((Math.max(page, 1) - 1) * this.photosPerPage, photos.length - 1);
+            this.anchorPhotoId = this.photos[startIndex].id;
+            this.loadedCount = startIndex + this.photosPerPage;
+        }
+
+        // 先頭に表示していた写真が含まれるまで読み込む（見つからなければ先頭から）
+        const anchorIndex = Math.max(this.photos.findIndex(photo => photo.id === this.anchorPhotoId), 0);
+        this.anchorPhotoId = this.photos[anchorIndex].id;
+
+        if (mode === 'timeline') {
+            this.dateCounts = this.countPhotosByDate(this.photos);
+        }
+        const rows = this.showPhotoAt(anchorIndex);
+
+        // 表示中のページは、先頭の写真を含むページ（表示モードを切り替えると並び順が変わるため計算し直す）
+        this.updatePage(this.getPageOf(anchorIndex));
+
+        console.log(`🖼️ Rendered ${mode}: ${this.loadedCount}/${this.photos.length} photos loaded in ${rows.length} rows`);
     }
 
     /**
-     * グリッド表示で写真を描画
+     * 指定ページの先頭の写真から表示（まだ読み込んでいなければそのページまで読み込む）
+     * @param {number} page - 1 〜 総ページ数（範囲外は丸める）
      */
-    renderGridPhotos(photos, container, page) {
-        const photosPerPage = 12;
-        const startIndex = (page - 1) * photosPerPage;
-        const endIndex = Math.min(startIndex + photosPerPage, photos.length);
-        const pagePhotos = photos.slice(startIndex, endIndex);
-        
-        pagePhotos.forEach(photo => {
-            const photoElement = this.createGridPhotoElement(photo);
-            container.appendChild(photoElement);
+    goToPage(page) {
+        if (!this.scrollers[this.mode] || this.photos.length === 0) return;
+
+        const targetPage = Math.min(Math.max(page, 1), this.getTotalPages());
+        const startIndex = (targetPage - 1) * this.photosPerPage;
+        this.anchorPhotoId = this.photos[startIndex].id;
+        this.showPhotoAt(startIndex);
+        this.updatePage(targetPage);
+    }
+
+    /**
+     * 指定位置の写真を含む行が先頭に来るように描画（その写真を含むページまで読み込む）
+     * @returns {Array} 行
+     */
+    showPhotoAt(index) {
+        const scroller = this.scrollers[this.mode];
+        const loadedThroughPage = this.getPageOf(index) * this.photosPerPage;
+        this.loadedCount = Math.min(Math.max(this.loadedCount, loadedThroughPage), this.photos.length);
+
+        const rows = this.buildRows(this.mode, scroller.container);
+        scroller.setRows(rows, { scrollToIndex: this.rowIndexByPhotoId.get(this.photos[index].id) ?? 0 });
+        this.updateLoadMoreButton();
+        return rows;
+    }
+
+    /**
+     * 総ページ数（写真がなければ 0）
+     */
+    getTotalPages() {
+        return Math.ceil(this.photos.length / this.photosPerPage);
+    }
+
+    /**
+     * 写真の位置（並び順）からページ番号
+     */
+    getPageOf(index) {
+        return Math.floor(index / this.photosPerPage) + 1;
+    }
+
+    /**
+     * 表示中のページ・総ページ数が変わったら PHOTOS_PAGE_CHANGED を通知
+     */
+    updatePage(page) {
+        const totalPages = this.getTotalPages();
+        const state = { key: this.listKey, mode: this.mode, page, totalPages };
+        const previous = this.pageState;
+        if (previous && Object.keys(state).every(name => previous[name] === state[name])) return;
+
+        this.pageState = state;
+        this.currentPage = page;
+        this.eventBus.emit(APP_EVENTS.PHOTOS_PAGE_CHANGED, state);
+    }
+
+    /**
+     * 次の描画で先頭（指定ページ）から表示し直す（絞り込み条件が変わった場合など）
+     */
+    reset() {
+        this.listKey = null;
+        this.anchorPhotoId = null;
+    }
+
+    /**
+     * 📜 次のページ分の写真を読み足す（末尾までスクロールした・「さらに読み込む」を押した）
+     */
+    loadMore() {
+        const scroller = this.scrollers[this.mode];
+        if (!scroller || this.loadedCount >= this.photos.length) return;
+
+        this.loadedCount = Math.min(this.loadedCount + this.photosPerPage, this.photos.length);
+        scroller.setRows(this.buildRows(this.mode, scroller.container));
+        this.updateLoadMoreButton();
+    }
+
+    /**
+     * 表示モードの仮想スクロールを取得（初回のみ作成）
+     */
+    getScroller(mode, container) {
+        if (!this.scrollers[mode]) {
+            this.scrollers[mode] = new VirtualScroller(container, {
+                renderRow: row => this.createRowElement(row),
+                onScroll: (index, { atEnd }) => this.handleScroll(mode, index, atEnd),
+                onNearEnd: () => this.loadMore(),
+                // 画面の幅が変わるとグリッドの列数が変わるため、行を組み直す
+                onResize: () => {
+                    if (this.mode !== mode || this.photos.length === 0) return;
+                    const rows = this.buildRows(mode, container);
+                    this.scrollers[mode].setRows(rows, { scrollToIndex: this.rowIndexByPhotoId.get(this.anchorPhotoId) ?? 0 });
+                }
+            });
+        }
+        return this.scrollers[mode];
+    }
+
+    /**
+     * 表示範囲が変わったとき、先頭の写真とページを記録する
+     * 行がページの境目をまたぐ場合は行の最後の写真のページ、
+     * すべて読み込んで末尾までスクロールした場合は最後のページとする（最後のページが先頭まで来ない場合があるため）
+     */
+    handleScroll(mode, index, atEnd) {
+        if (mode !== this.mode) return;
+
+        const row = this.scrollers[mode].rows[index];
+        if (!row?.photos) return;
+
+        this.anchorPhotoId = row.photos[0].id;
+        const lastPhotoIndex = mode === 'grid' ? row.startIndex + row.photos.length - 1 : row.startIndex;
+        const page = atEnd && this.loadedCount >= this.photos.length ?
+            this.getTotalPages() :
+            this.getPageOf(lastPhotoIndex);
+        this.updatePage(page);
+    }
+
+    /**
+     * 読み込んだ写真から行を作成
+     * グリッド: 列数ごとの行 / タイムライン: 日付の見出しと写真1枚ずつの行
+     * 行には先頭の写真の位置（startIndex）と写真（photos）を持たせる
+     */
+    buildRows(mode, container) {
+        const loaded = this.photos.slice(0, this.loadedCount);
+        const rows = [];
+        this.rowIndexByPhotoId = new Map();
+
+        if (mode === 'grid') {
+            const columns = this.getGridColumns(container);
+            for (let i = 0; i < loaded.length; i += columns) {
+                const photos = loaded.slice(i, i + columns);
+                photos.forEach(photo => this.rowIndexByPhotoId.set(photo.id, rows.length));
+                rows.push({ key: `row:${photos.map(photo => photo.id).join(',')}`, type: 'grid-row', startIndex: i, photos });
+            }
+            return rows;
+        }
+
+        let currentDate = null;
+        loaded.forEach((photo, i) => {
+            const date = this.getDateLabel(photo);
+            if (date !== currentDate) {
+                currentDate = date;
+                // 日付の最初の写真は見出しの位置に移動する
+                this.rowIndexByPhotoId.set(photo.id, rows.length);
+                rows.push({ key: `date:${date}`, type: 'timeline-date', startIndex: i, photos: [photo], date });
+            } else {
+                this.rowIndexByPhotoId.set(photo.id, rows.length);
+            }
+            rows.push({ key: `photo:${photo.id}`, type: 'timeline-photo', startIndex: i, photos: [photo] });
         });
+        return rows;
+    }
+
+    /**
+     * 行の要素を作成
+     */
+    createRowElement(row) {
+        switch (row.type) {
+            case 'empty':
+                return this.renderEmptyState();
+            case 'grid-row': {
+                const rowElement = document.createElement('div');
+                rowElement.className = 'photo-grid-row';
+                row.photos.forEach(photo => rowElement.appendChild(this.createGridPhotoElement(photo)));
+                return rowElement;
+            }
+            case 'timeline-date':
+                return this.createDateHeader(row.date, this.dateCounts.get(row.date) || 0);
+            default:
+                return this.createTimelinePhotoElement(row.photos[0]);
+        }
+    }
+
+    /**
+     * グリッドの列数（CSSの --grid-columns。画面幅に応じて変わる）
+     */
+    getGridColumns(container) {
+        const columns = parseInt(getComputedStyle(container).getPropertyValue('--grid-columns'), 10);
+        return columns > 0 ? columns : 3;
+    }
+
+    /**
+     * 読み込んでいない写真があれば「さらに読み込む」ボタンを表示
+     * （スクロールできない場合やキーボード操作でも続きを表示できるように）
+     */
+    updateLoadMoreButton() {
+        const { loadMoreButton } = this.elements;
+        if (!loadMoreButton) return;
+
+        const remaining = this.photos.length - this.loadedCount;
+        loadMoreButton.style.display = remaining > 0 ? 'inline-block' : 'none';
+        loadMoreButton.textContent = `さらに読み込む（残り${remaining}枚）`;
+    }
+
+    /**
+     * 表示する写真がない場合のメッセージを作成
+     */
+    renderEmptyState() {
+        const message = this.query?.isFiltering() ?
+            '条件に一致する写真がありません。' :
+            'このエリアには写真がありません。';
+        const element = document.createElement('p');
+        element.className = 'no-photos';
+        element.textContent = message;
+        return element;
     }
 
     /**
@@ -67,10 +318,11 @@ export class PhotoRenderer {
         // オーバーレイを作成
         const overlay = document.createElement('div');
         overlay.className = 'photo-overlay';
-        overlay.innerHTML = `
-            <h4>${photo.title}</h4>
-            <p>${new Date(photo.taken_at).toLocaleDateString('ja-JP')}</p>
-        `;
+        const title = document.createElement('h4');
+        title.textContent = photo.title || '';
+        const date = document.createElement('p');
+        date.textContent = new Date(photo.taken_at).toLocaleDateString('ja-JP');
+        overlay.append(title, date);
         
         photoElement.appendChild(img);
         photoElement.appendChild(overlay);
@@ -85,66 +337,47 @@ export class PhotoRenderer {
     }
 
     /**
-     * タイムライン表示で写真を描画
+     * タイムライン用に撮影日でソート（クエリが撮影日の昇順指定なら古い順）
      */
-    renderTimelinePhotos(photos, container, page) {
-        // 撮影日でソート
-        const sortedPhotos = [...photos].sort((a, b) => new Date(b.taken_at) - new Date(a.taken_at));
-        
-        // 日付でグループ化
-        const photosByDate = this.groupPhotosByDate(sortedPhotos);
-        
-        // タイムライン表示を構築
-        Object.entries(photosByDate).forEach(([date, datePhotos]) => {
-            const dateSection = this.createDateSection(date, datePhotos);
-            container.appendChild(dateSection);
-        });
+    sortByTakenAt(photos, query = null) {
+        const ascending = query?.criteria.sortBy === 'taken_at' && query.criteria.sortOrder === 'asc';
+        return [...photos].sort((a, b) => ascending ?
+            new Date(a.taken_at) - new Date(b.taken_at) :
+            new Date(b.taken_at) - new Date(a.taken_at));
     }
 
     /**
-     * 写真を日付でグループ化
+     * タイムラインの日付の見出し
      */
-    groupPhotosByDate(photos) {
-        const photosByDate = {};
+    getDateLabel(photo) {
+        return new Date(photo.taken_at).toLocaleDateString('ja-JP');
+    }
+
+    /**
+     * 日付ごとの写真の枚数（読み込んでいない写真も含める）
+     */
+    countPhotosByDate(photos) {
+        const counts = new Map();
         photos.forEach(photo => {
-            const date = new Date(photo.taken_at).toLocaleDateString('ja-JP');
-            if (!photosByDate[date]) {
-                photosByDate[date] = [];
-            }
-            photosByDate[date].push(photo);
+            const date = this.getDateLabel(photo);
+            counts.set(date, (counts.get(date) || 0) + 1);
         });
-        return photosByDate;
+        return counts;
     }
 
     /**
-     * 日付セクションを作成
+     * 日付の見出しを作成
      */
-    createDateSection(date, datePhotos) {
-        const dateSection = document.createElement('div');
-        dateSection.className = 'timeline-date-section';
-        
-        // 日付ヘッダーを作成
+    createDateHeader(date, count) {
         const dateHeader = document.createElement('div');
         dateHeader.className = 'timeline-date-header';
-        dateHeader.innerHTML = `
-            <h4>${date}</h4>
-            <span class="photo-count">${datePhotos.length}枚</span>
-        `;
-        
-        // 写真コンテナを作成
-        const photosContainer = document.createElement('div');
-        photosContainer.className = 'timeline-photos';
-        
-        // 各写真アイテムを作成
-        datePhotos.forEach(photo => {
-            const photoItem = this.createTimelinePhotoElement(photo);
-            photosContainer.appendChild(photoItem);
-        });
-        
-        dateSection.appendChild(dateHeader);
-        dateSection.appendChild(photosContainer);
-        
-        return dateSection;
+        const title = document.createElement('h4');
+        title.textContent = date;
+        const photoCount = document.createElement('span');
+        photoCount.className = 'photo-count';
+        photoCount.textContent = `${count}枚`;
+        dateHeader.append(title, photoCount);
+        return dateHeader;
     }
 
     /**
@@ -160,11 +393,13 @@ export class PhotoRenderer {
         // 情報コンテナを作成
         const infoContainer = document.createElement('div');
         infoContainer.className = 'timeline-photo-info';
-        infoContainer.innerHTML = `
-            <h5>${photo.title}</h5>
-            <p>${photo.description || ''}</p>
-            <small>${new Date(photo.taken_at).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })}</small>
-        `;
+        const title = document.createElement('h5');
+        title.textContent = photo.title || '';
+        const description = document.createElement('p');
+        description.textContent = photo.description || '';
+        const time = document.createElement('small');
+        time.textContent = new Date(photo.taken_at).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+        infoContainer.append(title, description, time);
         
         photoItem.appendChild(img);
         photoItem.appendChild(infoContainer);
@@ -178,36 +413,6 @@ export class PhotoRenderer {
         return photoItem;
     }
 
-    /**
-     * スクロール状況をデバッグ
-     */
-    debugScrollStatus(container, mode, photosCount) {
-        setTimeout(() => {
-            const containerStyles = getComputedStyle(container);
-            const scrollInfo = {
-                mode: mode,
-                containerHeight: container.offsetHeight,
-                scrollHeight: container.scrollHeight,
-                clientHeight: container.clientHeight,
-                canScroll: container.scrollHeight > container.offsetHeight,
-                maxHeight: containerStyles.maxHeight,
-                minHeight: containerStyles.minHeight,
-                overflow: containerStyles.overflowY,
-                padding: containerStyles.padding,
-                gap: containerStyles.gap,
-                scrollDiff: container.scrollHeight - container.offsetHeight,
-                photosCount: photosCount
-            };
-            console.log('🔍 Container scroll debug:', scrollInfo);
-            
-            if (scrollInfo.canScroll) {
-                console.log('✅ スクロール機能が有効になりました！');
-            } else {
-                console.log('⚠️ スクロールが発生しません。コンテンツ高さが不足している可能性があります。');
-            }
-        }, 200);
-    }
-
     /**
      * 表示モードを切り替え
      */
@@ -220,13 +425,18 @@ export class PhotoRenderer {
             return;
         }
         
-        // コンテナの表示/非表示を切り替え
+        // コンテナの表示/非表示を切り替え（グリッドの列は行ごとに並べるため、どちらも block）
         if (mode === 'grid') {
-            gridContainer.style.display = 'grid';
+            gridContainer.style.display = 'block';
             timelineContainer.style.display = 'none';
         } else if (mode === 'timeline') {
             gridContainer.style.display = 'none';
             timelineContainer.style.display = 'block';
         }
+
+        // 非表示になったモードの描画済みの行を破棄する（位置は先頭の写真で引き継ぐ）
+        Object.entries(this.scrollers).forEach(([scrollerMode, scroller]) => {
+            if (scrollerMode !== mode) scroller.clear();
+        });
     }
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { ImageResizer } from '../utils/ImageResizer.js';
+import { ExifReader } from '../utils/ExifReader.js';
+import { ImageAnonymizer } from '../utils/ImageAnonymizer.js';
+import { FaceBlurEditor } from './FaceBlurEditor.js';
+
+/**
+ * 写真追加フォームの画像ファイル選択を担当するクラス
+ * ファイル選択・ドラッグ&ドロップ・プレビューを扱い、送信時に
+ * 本体（800x600）とサムネイル（200x200）の画像を作成する
+ * 選択したJPEGに撮影日時・位置情報（EXIF）があれば onMetadata で通知する
+ * Canvasで描き直して保存するため、EXIF（位置情報を含む）は保存される画像に残らない
+ * 「顔をぼかす」で指定した範囲は縮小前の画像にモザイクをかけてから保存する
+ */
+export class PhotoUploader {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onError - (message) => void 選択できないファイルのとき
+     * @param {Function} options.onMetadata - (exif) => void 撮影日時・位置情報を読み取れたとき
+     */
+    constructor({ onError = null, onMetadata = null } = {}) {
+        this.onError = onError;
+        this.onMetadata = onMetadata;
+        this.file = null;
+        this.metadata = null; // ExifReader.read() の結果
+        this.blurMask = null; // FaceBlurEditor で指定したモザイクの範囲
+        this.blurEditor = new FaceBlurEditor();
+        this.previewUrl = null;
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（フォームの要素と結びつける）
+     */
+    init() {
+        this.elements = {
+            dropZone: document.getElementById('photoDropZone'),
+            input: document.getElementById('photoFileInput'),
+            preview: document.getElementById('photoFilePreview'),
+            previewImage: document.getElementById('photoFilePreviewImage'),
+            fileName: document.getElementById('photoFileName'),
+            clear: document.getElementById('clearPhotoFile'),
+            editBlur: document.getElementById('editBlurBtn'),
+            blurCount: document.getElementById('blurRegionCount')
+        };
+
+        const { dropZone, input, clear, editBlur } = this.elements;
+        if (!dropZone || !input) {
+            console.warn('⚠️ PhotoUploader: elements not found');
+            return;
+        }
+
+        input.accept = APP_CONFIG.UPLOAD.ACCEPTED_TYPES.join(',');
+        input.addEventListener('change', () => {
+            if (input.files?.[0]) this.setFile(input.files[0]);
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            dropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropZone.classList.add('dragover');
+            });
+        });
+        ['dragleave', 'drop'].forEach(type => {
+            dropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('dragover');
+            });
+        });
+        dropZone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files?.[0];
+            if (file) this.setFile(file);
+        });
+
+        clear?.addEventListener('click', () => this.reset());
+        editBlur?.addEventListener('click', () => this.editBlur());
+        this.blurEditor.init();
+    }
+
+    /**
+     * 画像ファイルを選択（形式・サイズを確認してプレビューを表示）
+     * @returns {boolean} 選択できたか
+     */
+    setFile(file) {
+        const { ACCEPTED_TYPES, MAX_FILE_BYTES } = APP_CONFIG.UPLOAD;
+
+        if (!ACCEPTED_TYPES.includes(file.type)) {
+            this.onError?.('JPEG・PNG・WebP形式の画像を選択してください');
+            return false;
+        }
+        if (file.size > MAX_FILE_BYTES) {
+            this.onError?.(`画像は${Math.round(MAX_FILE_BYTES / 1024 / 1024)}MB以下にしてください`);
+            return false;
+        }
+
+        this.file = file;
+        this.metadata = null;
+        this.blurMask = null;
+        this.onError?.(null);
+        this.updatePreview();
+        console.log(`🖼️ Photo file selected: ${file.name} (${(file.size / 1024).toFixed(1)}KB)`);
+
+        this.readMetadata(file);
+        return true;
+    }
+
+    /**
+     * 📷 撮影日時・位置情報を読み取って通知
+     */
+    async readMetadata(file) {
+        const exif = await ExifReader.read(file);
+        if (this.file !== file || !exif) return; // 読み取り中に別のファイルが選ばれた場合は無視
+
+        this.metadata = exif;
+        console.log('📷 EXIF metadata:', exif);
+        if (exif.takenAt || exif.latitude !== null) {
+            this.onMetadata?.(exif);
+        }
+    }
+
+    hasFile() {
+        return !!this.file;
+    }
+
+    /**
+     * 🙈 顔ぼかしエディターを開き、指定した範囲をプレビューに反映
+     */
+    async editBlur() {
+        if (!this.file) return;
+
+        const file = this.file;
+        let source;
+        try {
+            source = await ImageResizer.load(file);
+            const mask = await this.blurEditor.open(source, this.blurMask);
+            if (!mask || this.file !== file) return; // キャンセル、または編集中に別のファイルが選ばれた
+
+            this.blurMask = ImageAnonymizer.hasRegions(mask) ? mask : null;
+            console.log(`🙈 Blur regions: ${mask.rects.length} rects, ${mask.strokes.length} strokes`);
+            await this.updatePreview(source);
+        } catch (error) {
+            this.onError?.(error.message);
+        } finally {
+            source?.close?.();
+        }
+    }
+
+    /**
+     * 選択を解除
+     */
+    reset() {
+        this.file = null;
+        this.metadata = null;
+        this.blurMask = null;
+        if (this.elements.input) {
+            this.elements.input.value = '';
+        }
+        this.updatePreview();
+    }
+
+    /**
+     * プレビューの表示を更新
+     * @param {ImageBitmap|HTMLImageElement|null} source - 読み込み済みの画像（モザイクの範囲があるときに使う）
+     */
+    async updatePreview(source = null) {
+        const { dropZone, preview, previewImage, fileName, blurCount } = this.elements;
+
+        if (this.previewUrl) {
+            URL.revokeObjectURL(this.previewUrl);
+            this.previewUrl = null;
+        }
+
+        if (this.file && this.blurMask && source) {
+            // モザイクをかけた状態を保存時と同じ大きさで表示
+            const blurred = ImageAnonymizer.apply(source, this.blurMask);
+            const thumbnail = ImageResizer.cover(blurred, APP_CONFIG.UPLOAD.IMAGE_WIDTH, APP_CONFIG.UPLOAD.IMAGE_HEIGHT);
+            this.previewUrl = URL.createObjectURL(await ImageResizer.encode(thumbnail, ['image/jpeg'], 0.8));
+        } else if (this.file) {
+            this.previewUrl = URL.createObjectURL(this.file);
+        }
+        if (previewImage) {
+            previewImage.src = this.previewUrl || '';
+        }
+        if (fileName) {
+            fileName.textContent = this.file?.name || '';
+        }
+        if (blurCount) {
+            const count = this.blurMask ? this.blurMask.rects.length + this.blurMask.strokes.length : 0;
+            blurCount.textContent = count > 0 ? `ぼかし ${count}か所` : '顔をぼかす';
+        }
+        if (preview) {
+            preview.hidden = !this.file;
+        }
+        if (dropZone) {
+            dropZone.hidden = !!this.file;
+        }
+    }
+
+    /**
+     * 📐 選択中の画像から本体とサムネイルを作成
+     * @returns {Promise<{image: Blob, thumbnail: Blob}>}
+     */
+    async process() {
+        if (!this.file) {
+            throw new Error('画像ファイルが選択されていません');
+        }
+
+        const startTime = performance.now();
+        const config = APP_CONFIG.UPLOAD;
+        const loaded = await ImageResizer.load(this.file);
+        // モザイクは縮小前にかける（縮小後の画像から元の顔を復元できないように）
+        const source = this.blurMask ? ImageAnonymizer.apply(loaded, this.blurMask) : loaded;
+
+        try {
+            const [image, thumbnail] = await Promise.all([
+                ImageResizer.encode(
+                    ImageResizer.cover(source, config.IMAGE_WIDTH, config.IMAGE_HEIGHT),
+                    config.OUTPUT_TYPES,
+                    config.IMAGE_QUALITY
+                ),
+                ImageResizer.encode(
+                    ImageResizer.cover(source, config.THUMBNAIL_SIZE, config.THUMBNAIL_SIZE),
+                    config.OUTPUT_TYPES,
+                    config.THUMBNAIL_QUALITY
+                )
+            ]);
+
+            console.log(`📐 Photo resized in ${(performance.now() - startTime).toFixed(0)}ms: ` +
+                `${(this.file.size / 1024).toFixed(1)}KB → ${image.type} ${(image.size / 1024).toFixed(1)}KB + thumbnail ${(thumbnail.size / 1024).toFixed(1)}KB`);
+            return { image, thumbnail };
+        } finally {
+            loaded.close?.(); // ImageBitmap のメモリを解放
+        }
+    }
+}
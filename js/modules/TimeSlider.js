@@ -0,0 +1,287 @@
+import { APP_CONFIG } from '../config/constants.js';
+
+/**
+ * 撮影日のタイムスライダーを担当するクラス
+ * 月単位の期間を選んで写真を絞り込み、月ごとの自動再生で活動の広がりを振り返る
+ *
+ * 期間はDataManagerのクエリ（dateFrom/dateTo）として設定するため、
+ * マーカーのバッジ・エリアパネル・タイムライン表示はQUERY_CHANGEDで同期して更新される
+ */
+export class TimeSlider {
+    constructor(dataManager, analytics = null) {
+        this.dataManager = dataManager;
+        this.analytics = analytics;
+
+        this.months = [];        // [{ year, month }]（写真のある最初の月〜最後の月）
+        this.startIndex = 0;
+        this.endIndex = 0;
+        this.playTimer = null;
+        this.applyTimer = null;
+
+        this.elements = {};
+    }
+
+    /**
+     * 初期化（DOMと結びつけ、写真の撮影月から範囲を作る）
+     */
+    init() {
+        this.elements = {
+            container: document.getElementById('timeSlider'),
+            start: document.getElementById('timeSliderStart'),
+            end: document.getElementById('timeSliderEnd'),
+            range: document.getElementById('timeSliderRange'),
+            count: document.getElementById('timeSliderCount'),
+            play: document.getElementById('timeSliderPlay'),
+            reset: document.getElementById('timeSliderReset')
+        };
+
+        const { container, start, end, play, reset } = this.elements;
+        if (!container || !start || !end) {
+            console.warn('⚠️ TimeSlider: elements not found');
+            return;
+        }
+
+        start.addEventListener('input', () => this.handleSliderInput('start'));
+        end.addEventListener('input', () => this.handleSliderInput('end'));
+        play?.addEventListener('click', () => this.togglePlay());
+        reset?.addEventListener('click', () => {
+            this.pause();
+            this.setRange(0, this.months.length - 1);
+        });
+
+        this.refreshMonths();
+        console.log(`🕰️ TimeSlider initialized (${this.months.length} months)`);
+    }
+
+    /**
+     * 写真の撮影月から範囲を作り直す（写真の追加・更新・削除、分割ファイルの読み込み、表示範囲の変更時）
+     * 選択中の期間はクエリの日付条件から復元する
+     */
+    refreshMonths() {
+        const { container, start, end } = this.elements;
+        if (!container || !start || !end) return;
+
+        this.months = this.collectMonths(this.dataManager.getTakenDates());
+        container.hidden = this.months.length === 0;
+        if (this.months.length === 0) {
+            this.pause();
+            return;
+        }
+
+        [start, end].forEach(input => {
+            input.min = 0;
+            input.max = this.months.length - 1;
+            input.step = 1;
+        });
+        this.syncWithQuery(this.dataManager.getQuery());
+    }
+
+    /**
+     * 撮影日から最初の月〜最後の月の配列を作成
+     * @param {string[]} dates - 撮影日（分割読み込みでまだ読み込んでいない写真の撮影期間を含む）
+     */
+    collectMonths(dates) {
+        const times = dates
+            .map(date => new Date(date).getTime())
+            .filter(time => !Number.isNaN(time));
+        if (times.length === 0) return [];
+
+        const first = new Date(Math.min(...times));
+        const last = new Date(Math.max(...times));
+        const monthCount = (last.getFullYear() - first.getFullYear()) * 12 + (last.getMonth() - first.getMonth()) + 1;
+
+        return Array.from({ length: monthCount }, (_, i) => {
+            const date = new Date(first.getFullYear(), first.getMonth() + i, 1);
+            return { year: date.getFullYear(), month: date.getMonth() };
+        });
+    }
+
+    /**
+     * スライダー操作（つまみが交差しないように調整し、少し待ってから適用）
+     */
+    handleSliderInput(handle) {
+        this.pause();
+
+        let start = Number(this.elements.start.value);
+        let end = Number(this.elements.end.value);
+        if (start > end) {
+            if (handle === 'start') end = start;
+            else start = end;
+        }
+
+        this.startIndex = start;
+        this.endIndex = end;
+        this.updateView();
+
+        clearTimeout(this.applyTimer);
+        this.applyTimer = setTimeout(() => this.applyRange(), APP_CONFIG.TIME_SLIDER.INPUT_DEBOUNCE_MS);
+    }
+
+    /**
+     * 期間を設定してすぐに適用
+     */
+    setRange(startIndex, endIndex) {
+        this.startIndex = startIndex;
+        this.endIndex = endIndex;
+        this.updateView();
+        this.applyRange();
+    }
+
+    /**
+     * 選択中の期間をクエリに反映（全期間なら日付条件を外す）
+     */
+    applyRange() {
+        clearTimeout(this.applyTimer);
+
+        const isFullRange = this.startIndex === 0 && this.endIndex === this.months.length - 1;
+        const dateFrom = isFullRange ? null : this.formatDate(this.getMonthStart(this.months[this.startIndex]));
+        const dateTo = isFullRange ? null : this.formatDate(this.getMonthEnd(this.months[this.endIndex]));
+
+        const { criteria } = this.dataManager.getQuery();
+        if (criteria.dateFrom === dateFrom && criteria.dateTo === dateTo) return;
+
+        this.dataManager.updateQuery({ dateFrom, dateTo });
+    }
+
+    /**
+     * クエリの日付条件に合わせてスライダーを同期（日付入力欄から変更された場合など）
+     */
+    syncWithQuery(query) {
+        if (this.months.length === 0 || !query) return;
+
+        const { dateFrom, dateTo } = query.criteria;
+        this.startIndex = dateFrom ? this.findMonthIndex(dateFrom, 0) : 0;
+        this.endIndex = dateTo ? this.findMonthIndex(dateTo, this.months.length - 1) : this.months.length - 1;
+        if (this.startIndex > this.endIndex) {
+            this.startIndex = this.endIndex;
+        }
+        this.updateView();
+    }
+
+    /**
+     * 'YYYY-MM-DD' を含む月のインデックス（範囲外は端に寄せる）
+     */
+    findMonthIndex(dateString, fallback) {
+        const [year, month] = dateString.split('-').map(Number);
+        if (!year || !month) return fallback;
+
+        const first = this.months[0];
+        const index = (year - first.year) * 12 + (month - 1 - first.month);
+        return Math.min(Math.max(index, 0), this.months.length - 1);
+    }
+
+    /**
+     * スライダーとラベルの表示を更新
+     */
+    updateView() {
+        const { start, end, range, count, container } = this.elements;
+        if (!start || !end) return;
+
+        start.value = this.startIndex;
+        end.value = this.endIndex;
+
+        const startLabel = this.formatMonth(this.months[this.startIndex]);
+        const endLabel = this.formatMonth(this.months[this.endIndex]);
+        if (range) {
+            range.textContent = startLabel === endLabel ? startLabel : `${startLabel} 〜 ${endLabel}`;
+        }
+        if (count) {
+            count.textContent = `${this.dataManager.queryPhotos().length}枚`;
+        }
+
+        // 選択範囲をトラック上に色付けするためのCSS変数
+        const lastIndex = Math.max(this.months.length - 1, 1);
+        container?.style.setProperty('--range-start', `${(this.startIndex / lastIndex) * 100}%`);
+        container?.style.setProperty('--range-end', `${(this.endIndex / lastIndex) * 100}%`);
+    }
+
+    /**
+     * 自動再生の開始/停止
+     */
+    togglePlay() {
+        if (this.playTimer) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 月ごとの自動再生を開始
+     * 開始月はそのままに終了月を1か月ずつ進め、活動が積み重なっていく様子を表示する
+     */
+    play() {
+        if (this.months.length < 2) return;
+
+        // 最後まで再生済みなら開始月から再生し直す
+        if (this.endIndex >= this.months.length - 1) {
+            this.setRange(this.startIndex, this.startIndex);
+        }
+
+        this.playTimer = setInterval(() => {
+            if (this.endIndex >= this.months.length - 1) {
+                this.pause();
+                return;
+            }
+            this.setRange(this.startIndex, this.endIndex + 1);
+        }, APP_CONFIG.TIME_SLIDER.PLAY_INTERVAL_MS);
+
+        this.updatePlayButton(true);
+        this.analytics?.trackUserAction('time_slider_play', 'ui', {
+            from: this.formatMonth(this.months[this.startIndex])
+        });
+    }
+
+    /**
+     * 自動再生を停止
+     */
+    pause() {
+        if (!this.playTimer) return;
+
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.updatePlayButton(false);
+    }
+
+    /**
+     * 再生ボタンの表示を更新
+     */
+    updatePlayButton(isPlaying) {
+        const { play } = this.elements;
+        if (!play) return;
+
+        play.setAttribute('aria-pressed', String(isPlaying));
+        play.title = isPlaying ? '一時停止' : '月ごとに再生';
+        play.innerHTML = `<i class="fas fa-${isPlaying ? 'pause' : 'play'}"></i>`;
+    }
+
+    /**
+     * 月の初日
+     */
+    getMonthStart({ year, month }) {
+        return new Date(year, month, 1);
+    }
+
+    /**
+     * 月の末日
+     */
+    getMonthEnd({ year, month }) {
+        return new Date(year, month + 1, 0);
+    }
+
+    /**
+     * 日付を 'YYYY-MM-DD' に変換（ローカル時刻）
+     */
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 月の表示用ラベル
+     */
+    formatMonth({ year, month }) {
+        return `${year}年${month + 1}月`;
+    }
+}
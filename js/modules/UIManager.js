@@ -51,6 +51,22 @@ export class UIManager {
             });
         }
 
+        const heatmapBtn = document.getElementById('heatmapBtn');
+        if (heatmapBtn) {
+            heatmapBtn.addEventListener('click', () => {
+                const handler = this.eventHandlers.get('toggleHeatmap');
+                if (handler) handler();
+            });
+        }
+
+        const mapModeBtn = document.getElementById('mapModeBtn');
+        if (mapModeBtn) {
+            mapModeBtn.addEventListener('click', () => {
+                const handler = this.eventHandlers.get('toggleMapMode');
+                if (handler) handler();
+            });
+        }
+
         const feedbackBtn = document.getElementById('feedbackBtn');
         if (feedbackBtn) {
             feedbackBtn.addEventListener('click', () => {
@@ -73,12 +89,179 @@ export class UIManager {
     }
 
     /**
-     * 写真コントロールを設定（検索・ソート機能削除）
+     * 写真コントロールを設定（検索・絞り込み・並び替え）
+     * 入力内容はDataManagerのクエリAPIへ渡し、表示の更新はQUERY_CHANGEDで行う
      */
     setupPhotoControls() {
-        // 検索・ソート機能は削除されました
-        // 必要に応じて他の写真関連コントロールをここに追加
-        console.log('📷 Photo controls setup (search/sort removed for simplicity)');
+        if (!this.dataManager) return;
+
+        const searchInput = document.getElementById('photoSearchInput');
+        if (searchInput) {
+            let debounceTimer = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(() => {
+                    this.dataManager.updateQuery({ text: searchInput.value.trim() });
+                }, APP_CONFIG.QUERY.SEARCH_DEBOUNCE_MS);
+            });
+        }
+
+        const toggleFilters = document.getElementById('toggleQueryFilters');
+        const filters = document.getElementById('queryFilters');
+        if (toggleFilters && filters) {
+            toggleFilters.addEventListener('click', () => {
+                const isOpen = filters.style.display !== 'none';
+                filters.style.display = isOpen ? 'none' : 'block';
+                toggleFilters.setAttribute('aria-expanded', String(!isOpen));
+                toggleFilters.classList.toggle('active', !isOpen);
+            });
+        }
+
+        const sortSelect = document.getElementById('photoSortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                const [sortBy, sortOrder] = sortSelect.value.split(':');
+                this.dataManager.setQuery(this.dataManager.getQuery().sortBy(sortBy, sortOrder));
+            });
+        }
+
+        const dateFrom = document.getElementById('photoDateFrom');
+        const dateTo = document.getElementById('photoDateTo');
+        [dateFrom, dateTo].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.dataManager.setQuery(
+                    this.dataManager.getQuery().between(dateFrom?.value, dateTo?.value)
+                );
+            });
+        });
+
+        const featuredOnly = document.getElementById('photoFeaturedOnly');
+        if (featuredOnly) {
+            featuredOnly.addEventListener('change', () => {
+                this.dataManager.setQuery(this.dataManager.getQuery().featured(featuredOnly.checked));
+            });
+        }
+
+        const tagChips = document.getElementById('photoTagChips');
+        if (tagChips) {
+            tagChips.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (!chip) return;
+                this.dataManager.setQuery(this.dataManager.getQuery().toggleTag(chip.dataset.tag));
+            });
+        }
+
+        const resetBtn = document.getElementById('resetPhotoQuery');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.dataManager.resetQuery();
+            });
+        }
+
+        this.updateQueryControls(this.dataManager.getQuery());
+        console.log('📷 Photo query controls setup');
+    }
+
+    /**
+     * ヒートマップボタンの表示を更新
+     * @param {boolean} visible - ヒートマップが表示中か
+     */
+    updateHeatmapButton(visible) {
+        const heatmapBtn = document.getElementById('heatmapBtn');
+        if (!heatmapBtn) return;
+
+        heatmapBtn.classList.toggle('active', visible);
+        heatmapBtn.setAttribute('aria-pressed', String(visible));
+        heatmapBtn.title = visible ? 'ヒートマップを非表示' : 'ヒートマップを表示';
+    }
+
+    /**
+     * 地図モード切り替えボタンの表示を更新
+     * @param {string} mode - 'area' | 'photos'
+     */
+    updateMapModeButton(mode) {
+        const mapModeBtn = document.getElementById('mapModeBtn');
+        if (!mapModeBtn) return;
+
+        const isPhotoMode = mode === 'photos';
+        mapModeBtn.classList.toggle('active', isPhotoMode);
+        mapModeBtn.setAttribute('aria-pressed', String(isPhotoMode));
+        mapModeBtn.title = isPhotoMode ? 'エリア表示に切り替え' : '写真ピン表示に切り替え';
+    }
+
+    /**
+     * クエリの状態をコントロールへ反映
+     * @param {PhotoQuery} query - 現在のクエリ
+     */
+    updateQueryControls(query) {
+        if (!this.dataManager || !query) return;
+        const criteria = query.toJSON();
+
+        const searchInput = document.getElementById('photoSearchInput');
+        if (searchInput && document.activeElement !== searchInput) {
+            searchInput.value = criteria.text;
+        }
+
+        const sortSelect = document.getElementById('photoSortSelect');
+        if (sortSelect) {
+            const value = `${criteria.sortBy}:${criteria.sortOrder}`;
+            if ([...sortSelect.options].some(option => option.value === value)) {
+                sortSelect.value = value;
+            }
+        }
+
+        const dateFrom = document.getElementById('photoDateFrom');
+        const dateTo = document.getElementById('photoDateTo');
+        if (dateFrom) dateFrom.value = criteria.dateFrom || '';
+        if (dateTo) dateTo.value = criteria.dateTo || '';
+
+        const featuredOnly = document.getElementById('photoFeaturedOnly');
+        if (featuredOnly) featuredOnly.checked = criteria.featuredOnly;
+
+        this.renderTagChips(criteria.tags);
+
+        const resultCount = document.getElementById('queryResultCount');
+        if (resultCount) {
+            resultCount.textContent = query.isFiltering() ?
+                `${this.dataManager.getFilteredPhotos().length} / ${this.dataManager.getPhotos().length}枚` :
+                '';
+        }
+
+        const toggleFilters = document.getElementById('toggleQueryFilters');
+        if (toggleFilters) {
+            toggleFilters.classList.toggle('filtering', query.isFiltering());
+        }
+    }
+
+    /**
+     * タグ絞り込み用のチップを描画
+     */
+    renderTagChips(selectedTags = []) {
+        const tagChips = document.getElementById('photoTagChips');
+        if (!tagChips) return;
+
+        const tags = this.dataManager.getAllTags()
+            .slice(0, APP_CONFIG.QUERY.MAX_TAG_CHIPS)
+            .map(({ tag }) => tag);
+
+        // 上位に入らない選択中タグも解除できるように表示する
+        selectedTags.forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+
+        tagChips.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag query-tag-chip';
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            const isSelected = selectedTags.includes(tag);
+            chip.classList.toggle('selected', isSelected);
+            chip.setAttribute('aria-pressed', String(isSelected));
+            tagChips.appendChild(chip);
+        });
     }
 
     /**
@@ -123,11 +306,21 @@ export class UIManager {
         }
 
         // Add photo modal
+        const addPhotoBtn = document.getElementById('addPhotoBtn');
+        if (addPhotoBtn) {
+            addPhotoBtn.addEventListener('click', () => this.showAddPhotoModal());
+        }
+
         const closeAddPhotoModal = document.getElementById('closeAddPhotoModal');
         if (closeAddPhotoModal) {
             closeAddPhotoModal.addEventListener('click', () => this.hideAddPhotoModal());
         }
 
+        const addPhotoBackdrop = document.getElementById('addPhotoBackdrop');
+        if (addPhotoBackdrop) {
+            addPhotoBackdrop.addEventListener('click', () => this.hideAddPhotoModal());
+        }
+
         const selectLocationBtn = document.getElementById('selectLocationBtn');
         if (selectLocationBtn) {
             selectLocationBtn.addEventListener('click', () => {
@@ -147,6 +340,11 @@ export class UIManager {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // フォームの入力中・写真の編集中は無効（Escは各フォームで処理する）
+            if (e.target.closest?.('input, textarea, select') || document.querySelector('#photoModal.editing')) {
+                return;
+            }
+
             // Photo modal navigation
             if (this.isPhotoModalOpen()) {
                 if (e.key === 'ArrowLeft') {
@@ -190,8 +388,8 @@ export class UIManager {
         areaName.textContent = area.name || 'エリア名未設定';
         areaDescription.textContent = area.description || 'エリアの説明がありません';
 
-        // Get photos in this area
-        const photosInArea = this.dataManager ? this.dataManager.getPhotosInArea(area) : [];
+        // Get photos in this area (active query applied)
+        const photosInArea = this.dataManager ? this.dataManager.getFilteredPhotosInArea(area) : [];
         
         // Update area statistics
         const photoCountElement = document.getElementById('areaPhotoCount');
@@ -201,7 +399,9 @@ export class UIManager {
         if (photoCountElement) {
             photoCountElement.textContent = `${photosInArea.length}枚の写真`;
         }
-        
+
+        this.updateAreaQueryNotice(area, photosInArea.length);
+
         if (areaCategoryElement && area.category) {
             areaCategoryElement.textContent = area.category;
         }
@@ -229,6 +429,24 @@ export class UIManager {
         console.log('📋 Area info panel shown for:', area.name);
     }
 
+    /**
+     * 絞り込み中であることをエリアパネルに表示
+     */
+    updateAreaQueryNotice(area, filteredCount) {
+        const notice = document.getElementById('areaQueryNotice');
+        const noticeText = document.getElementById('areaQueryNoticeText');
+        if (!notice || !noticeText || !this.dataManager) return;
+
+        if (!this.dataManager.getQuery().isFiltering()) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        const totalCount = this.dataManager.getPhotosInArea(area).length;
+        noticeText.textContent = `絞り込み中: ${totalCount}枚中${filteredCount}枚を表示`;
+        notice.style.display = 'flex';
+    }
+
     /**
      * エリア情報を非表示
      */
@@ -291,7 +509,7 @@ export class UIManager {
      */
     showPhotoModal(photoIndex) {
         const photos = this.selectedArea ? 
-            this.dataManager.getPhotosInArea(this.selectedArea) : 
+            this.dataManager.getFilteredPhotosInArea(this.selectedArea) : 
             this.dataManager.getFilteredPhotos();
 
         this.currentPhotoIndex = photoIndex;
@@ -299,30 +517,9 @@ export class UIManager {
 
         if (!photo) return;
 
-        const modal = document.getElementById('photoModal');
-        const modalTitle = document.getElementById('modalPhotoTitle');
-        const modalImage = document.getElementById('modalPhotoImage');
-        const modalDescription = document.getElementById('modalPhotoDescription');
-        const modalLocation = document.getElementById('modalPhotoLocation');
-
-        if (!modal || !modalTitle || !modalImage || !modalDescription || !modalLocation) {
-            console.warn('Photo modal elements not found');
-            return;
-        }
-
-        // Update modal content
-        modalTitle.textContent = photo.title;
-        modalImage.src = photo.image_url;
-        modalImage.onerror = function() {
-            this.onerror = null;
-            this.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAwIiBoZWlnaHQ9IjYwMCIgdmlld0JveD0iMCAwIDgwMCA2MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSI4MDAiIGhlaWdodD0iNjAwIiBmaWxsPSIjMjIyIi8+CjxwYXRoIGQ9Ik0zNTAgMjUwSDM1MEMzMzUuMDg4IDI1MCAzMjMgMjYyLjA4OCAzMjMgMjc3VjMyM0MzMjMgMzM3LjkxMiAzMzUuMDg4IDM1MCAzNTAgMzUwSDQ1MEM0NjQuOTEyIDM1MCA0NzcgMzM3LjkxMiA0NzcgMzIzVjI3N0M0NzcgMjYyLjA4OCA0NjQuOTEyIDI1MCA0NTAgMjUwSDM1MFoiIGZpbGw9IiM1NTUiLz4KPGNpcmNsZSBjeD0iMzc1IiBjeT0iMjkwIiByPSIyMCIgZmlsbD0iIzc3NyIvPgo8cGF0aCBkPSJNMzQwIDMzMEwzOTAgMjgwTDQzMCAzMDBMNDIwIDMzMEgzNjBMMzQwIDMzMFoiIGZpbGw9IiM3NzciLz4KPHR4dCB4PSI0MDAiIHk9IjQwMCIgZm9udC1mYW1pbHk9IkFyaWFsLCBzYW5zLXNlcmlmIiBmb250LXNpemU9IjI0IiBmaWxsPSIjNzc3IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj7lhpnnnJ/jgYzloqHjgb/jgb7jgZfjgZ88L3R4dD4KPC9zdmc+';
-        };
-        modalDescription.textContent = photo.description || '';
-        modalLocation.textContent = photo.location || '';
-
-        // Show modal
-        modal.style.display = 'flex';
-        setTimeout(() => modal.classList.add('visible'), 10);
+        // 表示・編集はPhotoModalが担当する（app側で登録）
+        const handler = this.eventHandlers.get('showPhoto');
+        if (handler) handler(photo);
     }
 
     /**
@@ -343,7 +540,7 @@ export class UIManager {
      */
     navigatePhoto(direction) {
         const photos = this.selectedArea ? 
-            this.dataManager.getPhotosInArea(this.selectedArea) : 
+            this.dataManager.getFilteredPhotosInArea(this.selectedArea) : 
             this.dataManager.getFilteredPhotos();
 
         this.currentPhotoIndex += direction;
@@ -370,18 +567,96 @@ export class UIManager {
 
     /**
      * 写真追加モーダルを非表示
+     * @param {Object} options - { resetForm: 入力内容を消去するか（地図で位置を選ぶ間は残す） }
      */
-    hideAddPhotoModal() {
+    hideAddPhotoModal({ resetForm = true } = {}) {
         const modal = document.getElementById('addPhotoModal');
         if (modal) {
             modal.classList.remove('visible');
             setTimeout(() => {
+                // 閉じる途中で再表示された場合はそのまま
+                if (modal.classList.contains('visible')) return;
                 modal.style.display = 'none';
-                this.resetAddPhotoForm();
+                if (resetForm) this.resetAddPhotoForm();
             }, 300);
         }
     }
 
+    /**
+     * 短いお知らせを画面下部に表示
+     * @param {string} message - 表示するメッセージ
+     * @param {number} durationMs - 表示時間
+     */
+    showToast(message, durationMs = 4000) {
+        document.querySelector('.app-toast')?.remove();
+
+        const toast = document.createElement('div');
+        toast.className = 'app-toast';
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.classList.add('hiding');
+            setTimeout(() => toast.remove(), 300);
+        }, durationMs);
+    }
+
+    /**
+     * 🔑 ロールに応じて投稿・審査・編集のボタンを表示・非表示
+     * data-permission 属性（APP_CONFIG.AUTH.PERMISSIONS のキー）を持つ要素が対象
+     * @param {Function} can - (permission) => boolean
+     */
+    updateRoleControls(can) {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !can(element.dataset.permission);
+        });
+
+        // 権限がなくなった場合は入力途中の写真追加フォームを閉じる
+        const addPhotoModal = document.getElementById('addPhotoModal');
+        if (!can('submitPhoto') && addPhotoModal?.classList.contains('visible')) {
+            this.hideAddPhotoModal();
+        }
+    }
+
+    /**
+     * 🔑 ログインボタンの表示を更新
+     * @param {Object} state - { available: ログインできる環境か, user: ログイン中の利用者, roleLabel: ロールの表示名 }
+     */
+    updateLoginButton({ available, user, roleLabel }) {
+        const loginBtn = document.getElementById('loginBtn');
+        if (!loginBtn) return;
+
+        loginBtn.hidden = !available;
+        loginBtn.classList.toggle('active', !!user);
+        loginBtn.title = user ? `${user.username}（${roleLabel}）・ログアウト` : 'スタッフログイン';
+        loginBtn.innerHTML = `<i class="fas ${user ? 'fa-user-check' : 'fa-user'}"></i>`;
+    }
+
+    /**
+     * 写真追加フォームの送信中表示
+     */
+    setPhotoSubmitting(isSubmitting, label = null) {
+        const submitPhotoBtn = document.getElementById('submitPhotoBtn');
+        if (submitPhotoBtn) {
+            submitPhotoBtn.disabled = isSubmitting;
+            submitPhotoBtn.innerHTML = isSubmitting ?
+                `<i class="fas fa-spinner fa-spin"></i> ${label || '送信中...'}` :
+                '<i class="fas fa-upload"></i> 写真を追加';
+        }
+    }
+
+    /**
+     * 写真追加フォームのエラーを表示（null で非表示）
+     */
+    showAddPhotoError(message) {
+        const errorElement = document.getElementById('addPhotoError');
+        if (errorElement) {
+            errorElement.textContent = message || '';
+            errorElement.hidden = !message;
+        }
+    }
+
     /**
      * 写真追加フォームをリセット
      */
@@ -396,6 +671,16 @@ export class UIManager {
         if (locationDisplay) {
             locationDisplay.style.display = 'none';
         }
+
+        this.showAddPhotoError(null);
+
+        const takenAtHint = document.getElementById('addPhotoTakenAtSource');
+        if (takenAtHint) {
+            takenAtHint.textContent = '空欄の場合は投稿日時になります';
+        }
+
+        const handler = this.eventHandlers.get('resetAddPhotoForm');
+        if (handler) handler();
     }
 
     /**
@@ -403,7 +688,14 @@ export class UIManager {
      */
     setDisplayMode(mode) {
         this.displayMode = mode;
-        
+        this.updateDisplayModeButtons(mode);
+        this.refreshPhotoDisplay();
+    }
+
+    /**
+     * 表示モードボタンの選択状態を更新
+     */
+    updateDisplayModeButtons(mode) {
         const gridBtn = document.getElementById('gridModeBtn');
         const timelineBtn = document.getElementById('timelineModeBtn');
         
@@ -411,8 +703,6 @@ export class UIManager {
             gridBtn.classList.toggle('active', mode === 'grid');
             timelineBtn.classList.toggle('active', mode === 'timeline');
         }
-
-        this.refreshPhotoDisplay();
     }
 
     /**
@@ -468,6 +758,27 @@ export class UIManager {
             lngElement.textContent = location.lng.toFixed(6);
             locationDisplay.style.display = 'block';
         }
+
+        const sourceElement = document.getElementById('selectedLocationSource');
+        if (sourceElement) {
+            sourceElement.textContent = location.source === 'exif' ?
+                '（写真の位置情報から入力・マーカーをドラッグして修正できます）' : '';
+        }
+    }
+
+    /**
+     * 撮影日時を入力（写真の撮影情報からの自動入力など）
+     * @param {string} value - 'YYYY-MM-DDTHH:MM:SS'
+     */
+    setTakenAt(value) {
+        const input = document.getElementById('addPhotoTakenAt');
+        const hint = document.getElementById('addPhotoTakenAtSource');
+        if (input) {
+            input.value = value;
+        }
+        if (hint) {
+            hint.textContent = '写真の撮影情報から入力しました（修正できます）';
+        }
     }
 
     // Helper methods
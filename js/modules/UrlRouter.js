@@ -0,0 +1,143 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { APP_EVENTS } from '../utils/EventEmitter.js';
+
+/**
+ * URL（ハッシュ）と表示状態の同期を担当するクラス
+ * 選択中のエリア・写真・表示モード・ページ・地図の中心とズームをURLに書き込み、
+ * 共有されたURLを開いたときや戻る/進むで状態を復元できるようにする
+ *
+ * 形式: #area=area_001&photo=smile_003&mode=timeline&page=2&map=34.84300,134.59720,15
+ */
+export class UrlRouter {
+    static PARAMS = {
+        AREA: 'area',
+        PHOTO: 'photo',
+        MODE: 'mode',
+        PAGE: 'page',
+        MAP: 'map'
+    };
+
+    static DISPLAY_MODES = ['grid', 'timeline'];
+    static COORDINATE_PRECISION = 5;
+
+    constructor(eventBus = null) {
+        this.eventBus = eventBus;
+        this.state = UrlRouter.parse();
+        this.isRestoring = false; // 復元中は履歴を積まない
+
+        this.handlePopState = () => {
+            this.state = UrlRouter.parse();
+            console.log('🔗 Route changed:', this.state);
+            if (this.eventBus) {
+                this.eventBus.emit(APP_EVENTS.ROUTE_CHANGED, this.state);
+            }
+        };
+    }
+
+    /**
+     * 戻る/進む・ハッシュの手動変更の監視を開始
+     */
+    start() {
+        window.addEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * 監視を終了
+     */
+    stop() {
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * URLのハッシュを状態に変換
+     * @returns {{areaId: string|null, photoId: string|null, mode: string, page: number, map: {lat: number, lng: number, zoom: number}|null}}
+     */
+    static parse(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#\/?\??/, ''));
+        const mode = params.get(UrlRouter.PARAMS.MODE);
+        const page = parseInt(params.get(UrlRouter.PARAMS.PAGE), 10);
+
+        return {
+            areaId: params.get(UrlRouter.PARAMS.AREA) || null,
+            photoId: params.get(UrlRouter.PARAMS.PHOTO) || null,
+            mode: UrlRouter.DISPLAY_MODES.includes(mode) ? mode : APP_CONFIG.UI.DEFAULT_DISPLAY_MODE,
+            page: page > 0 ? page : 1,
+            map: UrlRouter.parseMapView(params.get(UrlRouter.PARAMS.MAP))
+        };
+    }
+
+    /**
+     * 'lat,lng,zoom' を地図の表示状態に変換（不正な値は null）
+     */
+    static parseMapView(value) {
+        if (!value) return null;
+
+        const [lat, lng, zoom] = value.split(',').map(Number);
+        if (![lat, lng, zoom].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+
+        const clampedZoom = Math.min(Math.max(Math.round(zoom), APP_CONFIG.MAP.MIN_ZOOM), APP_CONFIG.MAP.MAX_ZOOM);
+        return { lat, lng, zoom: clampedZoom };
+    }
+
+    /**
+     * 現在のURLに復元すべき状態が含まれるか
+     */
+    static hasState(hash = window.location.hash) {
+        const { areaId, photoId, map } = UrlRouter.parse(hash);
+        return !!(areaId || photoId || map);
+    }
+
+    /**
+     * 状態をハッシュ文字列に変換（既定値は省略）
+     */
+    static serialize(state) {
+        const params = new URLSearchParams();
+        const precision = UrlRouter.COORDINATE_PRECISION;
+
+        if (state.areaId) params.set(UrlRouter.PARAMS.AREA, state.areaId);
+        if (state.photoId) params.set(UrlRouter.PARAMS.PHOTO, state.photoId);
+        if (state.mode && state.mode !== APP_CONFIG.UI.DEFAULT_DISPLAY_MODE) {
+            params.set(UrlRouter.PARAMS.MODE, state.mode);
+        }
+        if (state.page > 1) params.set(UrlRouter.PARAMS.PAGE, String(state.page));
+        if (state.map) {
+            const { lat, lng, zoom } = state.map;
+            params.set(UrlRouter.PARAMS.MAP, `${lat.toFixed(precision)},${lng.toFixed(precision)},${zoom}`);
+        }
+
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `#${query}` : '';
+    }
+
+    /**
+     * 状態の一部を変更してURLに反映
+     * @param {Object} changes - 変更する状態
+     * @param {Object} options - { push: 履歴に積むか（エリア・写真の選択など） }
+     */
+    update(changes, { push = false } = {}) {
+        this.state = { ...this.state, ...changes };
+
+        const hash = UrlRouter.serialize(this.state);
+        if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        try {
+            if (push && !this.isRestoring) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to update URL:', error);
+        }
+    }
+
+    /**
+     * 現在の状態を取得
+     */
+    getState() {
+        return { ...this.state };
+    }
+}
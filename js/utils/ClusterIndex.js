@@ -0,0 +1,171 @@
+import { SpatialIndex } from './SpatialIndex.js';
+
+/**
+ * ズームレベルごとのクラスター階層（supercluster方式）
+ * 最大ズームから最小ズームへ向かって、1つ上のズームのクラスターを
+ * 画面上のピクセル距離でまとめていき、全ズームの結果を事前に計算する
+ *
+ * 各ノードは { id, itemIds, lat, lng, weight, items, children, zoom } を持つ
+ * - id: 単独の点はその点のID、まとめたノードは含む点のIDから生成したID
+ * - weight: 重み（写真枚数）。中心は weight による加重平均
+ * - items: 含まれる元の要素（エリア）
+ * - children: 1つ上のズームでの子ノード（分割時のアニメーション用）
+ *
+ * @example
+ * const index = new ClusterIndex({
+ *     minZoom: 10, maxZoom: 18, radius: 60,
+ *     getPixelDistance: (a, b, zoom) => mapManager.getPixelDistance(a.lat, a.lng, b.lat, b.lng, zoom)
+ * });
+ * index.load(areas.map(area => ({ id: area.id, lat: area.center_lat, lng: area.center_lng, weight: 3, item: area })));
+ * index.getClusters(12);
+ */
+export class ClusterIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.minZoom - クラスタリングする最小ズーム
+     * @param {number} options.maxZoom - クラスタリングする最大ズーム（これより大きいズームでは分割しない）
+     * @param {number} options.radius - まとめる距離（ピクセル）
+     * @param {Function} options.getPixelDistance - (nodeA, nodeB, zoom) => ピクセル距離
+     * @param {number} [options.tileSize=256] - タイルサイズ（近傍候補の絞り込みに使用）
+     */
+    constructor({ minZoom, maxZoom, radius, getPixelDistance, tileSize = 256 }) {
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.radius = radius;
+        this.getPixelDistance = getPixelDistance;
+        this.tileSize = tileSize;
+        this.levels = new Map(); // zoom → nodes[]
+    }
+
+    /**
+     * 点の配列から全ズームのクラスターを計算
+     * @param {Array<{id: string, lat: number, lng: number, weight: number, item: *}>} points
+     */
+    load(points) {
+        this.levels.clear();
+
+        // 最大ズームより1つ上のレベル = 元の点（1点1ノード）
+        let nodes = points
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+            .map(point => ({
+                id: String(point.id),
+                itemIds: [String(point.id)],
+                lat: point.lat,
+                lng: point.lng,
+                weight: point.weight || 0,
+                items: [point.item],
+                children: [],
+                zoom: this.maxZoom + 1
+            }));
+        this.levels.set(this.maxZoom + 1, nodes);
+
+        for (let zoom = this.maxZoom; zoom >= this.minZoom; zoom--) {
+            nodes = this.clusterLevel(nodes, zoom);
+            this.levels.set(zoom, nodes);
+        }
+        return this;
+    }
+
+    /**
+     * 1つ上のズームのノードを指定ズームでまとめる
+     */
+    clusterLevel(nodes, zoom) {
+        // 重いノードから順に吸収していくことで、大きなクラスターの位置を安定させる
+        const ordered = [...nodes].sort((a, b) => b.weight - a.weight || a.id.localeCompare(b.id));
+        const merged = new Set();
+        const result = [];
+
+        // 半径（ピクセル）をこのズームでの経度差に換算し、グリッドで近傍候補を絞り込む
+        // メルカトル図法では緯度方向の1度の方が長いため、同じ値を緯度差に使えば候補の取りこぼしはない
+        const radiusDeg = (this.radius * 360) / (this.tileSize * Math.pow(2, zoom));
+        const spatialIndex = new SpatialIndex(radiusDeg).build(ordered, node => [node.lat, node.lng]);
+
+        ordered.forEach(node => {
+            if (merged.has(node)) return;
+            merged.add(node);
+
+            const neighbors = spatialIndex
+                .queryBounds({
+                    south: node.lat - radiusDeg,
+                    north: node.lat + radiusDeg,
+                    west: node.lng - radiusDeg,
+                    east: node.lng + radiusDeg
+                })
+                .filter(other => !merged.has(other) && this.getPixelDistance(node, other, zoom) <= this.radius);
+            neighbors.forEach(neighbor => merged.add(neighbor));
+
+            if (neighbors.length === 0) {
+                // 変化なしのノードはそのまま引き継ぐ（同じIDでマーカーを再利用できる）
+                result.push({ ...node, children: [node], zoom });
+                return;
+            }
+
+            result.push(this.mergeNodes([node, ...neighbors], zoom));
+        });
+
+        return result;
+    }
+
+    /**
+     * 複数ノードを写真枚数で重み付けした中心を持つ1つのノードにまとめる
+     */
+    mergeNodes(children, zoom) {
+        const totalWeight = children.reduce((sum, child) => sum + child.weight, 0);
+        const weightOf = child => totalWeight > 0 ? child.weight / totalWeight : 1 / children.length;
+        const itemIds = children.flatMap(child => child.itemIds);
+
+        return {
+            id: ClusterIndex.createClusterId(itemIds),
+            itemIds,
+            lat: children.reduce((sum, child) => sum + child.lat * weightOf(child), 0),
+            lng: children.reduce((sum, child) => sum + child.lng * weightOf(child), 0),
+            weight: totalWeight,
+            items: children.flatMap(child => child.items),
+            children,
+            zoom
+        };
+    }
+
+    /**
+     * 指定ズームのクラスターを取得（範囲外のズームは最も近いレベル）
+     */
+    getClusters(zoom) {
+        const level = Math.max(this.minZoom, Math.min(Math.floor(zoom), this.maxZoom + 1));
+        return this.levels.get(level) || [];
+    }
+
+    /**
+     * クラスターが分割される最小のズームを取得
+     * 最大ズームまで分割されない場合は maxZoom + 1
+     * @param {string[]} itemIds - クラスターに含まれる点のID
+     * @param {number} fromZoom - 現在のズーム
+     */
+    getExpansionZoom(itemIds, fromZoom) {
+        for (let zoom = Math.floor(fromZoom) + 1; zoom <= this.maxZoom; zoom++) {
+            const node = this.getNodeLookup(zoom).get(String(itemIds[0]));
+            if (!node || node.itemIds.length < itemIds.length) {
+                return zoom;
+            }
+        }
+        return this.maxZoom + 1;
+    }
+
+    /**
+     * 指定ズームで各点を含むノードを引く表を作成
+     * @returns {Map<string, Object>} pointId → node
+     */
+    getNodeLookup(zoom) {
+        const lookup = new Map();
+        this.getClusters(zoom).forEach(node => {
+            node.itemIds.forEach(itemId => lookup.set(itemId, node));
+        });
+        return lookup;
+    }
+
+    /**
+     * 点IDの集合からクラスターIDを生成（順序に依存しない）
+     */
+    static createClusterId(ids) {
+        return `cluster_${[...ids].sort().join('_')}`;
+    }
+}
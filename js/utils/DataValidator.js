@@ -0,0 +1,192 @@
+import { APP_CONFIG } from '../config/constants.js';
+import { GeoUtils } from './GeoUtils.js';
+
+/**
+ * photos.json / areas.json のレコードを検証するユーティリティクラス
+ * 不正なレコードは表示から除外（隔離）し、地図・一覧の描画が止まらないようにする
+ *
+ * 写真: id・title・latitude/longitude（範囲内の数値）・taken_at（ISO 8601）・image_url が必須
+ *       tags は文字列の配列、status と consent.level は定義済みの値のみ
+ * エリア: id・name が必須。範囲は中心（範囲内の数値）＋半径（正の数）、またはポリゴン境界（boundary）
+ * どちらも id は重複不可（2件目以降を隔離する）
+ */
+export class DataValidator {
+    // 'YYYY-MM-DD'、または時刻付き（秒・小数秒・タイムゾーンは省略可）
+    static ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    /**
+     * レコードの配列を検証し、有効なものと隔離するものに分ける
+     * @param {Array} records - 読み込んだレコード
+     * @param {Function} validate - (record) => エラーメッセージの配列
+     * @returns {{ valid: Object[], invalid: Array<{ record: Object, index: number, id: string|null, errors: string[] }> }}
+     */
+    static validateRecords(records, validate) {
+        if (!Array.isArray(records)) {
+            throw new TypeError(`Expected an array of records, got ${records === null ? 'null' : typeof records}`);
+        }
+
+        const seenIds = new Set();
+        const valid = [];
+        const invalid = [];
+
+        records.forEach((record, index) => {
+            const errors = this.isObject(record) ? validate(record) : ['レコードがオブジェクトではありません'];
+            const id = this.isObject(record) && typeof record.id === 'string' ? record.id : null;
+
+            if (id !== null && seenIds.has(id)) {
+                errors.push(`id が重複しています: ${id}`);
+            }
+            if (id !== null) seenIds.add(id);
+
+            if (errors.length > 0) {
+                invalid.push({ record, index, id, errors });
+            } else {
+                valid.push(record);
+            }
+        });
+
+        return { valid, invalid };
+    }
+
+    /**
+     * 写真のレコードを検証
+     * @returns {string[]} エラーメッセージ（問題なければ空）
+     */
+    static validatePhoto(photo) {
+        const errors = [];
+
+        this.checkRequiredString(photo, 'id', errors);
+        this.checkRequiredString(photo, 'title', errors);
+        this.checkRequiredString(photo, 'image_url', errors);
+        this.checkLatitude(photo.latitude, 'latitude', errors);
+        this.checkLongitude(photo.longitude, 'longitude', errors);
+
+        if (!this.isIsoDate(photo.taken_at)) {
+            errors.push(`taken_at がISO 8601の日時ではありません: ${JSON.stringify(photo.taken_at)}`);
+        }
+        ['created_at', 'updated_at'].forEach(field => {
+            if (photo[field] !== undefined && !this.isIsoDate(photo[field])) {
+                errors.push(`${field} がISO 8601の日時ではありません: ${JSON.stringify(photo[field])}`);
+            }
+        });
+
+        ['description', 'location', 'thumbnail_url', 'area_id'].forEach(field => {
+            this.checkOptionalString(photo, field, errors);
+        });
+        if (photo.tags !== undefined &&
+            !(Array.isArray(photo.tags) && photo.tags.every(tag => typeof tag === 'string'))) {
+            errors.push('tags は文字列の配列で指定してください');
+        }
+        if (photo.is_featured !== undefined && typeof photo.is_featured !== 'boolean') {
+            errors.push('is_featured は true / false で指定してください');
+        }
+        if (photo.view_count !== undefined && !(Number.isInteger(photo.view_count) && photo.view_count >= 0)) {
+            errors.push('view_count は0以上の整数で指定してください');
+        }
+        if (photo.status !== undefined && !APP_CONFIG.MODERATION.STATUSES.includes(photo.status)) {
+            errors.push(`status が不明な値です: ${JSON.stringify(photo.status)}`);
+        }
+        if (photo.consent !== undefined && photo.consent !== null) {
+            this.checkConsent(photo.consent, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * 掲載同意（consent）を検証
+     * 公開範囲の打ち間違いで一般公開として扱われないよう、不明な level はエラーにする
+     */
+    static checkConsent(consent, errors) {
+        if (!this.isObject(consent)) {
+            errors.push('consent はオブジェクトで指定してください');
+            return;
+        }
+        if (!APP_CONFIG.CONSENT.LEVELS.includes(consent.level)) {
+            errors.push(`consent.level が不明な値です: ${JSON.stringify(consent.level)}`);
+        }
+        if (consent.expires_at != null && !this.isIsoDate(consent.expires_at)) {
+            errors.push(`consent.expires_at が日付ではありません: ${JSON.stringify(consent.expires_at)}`);
+        }
+    }
+
+    /**
+     * エリアのレコードを検証
+     * @returns {string[]} エラーメッセージ（問題なければ空）
+     */
+    static validateArea(area) {
+        const errors = [];
+
+        this.checkRequiredString(area, 'id', errors);
+        this.checkRequiredString(area, 'name', errors);
+        ['description', 'category'].forEach(field => this.checkOptionalString(area, field, errors));
+
+        const hasBoundary = area.boundary !== undefined && area.boundary !== null;
+        if (hasBoundary && !GeoUtils.getGeometry(area.boundary)) {
+            errors.push('boundary はGeoJSONの Polygon または MultiPolygon で指定してください');
+        }
+        // ポリゴン境界がある場合、中心は省略できる（重心で補完）
+        if (!hasBoundary || area.center_lat != null || area.center_lng != null) {
+            this.checkLatitude(area.center_lat, 'center_lat', errors);
+            this.checkLongitude(area.center_lng, 'center_lng', errors);
+        }
+        if (!hasBoundary && !(Number.isFinite(area.radius) && area.radius > 0)) {
+            errors.push(`radius（km）が正の数ではありません: ${JSON.stringify(area.radius)}`);
+        }
+
+        // APIサーバー（server/server.mjs の validateArea）・エリア編集画面と同じ条件
+        if (area.color !== undefined && !/^#[0-9a-f]{6}$/i.test(area.color)) {
+            errors.push(`color が #RRGGBB ではありません: ${JSON.stringify(area.color)}`);
+        }
+        if (area.priority !== undefined && !Number.isInteger(area.priority)) {
+            errors.push('priority は整数で指定してください');
+        }
+        if (area.is_active !== undefined && typeof area.is_active !== 'boolean') {
+            errors.push('is_active は true / false で指定してください');
+        }
+
+        return errors;
+    }
+
+    /**
+     * ISO 8601の日付・日時の文字列で、実在する日時か
+     */
+    static isIsoDate(value) {
+        if (typeof value !== 'string' || !this.ISO_DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+            return false;
+        }
+
+        // Date.parse は '2024-02-30' なども翌月の日付として受け付けるため、暦の上で存在する日付か確認する
+        const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    static checkRequiredString(record, field, errors) {
+        if (typeof record[field] !== 'string' || record[field].trim() === '') {
+            errors.push(`${field} は必須です`);
+        }
+    }
+
+    static checkOptionalString(record, field, errors) {
+        if (record[field] !== undefined && record[field] !== null && typeof record[field] !== 'string') {
+            errors.push(`${field} は文字列で指定してください`);
+        }
+    }
+
+    static checkLatitude(value, field, errors) {
+        if (!Number.isFinite(value) || Math.abs(value) > 90) {
+            errors.push(`${field} が緯度の範囲（-90〜90）の数値ではありません: ${JSON.stringify(value)}`);
+        }
+    }
+
+    static checkLongitude(value, field, errors) {
+        if (!Number.isFinite(value) || Math.abs(value) > 180) {
+            errors.push(`${field} が経度の範囲（-180〜180）の数値ではありません: ${JSON.stringify(value)}`);
+        }
+    }
+}
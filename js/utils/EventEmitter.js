@@ -293,6 +293,22 @@ export const APP_EVENTS = {
     // データ関連
     DATA_LOADED: 'data:loaded',
     DATA_ERROR: 'data:error',
+    QUERY_CHANGED: 'data:queryChanged',
+    PHOTO_CREATED: 'data:photoCreated',
+    PHOTO_UPDATED: 'data:photoUpdated',
+    PHOTO_DELETED: 'data:photoDeleted',
+    PHOTO_VISIBILITY_CHANGED: 'data:photoVisibilityChanged',
+    AREA_CREATED: 'data:areaCreated',
+    AREA_UPDATED: 'data:areaUpdated',
+    AREA_DELETED: 'data:areaDeleted',
+    PHOTOS_ADDED: 'data:photosAdded',       // 分割ファイルから読み込んだ写真（{ photos, shards }）
+    DATA_REFRESHED: 'data:refreshed',       // 更新を確認して届いた差分（{ photos, areas }: それぞれ { added, removed, updated } または null）
+    
+    // 認証関連
+    AUTH_CHANGED: 'auth:changed',
+    
+    // 通信状態
+    CONNECTION_CHANGED: 'network:connectionChanged',
     
     // 地図関連
     MAP_READY: 'map:ready',
@@ -300,9 +316,13 @@ export const APP_EVENTS = {
     MAP_CLICKED: 'map:clicked',
     MAP_LOCATION_SELECTED: 'map:locationSelected',
     MAP_LOCATION_SELECTION_CANCELLED: 'map:locationSelectionCancelled',
+    MAP_MOVED: 'map:moved',
+    MAP_MODE_CHANGED: 'map:modeChanged',
+    HEATMAP_CHANGED: 'map:heatmapChanged',
     
     // マーカー関連
     MARKER_CLICKED: 'marker:clicked',
+    CLUSTER_EXPANDED: 'marker:clusterExpanded',
     MARKER_CREATED: 'marker:created',
     MARKERS_UPDATED: 'markers:updated',
     
@@ -312,6 +332,9 @@ export const APP_EVENTS = {
     PHOTO_CLICKED: 'ui:photoClicked',
     PHOTO_SUBMITTED: 'ui:photoSubmitted',
     DISPLAY_MODE_CHANGED: 'ui:displayModeChanged',
+    PHOTOS_PAGE_CHANGED: 'ui:photosPageChanged',
+    PHOTO_MODAL_CLOSED: 'ui:photoModalClosed',
+    ROUTE_CHANGED: 'ui:routeChanged',
     
     // エラー関連
     ERROR_OCCURRED: 'error:occurred',
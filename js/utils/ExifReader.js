@@ -0,0 +1,195 @@
+/**
+ * JPEGのEXIFから撮影日時と位置情報を読み取るユーティリティクラス
+ * 投稿フォームの撮影日時・撮影場所の自動入力に使う（外部ライブラリ不要）
+ *
+ * @example
+ * const exif = await ExifReader.read(file);
+ * // { takenAt: '2024-05-15T10:30:00', offset: '+09:00', latitude: 34.84, longitude: 134.59 } または null
+ */
+export class ExifReader {
+    // EXIFはファイル先頭のAPP1セグメントにあるため、先頭だけ読めば足りる
+    static MAX_SCAN_BYTES = 256 * 1024;
+
+    static TAGS = {
+        EXIF_IFD: 0x8769,
+        GPS_IFD: 0x8825,
+        DATE_TIME: 0x0132,
+        DATE_TIME_ORIGINAL: 0x9003,
+        OFFSET_TIME_ORIGINAL: 0x9011,
+        GPS_LATITUDE_REF: 0x0001,
+        GPS_LATITUDE: 0x0002,
+        GPS_LONGITUDE_REF: 0x0003,
+        GPS_LONGITUDE: 0x0004
+    };
+
+    // 型ごとの1要素のバイト数（BYTE, ASCII, SHORT, LONG, RATIONAL, -, UNDEFINED, -, SLONG, SRATIONAL）
+    static TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    /**
+     * ファイルからEXIFを読み取る
+     * @param {Blob} file - 画像ファイル
+     * @returns {Promise<{takenAt: string|null, offset: string|null, latitude: number|null, longitude: number|null}|null>}
+     *          takenAt は撮影地の現地時刻（'YYYY-MM-DDTHH:MM:SS'）、EXIFがなければ null
+     */
+    static async read(file) {
+        if (file.type && file.type !== 'image/jpeg') return null;
+
+        try {
+            const buffer = await file.slice(0, ExifReader.MAX_SCAN_BYTES).arrayBuffer();
+            return ExifReader.parse(new DataView(buffer));
+        } catch (error) {
+            console.warn('⚠️ EXIF parse failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * JPEGのバイト列からEXIFを解析
+     */
+    static parse(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // 画像データの開始
+
+            if (marker === 0xFFE1 && ExifReader.readAscii(view, offset + 4, 4) === 'Exif') {
+                return ExifReader.parseTiff(view, offset + 10);
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * TIFF構造（IFD0 → Exif IFD / GPS IFD）を解析
+     * @param {number} tiffStart - TIFFヘッダーの位置
+     */
+    static parseTiff(view, tiffStart) {
+        const byteOrder = view.getUint16(tiffStart);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+        const littleEndian = byteOrder === 0x4949;
+
+        const context = { view, tiffStart, littleEndian };
+        const ifd0 = ExifReader.readIfd(context, view.getUint32(tiffStart + 4, littleEndian));
+        const exifIfd = ifd0.has(ExifReader.TAGS.EXIF_IFD) ?
+            ExifReader.readIfd(context, ifd0.get(ExifReader.TAGS.EXIF_IFD)) : new Map();
+        const gpsIfd = ifd0.has(ExifReader.TAGS.GPS_IFD) ?
+            ExifReader.readIfd(context, ifd0.get(ExifReader.TAGS.GPS_IFD)) : new Map();
+
+        const { latitude, longitude } = ExifReader.parseGps(gpsIfd);
+        return {
+            takenAt: ExifReader.parseDateTime(
+                exifIfd.get(ExifReader.TAGS.DATE_TIME_ORIGINAL) || ifd0.get(ExifReader.TAGS.DATE_TIME)
+            ),
+            offset: ExifReader.parseOffset(exifIfd.get(ExifReader.TAGS.OFFSET_TIME_ORIGINAL)),
+            latitude,
+            longitude
+        };
+    }
+
+    /**
+     * IFDのエントリを読み取る
+     * @returns {Map<number, *>} tag → 値（RATIONALは数値の配列、ASCIIは文字列、その他は数値）
+     */
+    static readIfd({ view, tiffStart, littleEndian }, ifdOffset) {
+        const entries = new Map();
+        const start = tiffStart + ifdOffset;
+        if (start + 2 > view.byteLength) return entries;
+
+        const count = view.getUint16(start, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            const size = (ExifReader.TYPE_SIZES[type] || 0) * valueCount;
+            if (size === 0) continue;
+
+            // 4バイト以下の値はエントリ内に直接、それ以上はオフセット先にある
+            const valueOffset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + size > view.byteLength) continue;
+
+            entries.set(tag, ExifReader.readValue(view, type, valueOffset, valueCount, littleEndian));
+        }
+        return entries;
+    }
+
+    /**
+     * 型に応じて値を読み取る
+     */
+    static readValue(view, type, offset, count, littleEndian) {
+        switch (type) {
+            case 2:
+                return ExifReader.readAscii(view, offset, count);
+            case 3:
+                return view.getUint16(offset, littleEndian);
+            case 4:
+                return view.getUint32(offset, littleEndian);
+            case 9:
+                return view.getInt32(offset, littleEndian);
+            case 5:
+            case 10:
+                return Array.from({ length: count }, (_, i) => {
+                    const read = type === 5 ? 'getUint32' : 'getInt32';
+                    const numerator = view[read](offset + i * 8, littleEndian);
+                    const denominator = view[read](offset + i * 8 + 4, littleEndian);
+                    return denominator === 0 ? 0 : numerator / denominator;
+                });
+            default:
+                return view.getUint8(offset);
+        }
+    }
+
+    static readAscii(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    /**
+     * GPSの度・分・秒を10進の緯度経度に変換
+     */
+    static parseGps(gpsIfd) {
+        const toDecimal = (dms, ref, negativeRef) => {
+            if (!Array.isArray(dms) || dms.length < 3) return null;
+            const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+            return ref === negativeRef ? -value : value;
+        };
+
+        const latitude = toDecimal(gpsIfd.get(ExifReader.TAGS.GPS_LATITUDE), gpsIfd.get(ExifReader.TAGS.GPS_LATITUDE_REF), 'S');
+        const longitude = toDecimal(gpsIfd.get(ExifReader.TAGS.GPS_LONGITUDE), gpsIfd.get(ExifReader.TAGS.GPS_LONGITUDE_REF), 'W');
+
+        // 0,0 は位置情報なし（未取得）として扱う
+        const isValid = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+            Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 && !(latitude === 0 && longitude === 0);
+        return isValid ? { latitude, longitude } : { latitude: null, longitude: null };
+    }
+
+    /**
+     * 'YYYY:MM:DD HH:MM:SS' を 'YYYY-MM-DDTHH:MM:SS' に変換
+     */
+    static parseDateTime(value) {
+        const match = typeof value === 'string' &&
+            value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+
+        const [, year, month, day, hour, minute, second] = match;
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    }
+
+    /**
+     * タイムゾーン（'+09:00' など）
+     */
+    static parseOffset(value) {
+        return typeof value === 'string' && /^[+-]\d{2}:\d{2}$/.test(value) ? value : null;
+    }
+}
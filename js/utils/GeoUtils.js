@@ -0,0 +1,218 @@
+/**
+ * 地理計算のユーティリティクラス
+ * 距離計算、GeoJSONポリゴンの内外判定、重心・範囲の計算を提供
+ *
+ * GeoJSONの座標は [経度, 緯度] の順であることに注意
+ */
+export class GeoUtils {
+    static EARTH_RADIUS_KM = 6371;
+
+    /**
+     * 2点間の距離を計算（km単位、ハバーサイン公式）
+     */
+    static distanceKm(lat1, lng1, lat2, lng2) {
+        const dLat = this.degToRad(lat2 - lat1);
+        const dLng = this.degToRad(lng2 - lng1);
+        const a =
+            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(this.degToRad(lat1)) * Math.cos(this.degToRad(lat2)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return this.EARTH_RADIUS_KM * c;
+    }
+
+    /**
+     * 度をラジアンに変換
+     */
+    static degToRad(deg) {
+        return deg * (Math.PI / 180);
+    }
+
+    /**
+     * GeoJSON Feature / Geometry からジオメトリを取り出す
+     * 対応していない形式の場合は null
+     */
+    static getGeometry(boundary) {
+        if (!boundary) return null;
+
+        const geometry = boundary.type === 'Feature' ? boundary.geometry : boundary;
+        if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+
+        return (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') ? geometry : null;
+    }
+
+    /**
+     * ジオメトリをポリゴン配列に正規化（Polygon → [Polygon]）
+     */
+    static getPolygons(geometry) {
+        if (!geometry) return [];
+        return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    }
+
+    /**
+     * 点がポリゴン/マルチポリゴン内にあるか判定
+     * 外周リングの内側かつ穴（2番目以降のリング）の外側であれば内側とみなす
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {Object} boundary - GeoJSON Polygon/MultiPolygon（またはそのFeature）
+     */
+    static isPointInBoundary(lat, lng, boundary) {
+        const geometry = this.getGeometry(boundary);
+        if (!geometry) return false;
+
+        return this.getPolygons(geometry).some(([outerRing, ...holes]) =>
+            this.isPointInRing(lat, lng, outerRing) &&
+            !holes.some(hole => this.isPointInRing(lat, lng, hole))
+        );
+    }
+
+    /**
+     * 点がリング内にあるか判定（レイキャスティング法）
+     */
+    static isPointInRing(lat, lng, ring) {
+        if (!Array.isArray(ring) || ring.length < 3) return false;
+
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            const intersects = ((yi > lat) !== (yj > lat)) &&
+                (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+            if (intersects) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * ジオメトリの範囲を取得
+     * @returns {{south: number, west: number, north: number, east: number}|null}
+     */
+    static getBoundaryBounds(boundary) {
+        const geometry = this.getGeometry(boundary);
+        if (!geometry) return null;
+
+        const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+        this.getPolygons(geometry).forEach(([outerRing]) => {
+            (outerRing || []).forEach(([lng, lat]) => {
+                bounds.south = Math.min(bounds.south, lat);
+                bounds.north = Math.max(bounds.north, lat);
+                bounds.west = Math.min(bounds.west, lng);
+                bounds.east = Math.max(bounds.east, lng);
+            });
+        });
+
+        return Number.isFinite(bounds.south) ? bounds : null;
+    }
+
+    /**
+     * 円（中心と半径km）を囲む範囲
+     * @returns {{south: number, west: number, north: number, east: number}}
+     */
+    static getCircleBounds(lat, lng, radiusKm) {
+        const dLat = (radiusKm / this.EARTH_RADIUS_KM) * (180 / Math.PI);
+        const dLng = dLat / Math.max(Math.cos(this.degToRad(lat)), 1e-6);
+        return { south: lat - dLat, west: lng - dLng, north: lat + dLat, east: lng + dLng };
+    }
+
+    /**
+     * 2つの範囲が重なるか（辺が接する場合を含む）
+     */
+    static boundsIntersect(a, b) {
+        return a.south <= b.north && b.south <= a.north && a.west <= b.east && b.west <= a.east;
+    }
+
+    /**
+     * 範囲を縦横それぞれの割合だけ広げる
+     * @param {number} ratio - 0.25 なら上下左右に高さ・幅の25%ずつ
+     */
+    static padBounds(bounds, ratio) {
+        const latPad = (bounds.north - bounds.south) * ratio;
+        const lngPad = (bounds.east - bounds.west) * ratio;
+        return {
+            south: bounds.south - latPad,
+            west: bounds.west - lngPad,
+            north: bounds.north + latPad,
+            east: bounds.east + lngPad
+        };
+    }
+
+    /**
+     * ジオメトリの重心を取得（外周リングの面積で重み付け）
+     * @returns {{lat: number, lng: number}|null}
+     */
+    static getBoundaryCentroid(boundary) {
+        const geometry = this.getGeometry(boundary);
+        if (!geometry) return null;
+
+        let totalArea = 0;
+        let sumLat = 0;
+        let sumLng = 0;
+
+        this.getPolygons(geometry).forEach(([outerRing]) => {
+            if (!outerRing || outerRing.length < 3) return;
+
+            let ringArea = 0;
+            let cx = 0;
+            let cy = 0;
+            for (let i = 0, j = outerRing.length - 1; i < outerRing.length; j = i++) {
+                const [x0, y0] = outerRing[j];
+                const [x1, y1] = outerRing[i];
+                const cross = x0 * y1 - x1 * y0;
+                ringArea += cross;
+                cx += (x0 + x1) * cross;
+                cy += (y0 + y1) * cross;
+            }
+            ringArea /= 2;
+            if (ringArea === 0) return;
+
+            totalArea += Math.abs(ringArea);
+            sumLng += (cx / (6 * ringArea)) * Math.abs(ringArea);
+            sumLat += (cy / (6 * ringArea)) * Math.abs(ringArea);
+        });
+
+        if (totalArea === 0) {
+            // 面積がない場合は範囲の中心を返す
+            const bounds = this.getBoundaryBounds(boundary);
+            return bounds ? {
+                lat: (bounds.south + bounds.north) / 2,
+                lng: (bounds.west + bounds.east) / 2
+            } : null;
+        }
+
+        return { lat: sumLat / totalArea, lng: sumLng / totalArea };
+    }
+
+    /**
+     * 緯度経度を含む地図タイル（Webメルカトル、OpenStreetMapと同じ XYZ 形式）の番号
+     * @returns {{x: number, y: number}}
+     */
+    static latLngToTile(lat, lng, zoom) {
+        const n = 2 ** zoom;
+        const latRad = this.degToRad(lat);
+        const x = Math.floor(((lng + 180) / 360) * n);
+        const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+        const clamp = value => Math.min(n - 1, Math.max(0, value));
+        return { x: clamp(x), y: clamp(y) };
+    }
+
+    /**
+     * 範囲を覆う地図タイルの一覧
+     * @param {{south: number, west: number, north: number, east: number}} bounds
+     * @returns {Array<{z: number, x: number, y: number}>}
+     */
+    static getTilesInBounds(bounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            // タイルの y は北から南へ増える
+            const topLeft = this.latLngToTile(bounds.north, bounds.west, z);
+            const bottomRight = this.latLngToTile(bounds.south, bounds.east, z);
+            for (let x = topLeft.x; x <= bottomRight.x; x++) {
+                for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
+    }
+}
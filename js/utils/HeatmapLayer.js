@@ -0,0 +1,210 @@
+/**
+ * Canvasで描画するヒートマップレイヤー
+ * 点を半径ごとのセルに集計し、ぼかした円を重ねて濃度を求め、グラデーションで着色する
+ * 表示範囲に合わせて移動・ズームのたびに描き直す
+ *
+ * @example
+ * const heatmap = new HeatmapLayer({ radius: 30, blur: 20 });
+ * heatmap.setPoints([{ lat: 34.84, lng: 134.59, weight: 3 }]);
+ * heatmap.addTo(map);
+ */
+export class HeatmapLayer {
+    /**
+     * @param {Object} options
+     * @param {number} options.radius - 点の半径（ピクセル）
+     * @param {number} options.blur - ぼかし（ピクセル）
+     * @param {number} options.minOpacity - 最も薄い点の不透明度
+     * @param {number} options.opacity - レイヤー全体の不透明度
+     * @param {Object} options.gradient - { 0〜1の位置: 色 }
+     */
+    constructor(options = {}) {
+        this.options = {
+            radius: 30,
+            blur: 20,
+            minOpacity: 0.05,
+            opacity: 0.75,
+            gradient: { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1.0: 'red' },
+            ...options
+        };
+        this.points = [];
+        this.map = null;
+        this.canvas = null;
+        this.palette = null;
+        this.stamp = null;
+
+        this.handleRedraw = () => this.redraw();
+        this.handleZoomStart = () => {
+            // ズームアニメーション中は古い描画がずれるため隠す
+            if (this.canvas) this.canvas.style.visibility = 'hidden';
+        };
+    }
+
+    /**
+     * 点を設定して再描画
+     * @param {Array<{lat: number, lng: number, weight: number}>} points
+     */
+    setPoints(points) {
+        this.points = points.filter(point =>
+            Number.isFinite(point.lat) && Number.isFinite(point.lng) && point.weight > 0
+        );
+        this.redraw();
+        return this;
+    }
+
+    /**
+     * 地図に追加
+     */
+    addTo(map) {
+        if (this.map) this.remove();
+        this.map = map;
+
+        this.canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+        this.canvas.style.opacity = this.options.opacity;
+        this.canvas.style.pointerEvents = 'none';
+        map.getPanes().overlayPane.appendChild(this.canvas);
+
+        map.on('moveend resize', this.handleRedraw);
+        map.on('zoomstart', this.handleZoomStart);
+        this.redraw();
+        return this;
+    }
+
+    /**
+     * 地図から削除
+     */
+    remove() {
+        if (!this.map) return this;
+
+        this.map.off('moveend resize', this.handleRedraw);
+        this.map.off('zoomstart', this.handleZoomStart);
+        L.DomUtil.remove(this.canvas);
+        this.canvas = null;
+        this.map = null;
+        return this;
+    }
+
+    /**
+     * 現在の表示範囲に合わせて描き直す
+     */
+    redraw() {
+        if (!this.map || !this.canvas) return;
+
+        const size = this.map.getSize();
+        this.canvas.width = size.x;
+        this.canvas.height = size.y;
+        this.canvas.style.visibility = '';
+        L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint([0, 0]));
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, size.x, size.y);
+
+        const cells = this.aggregate(size);
+        if (cells.length === 0) return;
+
+        const max = Math.max(...cells.map(cell => cell.weight));
+        const stamp = this.getStamp();
+        const offset = this.options.radius + this.options.blur;
+
+        // グレースケールで濃度を重ねる
+        cells.forEach(cell => {
+            ctx.globalAlpha = Math.min(Math.max(cell.weight / max, this.options.minOpacity), 1);
+            ctx.drawImage(stamp, cell.x - offset, cell.y - offset);
+        });
+        ctx.globalAlpha = 1;
+
+        this.colorize(ctx, size);
+    }
+
+    /**
+     * 表示範囲内の点を半径サイズのセルに集計（セルの位置は重み付き平均）
+     */
+    aggregate(size) {
+        const cellSize = this.options.radius / 2;
+        const margin = this.options.radius + this.options.blur;
+        const grid = new Map();
+
+        this.points.forEach(point => {
+            const p = this.map.latLngToContainerPoint([point.lat, point.lng]);
+            if (p.x < -margin || p.y < -margin || p.x > size.x + margin || p.y > size.y + margin) return;
+
+            const key = `${Math.floor(p.x / cellSize)}:${Math.floor(p.y / cellSize)}`;
+            const cell = grid.get(key) || { x: 0, y: 0, weight: 0 };
+            cell.x += p.x * point.weight;
+            cell.y += p.y * point.weight;
+            cell.weight += point.weight;
+            grid.set(key, cell);
+        });
+
+        return [...grid.values()].map(cell => ({
+            x: cell.x / cell.weight,
+            y: cell.y / cell.weight,
+            weight: cell.weight
+        }));
+    }
+
+    /**
+     * 1点分のぼかした円（影で描くことで円自体は描画範囲外に置く）
+     */
+    getStamp() {
+        if (this.stamp) return this.stamp;
+
+        const { radius, blur } = this.options;
+        const size = (radius + blur) * 2;
+        const stamp = document.createElement('canvas');
+        stamp.width = size;
+        stamp.height = size;
+
+        const ctx = stamp.getContext('2d');
+        ctx.shadowOffsetX = size;
+        ctx.shadowBlur = blur;
+        ctx.shadowColor = 'black';
+        ctx.beginPath();
+        ctx.arc(-size / 2, size / 2, radius, 0, Math.PI * 2, true);
+        ctx.closePath();
+        ctx.fill();
+
+        this.stamp = stamp;
+        return stamp;
+    }
+
+    /**
+     * グラデーションの256色パレット（RGBA配列）
+     */
+    getPalette() {
+        if (this.palette) return this.palette;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 256;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+        Object.entries(this.options.gradient).forEach(([stop, color]) => {
+            gradient.addColorStop(Number(stop), color);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 1, 256);
+
+        this.palette = ctx.getImageData(0, 0, 1, 256).data;
+        return this.palette;
+    }
+
+    /**
+     * 濃度（アルファ値）をパレットの色に置き換える
+     */
+    colorize(ctx, size) {
+        const image = ctx.getImageData(0, 0, size.x, size.y);
+        const pixels = image.data;
+        const palette = this.getPalette();
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = pixels[i + 3];
+            if (!alpha) continue;
+
+            const j = alpha * 4;
+            pixels[i] = palette[j];
+            pixels[i + 1] = palette[j + 1];
+            pixels[i + 2] = palette[j + 2];
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * 画像の指定範囲にモザイクをかけるユーティリティクラス
+ * 写真掲載の同意がない子どもの顔などを、保存前に判別できないようにする
+ *
+ * 範囲（マスク）は画像サイズに依存しないよう 0〜1 の比率で持つ
+ * - rects:   [{ x, y, width, height }]             四角形
+ * - strokes: [{ points: [{ x, y }], size }]        ブラシの軌跡（size は画像の幅に対する太さ）
+ */
+export class ImageAnonymizer {
+    /**
+     * モザイクのブロックの大きさ（画像の長辺に対する比率）
+     * 縮小後（800px）でも1ブロックが約20pxになり、顔の判別ができない
+     */
+    static BLOCK_RATIO = 0.025;
+
+    /**
+     * 空のマスク
+     */
+    static createMask() {
+        return { rects: [], strokes: [] };
+    }
+
+    /**
+     * マスクに範囲があるか
+     */
+    static hasRegions(mask) {
+        return !!mask && (mask.rects.length > 0 || mask.strokes.length > 0);
+    }
+
+    /**
+     * 画像にマスクの範囲のモザイクをかけたCanvasを作成
+     * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement} image - 元画像
+     * @param {Object} mask - { rects, strokes }
+     * @param {Object} options - { width, height: 出力サイズ（省略時は元画像のサイズ） }
+     * @returns {HTMLCanvasElement}
+     */
+    static apply(image, mask, { width = null, height = null } = {}) {
+        const outputWidth = width || image.naturalWidth || image.width;
+        const outputHeight = height || image.naturalHeight || image.height;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = outputWidth;
+        canvas.height = outputHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, outputWidth, outputHeight);
+
+        if (!ImageAnonymizer.hasRegions(mask)) {
+            return canvas;
+        }
+
+        // モザイク画像をマスクの形で切り抜いて重ねる
+        const pixelated = ImageAnonymizer.pixelate(canvas);
+        const maskCanvas = ImageAnonymizer.drawMask(mask, outputWidth, outputHeight);
+        const maskCtx = maskCanvas.getContext('2d');
+        maskCtx.globalCompositeOperation = 'source-in';
+        maskCtx.drawImage(pixelated, 0, 0);
+
+        ctx.drawImage(maskCanvas, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * 画像全体をモザイク化（縮小して平滑化なしで拡大）
+     */
+    static pixelate(source) {
+        const { width, height } = source;
+        const blockSize = Math.max(4, Math.round(Math.max(width, height) * ImageAnonymizer.BLOCK_RATIO));
+
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(width / blockSize));
+        small.height = Math.max(1, Math.ceil(height / blockSize));
+        small.getContext('2d').drawImage(source, 0, 0, small.width, small.height);
+
+        const result = document.createElement('canvas');
+        result.width = width;
+        result.height = height;
+        const ctx = result.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width * blockSize, small.height * blockSize);
+        return result;
+    }
+
+    /**
+     * マスクの範囲を不透明で塗ったCanvasを作成
+     */
+    static drawMask(mask, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.strokeStyle = '#000';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        mask.rects.forEach(rect => {
+            ctx.fillRect(rect.x * width, rect.y * height, rect.width * width, rect.height * height);
+        });
+
+        mask.strokes.forEach(stroke => {
+            if (stroke.points.length === 0) return;
+            ctx.lineWidth = stroke.size * width;
+            ctx.beginPath();
+            ctx.moveTo(stroke.points[0].x * width, stroke.points[0].y * height);
+            // 1点だけ（クリック）の場合も円として描かれるよう同じ点へ線を引く
+            stroke.points.forEach(point => ctx.lineTo(point.x * width, point.y * height));
+            ctx.stroke();
+        });
+
+        return canvas;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Canvasで画像を縮小・切り抜き・再エンコードするユーティリティクラス
+ * 投稿画像を photos.json と同じサイズ（本体 800x600 / サムネイル 200x200）にそろえる
+ * Canvasに描き直すため、撮影情報（EXIF）などのメタデータは出力に含まれない
+ */
+export class ImageResizer {
+    /**
+     * ファイルを画像として読み込む（EXIFの向きを反映）
+     * @param {Blob} file - 画像ファイル
+     * @returns {Promise<ImageBitmap|HTMLImageElement>}
+     */
+    static async load(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                console.warn('⚠️ createImageBitmap failed, falling back to <img>:', error);
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const img = new Image();
+            img.decoding = 'async';
+            img.src = url;
+            await img.decode();
+            return img;
+        } catch (error) {
+            throw new Error('画像を読み込めませんでした（対応していない形式の可能性があります）');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * 指定サイズを覆うように中央で切り抜いて描画（object-fit: cover と同じ）
+     * 元画像が小さい場合は拡大せず、同じ縦横比のまま小さいサイズで出力する
+     * @returns {HTMLCanvasElement}
+     */
+    static cover(image, width, height) {
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+
+        const fit = Math.min(1, sourceWidth / width, sourceHeight / height);
+        const targetWidth = Math.max(1, Math.round(width * fit));
+        const targetHeight = Math.max(1, Math.round(height * fit));
+        const scale = Math.max(targetWidth / sourceWidth, targetHeight / sourceHeight);
+
+        // 出力の縦横比に合わせて元画像の中央を切り出す
+        const cropWidth = targetWidth / scale;
+        const cropHeight = targetHeight / scale;
+        const cropX = (sourceWidth - cropWidth) / 2;
+        const cropY = (sourceHeight - cropHeight) / 2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = targetWidth;
+        canvas.height = targetHeight;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, cropX, cropY, cropWidth, cropHeight, 0, 0, targetWidth, targetHeight);
+        return canvas;
+    }
+
+    /**
+     * Canvasを画像ファイルに変換
+     * 指定形式に対応していないブラウザではJPEGで出力する（toBlobは未対応形式をPNGにするため）
+     * @param {HTMLCanvasElement} canvas
+     * @param {string[]} types - 優先する形式の順（例: ['image/webp', 'image/jpeg']）
+     * @param {number} quality - 0〜1
+     * @returns {Promise<Blob>}
+     */
+    static async encode(canvas, types, quality) {
+        for (const type of types) {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+            if (blob && blob.type === type) {
+                return blob;
+            }
+        }
+        throw new Error('画像を変換できませんでした');
+    }
+
+    /**
+     * ファイルの拡張子（MIMEタイプから）
+     */
+    static getExtension(type) {
+        return { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' }[type] || 'bin';
+    }
+}
@@ -0,0 +1,92 @@
+import { APP_CONFIG } from '../config/constants.js';
+
+/**
+ * IndexedDB に読み込んだデータファイルを保存するユーティリティクラス
+ * 次回の起動時は保存済みのデータですぐに表示し、ETag / Last-Modified で更新を確認する（DataManager）
+ *
+ * エントリは { key: URL, body: 解析済みのJSON, etag, lastModified, savedAt: 保存した時刻（ms） }
+ */
+export class PersistentCache {
+    /**
+     * @param {Object} config - { DB_NAME, DB_VERSION, STORE_NAME }
+     */
+    constructor(config = APP_CONFIG.PERSISTENT_CACHE) {
+        this.config = config;
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB を使えるか
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * データベースを開く（初回のみ。以降は同じ接続を使う）
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            const { DB_NAME, DB_VERSION, STORE_NAME } = this.config;
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB ${DB_NAME} is blocked by another tab`));
+            });
+            // 開けなかった場合（プライベートモードなど）は次回の呼び出しで開き直す
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 保存済みのエントリを取得
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        const result = await this.run('readonly', store => store.get(key));
+        return result ?? null;
+    }
+
+    /**
+     * エントリを保存（同じキーは上書き）
+     */
+    async set(entry) {
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * エントリを削除
+     */
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * トランザクション内で1回の操作を行い、完了を待つ
+     * @param {IDBTransactionMode} mode
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        const { STORE_NAME } = this.config;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
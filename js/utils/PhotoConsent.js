@@ -0,0 +1,69 @@
+import { APP_CONFIG } from '../config/constants.js';
+
+/**
+ * 写真ごとの保護者の掲載同意（consent）を扱うユーティリティクラス
+ *
+ * photos.json の consent:
+ * - level:    'public'（一般公開） | 'members_only'（関係者限定） | 'internal'（内部限定）
+ * - expires_at: 同意の期限（'YYYY-MM-DD' はその日の終わりまで有効）。省略時は期限なし
+ * - form_ref:  同意書の管理番号など
+ *
+ * consent のない既存データは一般公開・期限なしとして扱う
+ */
+export class PhotoConsent {
+    /**
+     * 写真の公開範囲
+     */
+    static getLevel(photo) {
+        const level = photo.consent?.level;
+        return APP_CONFIG.CONSENT.LEVELS.includes(level) ? level : APP_CONFIG.CONSENT.DEFAULT_LEVEL;
+    }
+
+    /**
+     * 一般公開より狭い公開範囲か
+     */
+    static isLimited(photo) {
+        return PhotoConsent.getLevel(photo) !== APP_CONFIG.CONSENT.LEVELS[0];
+    }
+
+    /**
+     * 同意の期限
+     * @returns {Date|null} 期限なしの場合は null（読み取れない値は期限切れとして扱う）
+     */
+    static getExpiry(photo) {
+        const value = photo.consent?.expires_at;
+        if (!value) return null;
+
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const expiry = dateOnly ?
+            new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]) + 1) :
+            new Date(value);
+        return Number.isNaN(expiry.getTime()) ? new Date(0) : expiry;
+    }
+
+    /**
+     * 同意の期限が切れているか
+     */
+    static isExpired(photo, now = new Date()) {
+        const expiry = PhotoConsent.getExpiry(photo);
+        return !!expiry && expiry <= now;
+    }
+
+    /**
+     * 閲覧者のアクセスレベルで表示できるか（期限切れは誰にも表示しない）
+     * @param {Object} photo
+     * @param {string} accessLevel - 閲覧者のアクセスレベル（CONSENT.LEVELS のいずれか）
+     */
+    static canView(photo, accessLevel, now = new Date()) {
+        const { LEVELS } = APP_CONFIG.CONSENT;
+        return !PhotoConsent.isExpired(photo, now) &&
+            LEVELS.indexOf(PhotoConsent.getLevel(photo)) <= LEVELS.indexOf(accessLevel);
+    }
+
+    /**
+     * 公開範囲の表示名
+     */
+    static getLabel(photo) {
+        return APP_CONFIG.CONSENT.LABELS[PhotoConsent.getLevel(photo)];
+    }
+}
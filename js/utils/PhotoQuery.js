@@ -0,0 +1,212 @@
+import { APP_CONFIG } from '../config/constants.js';
+
+/**
+ * 写真の検索・絞り込み・並び替え条件を表すイミュータブルなクエリクラス
+ * メソッドチェーンで条件を組み立て、apply() で写真配列に適用する
+ *
+ * @example
+ * const query = new PhotoQuery()
+ *     .search('公園')
+ *     .withTags(['子ども'])
+ *     .between('2024-05-01', '2024-08-31')
+ *     .sortBy('view_count', 'desc');
+ * const photos = query.apply(dataManager.getPhotos());
+ */
+export class PhotoQuery {
+    /**
+     * 並び替え可能なフィールド
+     */
+    static SORT_FIELDS = {
+        taken_at: '撮影日',
+        view_count: '閲覧数',
+        title: 'タイトル'
+    };
+
+    /**
+     * 条件の初期値
+     */
+    static DEFAULTS = {
+        text: '',
+        tags: [],
+        dateFrom: null,   // 'YYYY-MM-DD'（この日を含む）
+        dateTo: null,     // 'YYYY-MM-DD'（この日を含む）
+        featuredOnly: false,
+        sortBy: APP_CONFIG.QUERY.DEFAULT_SORT_BY,
+        sortOrder: APP_CONFIG.QUERY.DEFAULT_SORT_ORDER
+    };
+
+    constructor(criteria = {}) {
+        this.criteria = Object.freeze({
+            ...PhotoQuery.DEFAULTS,
+            ...criteria,
+            tags: [...(criteria.tags || PhotoQuery.DEFAULTS.tags)]
+        });
+    }
+
+    /**
+     * 条件の一部を変更した新しいクエリを返す
+     * @param {Object} changes - 変更する条件
+     * @returns {PhotoQuery}
+     */
+    with(changes = {}) {
+        return new PhotoQuery({ ...this.criteria, ...changes });
+    }
+
+    /**
+     * テキスト検索（タイトル・説明・場所・タグが対象）
+     */
+    search(text = '') {
+        return this.with({ text: text.trim() });
+    }
+
+    /**
+     * 指定タグをすべて含む写真に絞り込む
+     */
+    withTags(tags = []) {
+        return this.with({ tags: [...new Set(tags)] });
+    }
+
+    /**
+     * タグ条件を切り替える（含まれていれば外し、なければ追加）
+     */
+    toggleTag(tag) {
+        const tags = this.criteria.tags.includes(tag) ?
+            this.criteria.tags.filter(t => t !== tag) :
+            [...this.criteria.tags, tag];
+        return this.withTags(tags);
+    }
+
+    /**
+     * 撮影日の範囲で絞り込む（null で上限/下限なし）
+     */
+    between(dateFrom = null, dateTo = null) {
+        return this.with({ dateFrom: dateFrom || null, dateTo: dateTo || null });
+    }
+
+    /**
+     * おすすめ写真のみに絞り込む
+     */
+    featured(featuredOnly = true) {
+        return this.with({ featuredOnly: !!featuredOnly });
+    }
+
+    /**
+     * 並び順を指定する
+     * @param {string} field - 'taken_at' | 'view_count' | 'title'
+     * @param {string} order - 'asc' | 'desc'
+     */
+    sortBy(field, order = this.criteria.sortOrder) {
+        if (!PhotoQuery.SORT_FIELDS[field]) {
+            console.warn(`⚠️ PhotoQuery: Unknown sort field "${field}"`);
+            return this;
+        }
+        return this.with({ sortBy: field, sortOrder: order === 'asc' ? 'asc' : 'desc' });
+    }
+
+    /**
+     * 絞り込み条件が1つでも設定されているか（並び順は含まない）
+     */
+    isFiltering() {
+        const { text, tags, dateFrom, dateTo, featuredOnly } = this.criteria;
+        return !!(text || tags.length > 0 || dateFrom || dateTo || featuredOnly);
+    }
+
+    /**
+     * 写真が絞り込み条件に一致するか
+     */
+    matches(photo) {
+        const { text, tags, featuredOnly } = this.criteria;
+
+        if (featuredOnly && !photo.is_featured) {
+            return false;
+        }
+
+        if (tags.length > 0) {
+            const photoTags = photo.tags || [];
+            if (!tags.every(tag => photoTags.includes(tag))) {
+                return false;
+            }
+        }
+
+        if (!this.matchesDateRange(photo)) {
+            return false;
+        }
+
+        if (text) {
+            const haystack = [
+                photo.title,
+                photo.description,
+                photo.location,
+                ...(photo.tags || [])
+            ].filter(Boolean).join(' ').toLowerCase();
+
+            // 空白区切りの各語をすべて含む（AND検索）
+            const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+            if (!terms.every(term => haystack.includes(term))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 撮影日が範囲内か
+     */
+    matchesDateRange(photo) {
+        const { dateFrom, dateTo } = this.criteria;
+        if (!dateFrom && !dateTo) return true;
+
+        const takenAt = new Date(photo.taken_at).getTime();
+        if (Number.isNaN(takenAt)) return false;
+
+        if (dateFrom && takenAt < new Date(`${dateFrom}T00:00:00`).getTime()) {
+            return false;
+        }
+        if (dateTo && takenAt > new Date(`${dateTo}T23:59:59.999`).getTime()) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 写真配列にクエリを適用（元の配列は変更しない）
+     * @param {Array} photos - 写真配列
+     * @returns {Array} 絞り込み・並び替え済みの新しい配列
+     */
+    apply(photos = []) {
+        return photos
+            .filter(photo => this.matches(photo))
+            .sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * 並び替え用の比較関数
+     */
+    compare(a, b) {
+        const { sortBy, sortOrder } = this.criteria;
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        let result;
+
+        switch (sortBy) {
+            case 'view_count':
+                result = (a.view_count || 0) - (b.view_count || 0);
+                break;
+            case 'title':
+                result = (a.title || '').localeCompare(b.title || '', 'ja');
+                break;
+            case 'taken_at':
+            default:
+                result = new Date(a.taken_at) - new Date(b.taken_at);
+        }
+
+        return result * direction;
+    }
+
+    /**
+     * 条件をプレーンオブジェクトで取得
+     */
+    toJSON() {
+        return { ...this.criteria, tags: [...this.criteria.tags] };
+    }
+}
\ No newline at end of file
@@ -14,11 +14,15 @@ export class ProgressManager {
         
         this.currentStep = 0;
         this.progress = 0; // 0-100
+        this.finished = false; // 起動時のローディングを閉じたか
+        this.shardProgressTimer = null;
         
         // DOM要素を取得（エラーハンドリング付き）
         this.progressFill = document.getElementById('progressFill');
         this.progressText = document.getElementById('progressText');
         this.loadingSteps = document.querySelectorAll('.loading-step');
+        this.shardProgress = document.getElementById('shardProgress');
+        this.shardProgressText = document.getElementById('shardProgressText');
         
         // 要素の存在チェック
         console.log('🔍 Progress elements check:', {
@@ -121,6 +125,38 @@ export class ProgressManager {
         this.updateProgress();
     }
 
+    /**
+     * 📦 写真の分割ファイルの読み込み状況を表示
+     * 起動中はローディングの現在のステップに、起動後は地図上の小さな表示に出す（すべて読み込んだら閉じる）
+     * @param {number} loaded - 読み込んだファイル数（失敗を含む）
+     * @param {number} total - 読み込むファイル数
+     */
+    updateShardProgress(loaded, total) {
+        const label = `写真を読み込み中... ${loaded}/${total}`;
+        const done = loaded >= total;
+
+        if (!this.finished) {
+            const step = this.steps[this.currentStep];
+            const text = step && document.getElementById(step.id)?.querySelector('span');
+            if (text) {
+                text.textContent = done ? step.name : label;
+            }
+            return;
+        }
+
+        if (!this.shardProgress) return;
+        clearTimeout(this.shardProgressTimer);
+        if (this.shardProgressText) {
+            this.shardProgressText.textContent = label;
+        }
+        this.shardProgress.hidden = false;
+        if (done) {
+            this.shardProgressTimer = setTimeout(() => {
+                this.shardProgress.hidden = true;
+            }, 600);
+        }
+    }
+
     /**
      * 進捗表示を更新
      */
@@ -143,6 +179,7 @@ export class ProgressManager {
         }
         
         this.progress = 100;
+        this.finished = true;
         this.updateProgress();
         
         console.log('🎉 All loading steps completed!');
@@ -0,0 +1,166 @@
+import { GeoUtils } from './GeoUtils.js';
+
+/**
+ * 緯度経度のグリッドによる空間インデックス
+ * 一定サイズ（度）のセルに要素を振り分け、範囲・半径検索で走査する要素を絞り込む
+ *
+ * @example
+ * const index = new SpatialIndex(0.005);
+ * index.build(photos, photo => [photo.latitude, photo.longitude]);
+ * index.queryBounds({ south: 34.83, west: 134.58, north: 34.85, east: 134.61 });
+ */
+export class SpatialIndex {
+    /**
+     * @param {number} cellSize - セルの大きさ（度）
+     */
+    constructor(cellSize = 0.005) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // cellKey → [{ item, lat, lng }]
+        this.itemCells = new Map(); // item → cellKey（削除用）
+    }
+
+    /**
+     * 要素数
+     */
+    get size() {
+        return this.itemCells.size;
+    }
+
+    /**
+     * 要素配列からインデックスを構築（既存の内容は破棄）
+     * @param {Array} items - 要素配列
+     * @param {Function} getLatLng - 要素から [緯度, 経度] を取り出す関数
+     */
+    build(items, getLatLng) {
+        this.clear();
+        items.forEach(item => {
+            const [lat, lng] = getLatLng(item);
+            this.insert(item, lat, lng);
+        });
+        return this;
+    }
+
+    /**
+     * 要素を追加（座標が不正な要素は追加しない）
+     */
+    insert(item, lat, lng) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return false;
+        }
+
+        if (this.itemCells.has(item)) {
+            this.remove(item);
+        }
+
+        const key = this.getCellKey(this.toCell(lat), this.toCell(lng));
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push({ item, lat, lng });
+        this.itemCells.set(item, key);
+        return true;
+    }
+
+    /**
+     * 要素を削除
+     */
+    remove(item) {
+        const key = this.itemCells.get(item);
+        if (key === undefined) return false;
+
+        const entries = this.cells.get(key) || [];
+        const remaining = entries.filter(entry => entry.item !== item);
+        if (remaining.length > 0) {
+            this.cells.set(key, remaining);
+        } else {
+            this.cells.delete(key);
+        }
+        this.itemCells.delete(item);
+        return true;
+    }
+
+    /**
+     * 範囲内の要素を取得
+     * @param {{south: number, west: number, north: number, east: number}} bounds
+     */
+    queryBounds(bounds) {
+        return this.queryEntries(bounds).map(entry => entry.item);
+    }
+
+    /**
+     * 中心から半径（km）以内の要素を取得
+     */
+    queryRadius(lat, lng, radiusKm) {
+        const latDelta = radiusKm / 111.32;
+        const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(GeoUtils.degToRad(lat)), 0.01));
+
+        return this.queryEntries({
+            south: lat - latDelta,
+            north: lat + latDelta,
+            west: lng - lngDelta,
+            east: lng + lngDelta
+        })
+            .filter(entry => GeoUtils.distanceKm(lat, lng, entry.lat, entry.lng) <= radiusKm)
+            .map(entry => entry.item);
+    }
+
+    /**
+     * 範囲内のエントリ（{ item, lat, lng }）を取得
+     */
+    queryEntries(bounds) {
+        if (!bounds) return [];
+        const { south, west, north, east } = bounds;
+
+        const minRow = this.toCell(south);
+        const maxRow = this.toCell(north);
+        const minCol = this.toCell(west);
+        const maxCol = this.toCell(east);
+        const cellCount = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+
+        const results = [];
+        const collect = entries => {
+            entries.forEach(entry => {
+                if (entry.lat >= south && entry.lat <= north &&
+                    entry.lng >= west && entry.lng <= east) {
+                    results.push(entry);
+                }
+            });
+        };
+
+        // 走査するセルが実在するセルより多い場合は全セルを走査した方が速い
+        if (cellCount > this.cells.size) {
+            this.cells.forEach(collect);
+            return results;
+        }
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const entries = this.cells.get(this.getCellKey(row, col));
+                if (entries) collect(entries);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 全要素を削除
+     */
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+
+    /**
+     * 座標をセル番号に変換
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * セルのキーを生成
+     */
+    getCellKey(row, col) {
+        return `${row}:${col}`;
+    }
+}
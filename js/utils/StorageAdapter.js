@@ -0,0 +1,299 @@
+import { APP_CONFIG } from '../config/constants.js';
+
+/**
+ * 写真データの保存先（ストレージアダプター）の基底クラス
+ * DataManagerはこのインターフェースだけを使って写真・エリアの一覧取得・追加・更新・削除を行う
+ * 保存先を変えるときはこのクラスを継承し、各メソッドを実装したものを
+ * DataManager.setStorageAdapter() に渡す
+ */
+export class StorageAdapter {
+    /**
+     * 書き込み（追加・更新・削除）に対応しているか
+     */
+    get isWritable() {
+        return false;
+    }
+
+    /**
+     * ログイン（ロールによる権限確認）に対応しているか
+     */
+    get supportsAuth() {
+        return false;
+    }
+
+    /**
+     * 以降のリクエストに使うログインのトークンを設定（null でログアウト状態）
+     */
+    setAuthToken(token) {}
+
+    /**
+     * ログイン
+     * @returns {Promise<{token: string, user: {username: string, role: string}}>}
+     */
+    async login(username, password) {
+        throw new Error(`${this.constructor.name}: login is not supported`);
+    }
+
+    /**
+     * ログアウト（トークンを無効化）
+     */
+    async logout() {
+        throw new Error(`${this.constructor.name}: logout is not supported`);
+    }
+
+    /**
+     * 設定中のトークンの利用者
+     * @returns {Promise<{username: string, role: string}>}
+     */
+    async getCurrentUser() {
+        throw new Error(`${this.constructor.name}: getCurrentUser is not supported`);
+    }
+
+    /**
+     * 全写真を取得（ロールで閲覧できるもの）
+     * @returns {Promise<Object[]>}
+     */
+    async listPhotos() {
+        throw new Error(`${this.constructor.name}: listPhotos is not supported`);
+    }
+
+    /**
+     * 写真を追加（IDなどは保存先で採番）
+     * @param {Object} photo - 追加する写真
+     * @returns {Promise<Object>} 保存された写真
+     */
+    async createPhoto(photo) {
+        throw new Error(`${this.constructor.name}: createPhoto is not supported`);
+    }
+
+    /**
+     * 写真を部分更新
+     * @param {string} id - 写真ID
+     * @param {Object} changes - 変更する項目
+     * @returns {Promise<Object>} 更新後の写真
+     */
+    async updatePhoto(id, changes) {
+        throw new Error(`${this.constructor.name}: updatePhoto is not supported`);
+    }
+
+    /**
+     * 写真を削除
+     * @param {string} id - 写真ID
+     * @returns {Promise<void>}
+     */
+    async deletePhoto(id) {
+        throw new Error(`${this.constructor.name}: deletePhoto is not supported`);
+    }
+
+    /**
+     * 画像ファイルを保存
+     * @param {Blob} blob - 画像
+     * @param {string} kind - 'image'（本体） | 'thumbnail'
+     * @returns {Promise<string>} 画像のURL
+     */
+    async uploadImage(blob, kind) {
+        throw new Error(`${this.constructor.name}: uploadImage is not supported`);
+    }
+
+    /**
+     * 全エリアを取得（無効なエリアを含む）
+     * @returns {Promise<Object[]>}
+     */
+    async listAreas() {
+        throw new Error(`${this.constructor.name}: listAreas is not supported`);
+    }
+
+    /**
+     * エリアを追加（IDは保存先で採番）
+     * @param {Object} area - 追加するエリア
+     * @returns {Promise<Object>} 保存されたエリア
+     */
+    async createArea(area) {
+        throw new Error(`${this.constructor.name}: createArea is not supported`);
+    }
+
+    /**
+     * エリアを部分更新（値が null の項目は削除）
+     * @param {string} id - エリアID
+     * @param {Object} changes - 変更する項目
+     * @returns {Promise<Object>} 更新後のエリア
+     */
+    async updateArea(id, changes) {
+        throw new Error(`${this.constructor.name}: updateArea is not supported`);
+    }
+
+    /**
+     * エリアを削除
+     * @param {string} id - エリアID
+     * @returns {Promise<void>}
+     */
+    async deleteArea(id) {
+        throw new Error(`${this.constructor.name}: deleteArea is not supported`);
+    }
+
+    /**
+     * 設定に従ってアダプターを作成
+     * 'auto' はREST APIが応答すればRESTを使い、なければ null（静的ファイルの読み込みのみ）
+     * @param {Object} config - APP_CONFIG.STORAGE
+     * @returns {Promise<StorageAdapter|null>}
+     */
+    static async create(config = APP_CONFIG.STORAGE) {
+        if (config.ADAPTER === 'static') return null;
+
+        const adapter = new RestStorageAdapter(config.API_BASE, config.REQUEST_TIMEOUT_MS);
+        if (config.ADAPTER === 'rest' || await adapter.isAvailable()) {
+            console.log(`💾 Using REST storage: ${adapter.baseUrl}`);
+            return adapter;
+        }
+
+        console.log('💾 REST storage not available, using static data files (read-only)');
+        return null;
+    }
+}
+
+/**
+ * REST APIに保存するアダプター（server/server.mjs と組み合わせて使う）
+ *
+ * GET    {baseUrl}/photos       一覧
+ * POST   {baseUrl}/photos       追加
+ * PATCH  {baseUrl}/photos/:id   部分更新
+ * DELETE {baseUrl}/photos/:id   削除
+ * POST   {baseUrl}/uploads      画像ファイルの保存（本文は画像そのもの）
+ * GET    {baseUrl}/areas        エリア一覧
+ * POST   {baseUrl}/areas        エリアの追加
+ * PATCH  {baseUrl}/areas/:id    エリアの部分更新
+ * DELETE {baseUrl}/areas/:id    エリアの削除
+ * POST   {baseUrl}/auth/login   ログイン（以降は Authorization: Bearer <token>）
+ * POST   {baseUrl}/auth/logout  ログアウト
+ * GET    {baseUrl}/auth/me      ログイン中の利用者
+ */
+export class RestStorageAdapter extends StorageAdapter {
+    constructor(baseUrl = APP_CONFIG.STORAGE.API_BASE, timeoutMs = APP_CONFIG.STORAGE.REQUEST_TIMEOUT_MS) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeoutMs = timeoutMs;
+        this.authToken = null;
+        this.onUnauthorized = null; // () => void トークンが無効になっていた（サーバーの再起動・期限切れ）
+    }
+
+    get isWritable() {
+        return true;
+    }
+
+    get supportsAuth() {
+        return true;
+    }
+
+    setAuthToken(token) {
+        this.authToken = token;
+    }
+
+    async login(username, password) {
+        return this.request('POST', '/auth/login', { username, password });
+    }
+
+    async logout() {
+        await this.request('POST', '/auth/logout');
+    }
+
+    async getCurrentUser() {
+        return this.request('GET', '/auth/me');
+    }
+
+    /**
+     * APIサーバーが応答するか確認
+     */
+    async isAvailable() {
+        try {
+            const result = await this.request('GET', '/health');
+            return result?.status === 'ok';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listPhotos() {
+        return this.request('GET', '/photos');
+    }
+
+    async createPhoto(photo) {
+        return this.request('POST', '/photos', photo);
+    }
+
+    async updatePhoto(id, changes) {
+        return this.request('PATCH', `/photos/${encodeURIComponent(id)}`, changes);
+    }
+
+    async deletePhoto(id) {
+        await this.request('DELETE', `/photos/${encodeURIComponent(id)}`);
+    }
+
+    async uploadImage(blob, kind) {
+        const { url } = await this.request('POST', `/uploads?kind=${encodeURIComponent(kind)}`, blob);
+        return url;
+    }
+
+    async listAreas() {
+        return this.request('GET', '/areas');
+    }
+
+    async createArea(area) {
+        return this.request('POST', '/areas', area);
+    }
+
+    async updateArea(id, changes) {
+        return this.request('PATCH', `/areas/${encodeURIComponent(id)}`, changes);
+    }
+
+    async deleteArea(id) {
+        await this.request('DELETE', `/areas/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * APIへリクエストを送信（タイムアウト付き）
+     * body が Blob の場合はそのまま、それ以外はJSONとして送る
+     * エラー応答の場合はサーバーのメッセージを含むErrorを投げる
+     */
+    async request(method, path, body = undefined) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const isBlob = body instanceof Blob;
+        const headers = {};
+        if (body !== undefined) {
+            headers['Content-Type'] = isBlob ? body.type : 'application/json';
+        }
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body === undefined || isBlob ? body : JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            const text = await response.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (parseError) {
+                // エラー応答がHTMLなどの場合はステータスのみで判断する
+                if (response.ok) throw new Error(`${method} ${path}: invalid JSON response`);
+            }
+
+            if (response.status === 401 && this.authToken && path !== '/auth/me') {
+                this.onUnauthorized?.();
+            }
+            if (!response.ok) {
+                const error = new Error(data?.error || `${method} ${path} failed: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            return data;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
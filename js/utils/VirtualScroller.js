@@ -0,0 +1,266 @@
+/**
+ * スクロールコンテナの表示範囲にある行だけを描画する仮想スクロール
+ * 表示範囲外の行は上下の余白（padding）に置き換えるため、数千行でもDOMの要素数は一定に保たれる
+ *
+ * 行の高さは種類（row.type）ごとに一度だけ測り、同じ種類の行は同じ高さとして位置を計算する
+ * （グリッドの1行・タイムラインの日付見出しなど、種類ごとに高さがそろう行を想定）
+ * 行の間隔は margin-bottom で指定する（上下の margin が重なると高さの計算がずれるため）
+ *
+ * @example
+ * const scroller = new VirtualScroller(container, {
+ *     renderRow: row => createRowElement(row),
+ *     onNearEnd: () => loadMore()
+ * });
+ * scroller.setRows([{ key: 'a', type: 'photo', photo }], { scrollToIndex: 0 });
+ */
+export class VirtualScroller {
+    // まだ測っていない種類の行の仮の高さ（px）
+    static ESTIMATED_ROW_HEIGHT = 100;
+
+    /**
+     * @param {HTMLElement} container - スクロールするコンテナ（overflow-y: auto）
+     * @param {Object} options
+     * @param {Function} options.renderRow - (row) => HTMLElement 行の要素を作成
+     * @param {Function} [options.onScroll] - (firstVisibleIndex, { atEnd }) => void 表示範囲が変わったとき（atEnd: 末尾までスクロールした）
+     * @param {Function} [options.onNearEnd] - () => void 末尾まで残り1画面分になったとき
+     * @param {Function} [options.onResize] - () => void コンテナの幅が変わったとき（行の組み直し用）
+     * @param {number} [options.overscan] - 表示範囲の上下に余分に描画する高さ（コンテナの高さに対する割合）
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.renderRow = options.renderRow;
+        this.onScroll = options.onScroll || (() => {});
+        this.onNearEnd = options.onNearEnd || (() => {});
+        this.onResize = options.onResize || (() => {});
+        this.overscan = options.overscan ?? 1;
+
+        this.rows = [];
+        this.offsets = [0];          // offsets[i]: i行目の上端（offsets[rows.length] が全体の高さ）
+        this.typeHeights = new Map(); // row.type → 測った高さ
+        this.elements = new Map();    // row.key → 描画中の要素
+        this.pendingScrollIndex = null;
+        this.frame = null;
+        this.width = container.clientWidth;
+
+        this.content = document.createElement('div');
+        this.content.className = 'virtual-scroll-content';
+        container.replaceChildren(this.content);
+
+        this.handleScroll = () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        };
+        container.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        // 非表示（display: none）の間は高さを測れないため、表示された時点で描画し直す
+        this.resizeObserver = typeof ResizeObserver !== 'undefined' ?
+            new ResizeObserver(() => this.handleResize()) :
+            null;
+        this.resizeObserver?.observe(container);
+    }
+
+    /**
+     * 行を差し替えて描画
+     * 同じ key の行は描画済みの要素を使い回す（画像を読み込み直さない）
+     * @param {Array<Object>} rows - { key: 一意なキー, type: 高さの種類, ... }
+     * @param {Object} [options]
+     * @param {number} [options.scrollToIndex] - 指定した行が先頭に来るようにスクロール（省略時は位置を保つ）
+     */
+    setRows(rows, { scrollToIndex = null } = {}) {
+        this.rows = rows;
+        const keys = new Set(rows.map(row => row.key));
+        this.elements.forEach((element, key) => {
+            if (!keys.has(key)) this.elements.delete(key);
+        });
+        this.updateOffsets();
+
+        if (scrollToIndex !== null) {
+            this.scrollToIndex(scrollToIndex);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * 指定した行が先頭に来るようにスクロール
+     * コンテナが非表示の場合は表示された時点でスクロールする
+     */
+    scrollToIndex(index) {
+        this.pendingScrollIndex = index;
+        if (!this.isVisible()) {
+            this.render();
+            return;
+        }
+
+        // 先に現在位置を描画して行の高さを測ってから、正確な位置へ移動する
+        this.render();
+        const target = Math.max(0, Math.min(index, this.rows.length - 1));
+        this.pendingScrollIndex = null;
+        this.container.scrollTop = this.rows.length > 0 ? this.offsets[target] + this.content.offsetTop : 0;
+        this.render();
+    }
+
+    /**
+     * 表示範囲の先頭にある行の番号（行がなければ -1）
+     */
+    getFirstVisibleIndex() {
+        if (this.rows.length === 0) return -1;
+        return Math.min(this.findRowAt(this.getScrollOffset()), this.rows.length - 1);
+    }
+
+    /**
+     * 表示範囲の行を描画
+     */
+    render() {
+        const visible = this.isVisible();
+        const viewportHeight = visible ? this.container.clientHeight : 0;
+        const margin = viewportHeight * this.overscan;
+        const scrollOffset = this.getScrollOffset();
+
+        // 非表示の間は先頭の数行だけ描画しておく（表示された時点で描画し直す）
+        const start = visible ? this.findRowAt(scrollOffset - margin) : 0;
+        const end = visible ?
+            Math.min(this.rows.length, this.findRowAt(scrollOffset + viewportHeight + margin) + 1) :
+            Math.min(this.rows.length, 1);
+
+        const children = [];
+        for (let i = start; i < end; i++) {
+            const row = this.rows[i];
+            let element = this.elements.get(row.key);
+            if (!element) {
+                element = this.renderRow(row);
+                element.classList.add('virtual-row');
+                this.elements.set(row.key, element);
+            }
+            children.push(element);
+        }
+
+        // 描画範囲外になった要素は破棄する（再び表示する際に作り直す）
+        const rendered = new Set(children);
+        this.elements.forEach((element, key) => {
+            if (!rendered.has(element)) this.elements.delete(key);
+        });
+        this.content.replaceChildren(...children);
+
+        if (visible && this.measure(start, children)) {
+            // 初めて測った種類の行があれば位置を計算し直して描画し直す
+            this.render();
+            return;
+        }
+
+        this.content.style.paddingTop = `${this.offsets[start] ?? 0}px`;
+        this.content.style.paddingBottom = `${this.offsets[this.rows.length] - (this.offsets[end] ?? 0)}px`;
+
+        // スクロール先が決まるまでは通知しない（移動前の位置で追加読み込みなどが起きないように）
+        if (!visible || this.rows.length === 0 || this.pendingScrollIndex !== null) return;
+
+        const totalHeight = this.offsets[this.rows.length];
+        this.onScroll(this.getFirstVisibleIndex(), { atEnd: scrollOffset + viewportHeight >= totalHeight - 1 });
+        if (scrollOffset + viewportHeight * 2 >= totalHeight) {
+            this.onNearEnd();
+        }
+    }
+
+    /**
+     * 描画した行の高さ（margin を含む）を種類ごとに記録
+     * @returns {boolean} 新しく測った種類があったか
+     */
+    measure(start, children) {
+        let measured = false;
+        children.forEach((element, i) => {
+            const { type } = this.rows[start + i];
+            if (this.typeHeights.has(type)) return;
+
+            const { height } = element.getBoundingClientRect();
+            if (height > 0) {
+                const style = getComputedStyle(element);
+                this.typeHeights.set(type, height + parseFloat(style.marginTop) + parseFloat(style.marginBottom));
+                measured = true;
+            }
+        });
+        if (measured) {
+            this.updateOffsets();
+        }
+        return measured;
+    }
+
+    /**
+     * 行の上端の位置を計算し直す
+     */
+    updateOffsets() {
+        const offsets = new Array(this.rows.length + 1);
+        offsets[0] = 0;
+        this.rows.forEach((row, i) => {
+            offsets[i + 1] = offsets[i] + (this.typeHeights.get(row.type) ?? VirtualScroller.ESTIMATED_ROW_HEIGHT);
+        });
+        this.offsets = offsets;
+    }
+
+    /**
+     * 指定位置（コンテンツの上端から）にある行の番号（二分探索）
+     */
+    findRowAt(offset) {
+        let low = 0;
+        let high = this.rows.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.offsets[mid + 1] <= offset) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * コンテンツの上端から見たスクロール位置（コンテナの padding を除く）
+     */
+    getScrollOffset() {
+        return Math.max(0, this.container.scrollTop - this.content.offsetTop);
+    }
+
+    isVisible() {
+        return this.container.clientHeight > 0;
+    }
+
+    /**
+     * コンテナの大きさが変わったとき（表示された・画面の幅が変わった）
+     */
+    handleResize() {
+        if (!this.isVisible()) return;
+
+        const width = this.container.clientWidth;
+        if (width !== this.width) {
+            // 幅が変わると行の高さ（グリッドの正方形）も変わるため測り直す
+            this.width = width;
+            this.typeHeights.clear();
+            this.elements.clear();
+            this.updateOffsets();
+            this.onResize();
+        }
+
+        if (this.pendingScrollIndex !== null) {
+            this.scrollToIndex(this.pendingScrollIndex);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * 行をすべて取り除く（スクロール位置も先頭に戻す）
+     */
+    clear() {
+        this.pendingScrollIndex = null;
+        this.rows = [];
+        this.elements.clear();
+        this.updateOffsets();
+        this.content.replaceChildren();
+        this.content.style.paddingTop = '0px';
+        this.content.style.paddingBottom = '0px';
+        this.container.scrollTop = 0;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * ローカルサーバーのログイン・ロール管理
+ * 利用者は server/users.json（パスワードはscryptのハッシュ）に保存し、
+ * ログイン中のセッションはメモリに持つ（サーバーを再起動するとログアウトされる）
+ *
+ * ロール（権限の弱い順、js/config/constants.js の AUTH.ROLES と同じ）
+ * - viewer:      閲覧のみ（ログインしていない閲覧者も同じ扱い）
+ * - contributor: 写真の投稿
+ * - moderator:   投稿写真の審査・編集・削除
+ * - admin:       すべて（エリアの管理など）
+ */
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const scryptAsync = promisify(scrypt);
+
+export const USERS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'users.json');
+export const ROLES = ['viewer', 'contributor', 'moderator', 'admin'];
+
+// ロールごとに閲覧できる掲載同意の公開範囲（js/config/constants.js の AUTH.ACCESS_LEVELS と同じ）
+export const ACCESS_LEVELS = {
+    viewer: 'public',
+    contributor: 'members_only',
+    moderator: 'internal',
+    admin: 'internal'
+};
+// 掲載同意の公開範囲（広い順）
+export const CONSENT_LEVELS = ['public', 'members_only', 'internal'];
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+/**
+ * パスワードをハッシュ化（'scrypt:salt:hash'）
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * パスワードがハッシュと一致するか
+ */
+export async function verifyPassword(password, stored) {
+    const [algorithm, salt, expected] = (stored || '').split(':');
+    if (algorithm !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return expectedHash.length === hash.length && timingSafeEqual(hash, expectedHash);
+}
+
+/**
+ * 利用者の一覧（ファイルがなければ空）
+ * @returns {Promise<Array<{username: string, role: string, password_hash: string}>>}
+ */
+export async function readUsers() {
+    try {
+        return JSON.parse(await readFile(USERS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+export async function writeUsers(users) {
+    const tempFile = `${USERS_FILE}.${process.pid}.tmp`;
+    await writeFile(tempFile, `${JSON.stringify(users, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+    await rename(tempFile, USERS_FILE);
+}
+
+/**
+ * ユーザー名とパスワードを確認
+ * @returns {Promise<{username: string, role: string}|null>}
+ */
+export async function authenticate(username, password) {
+    const user = (await readUsers()).find(u => u.username === username);
+    if (!user || !ROLES.includes(user.role) || !(await verifyPassword(password, user.password_hash))) {
+        return null;
+    }
+    return { username: user.username, role: user.role };
+}
+
+/**
+ * ロールが指定以上の権限を持つか（user が null の場合は viewer）
+ */
+export function hasRole(user, role) {
+    return ROLES.indexOf(user?.role || 'viewer') >= ROLES.indexOf(role);
+}
+
+/**
+ * 掲載同意の期限が切れているか（'YYYY-MM-DD' はその日の終わりまで有効）
+ */
+function isConsentExpired(consent, now = new Date()) {
+    if (!consent?.expires_at) return false;
+
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(consent.expires_at);
+    const expiry = new Date(dateOnly ? `${consent.expires_at}T00:00:00` : consent.expires_at);
+    if (dateOnly) expiry.setDate(expiry.getDate() + 1);
+    return Number.isNaN(expiry.getTime()) || expiry <= now;
+}
+
+/**
+ * 利用者が写真を閲覧できるか
+ * moderator以上はすべて、それ以外は承認済みで、ロールの公開範囲内かつ同意の期限内の写真のみ
+ */
+export function canReadPhoto(photo, user) {
+    if (hasRole(user, 'moderator')) return true;
+
+    const level = CONSENT_LEVELS.includes(photo.consent?.level) ? photo.consent.level : 'public';
+    return (photo.status === undefined || photo.status === 'approved') &&
+        CONSENT_LEVELS.indexOf(level) <= CONSENT_LEVELS.indexOf(ACCESS_LEVELS[user?.role || 'viewer']) &&
+        !isConsentExpired(photo.consent);
+}
+
+/**
+ * ログイン中のセッション（トークン → 利用者）
+ */
+export const sessions = {
+    entries: new Map(),
+
+    create(user) {
+        // 期限切れのセッションを掃除
+        const now = Date.now();
+        this.entries.forEach((session, token) => {
+            if (session.expiresAt <= now) this.entries.delete(token);
+        });
+
+        const token = randomBytes(32).toString('hex');
+        this.entries.set(token, { user, expiresAt: Date.now() + SESSION_TTL_MS });
+        return token;
+    },
+
+    get(token) {
+        const session = token && this.entries.get(token);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.entries.delete(token);
+            return null;
+        }
+        return session.user;
+    },
+
+    delete(token) {
+        this.entries.delete(token);
+    }
+};
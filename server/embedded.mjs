@@ -0,0 +1,48 @@
+/**
+ * データを読み込めない場合の埋め込みフォールバック（js/config/embeddedAreas.js）を
+ * data/areas.json から生成する
+ *
+ * エリアを画面から保存するとサーバーが自動で作り直す。
+ * data/areas.json を直接編集した場合は次のコマンドで作り直す
+ *
+ * node server/embedded.mjs
+ */
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const AREAS_FILE = path.join(ROOT_DIR, 'data', 'areas.json');
+export const EMBEDDED_AREAS_FILE = path.join(ROOT_DIR, 'js', 'config', 'embeddedAreas.js');
+
+/**
+ * 埋め込みフォールバックのモジュールのソースを作成
+ */
+export function buildEmbeddedAreasModule(areas) {
+    return [
+        '// このファイルは data/areas.json から node server/embedded.mjs で生成しています。直接編集しないでください',
+        '// エリアデータを読み込めない場合に DataManager.loadEmbeddedData() が使います',
+        `export const EMBEDDED_AREAS = ${JSON.stringify(areas, null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * エリア一覧から埋め込みフォールバックを書き出す
+ */
+export async function writeEmbeddedAreas(areas) {
+    const tempFile = `${EMBEDDED_AREAS_FILE}.${process.pid}.tmp`;
+    await writeFile(tempFile, buildEmbeddedAreasModule(areas), 'utf8');
+    await rename(tempFile, EMBEDDED_AREAS_FILE);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        const areas = JSON.parse(await readFile(AREAS_FILE, 'utf8'));
+        await writeEmbeddedAreas(areas);
+        console.log(`📦 Generated ${path.relative(process.cwd(), EMBEDDED_AREAS_FILE)} (${areas.length} areas)`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * 写真データの保存先と公開用ファイル
+ *
+ * 写真の全件（審査中・却下・公開範囲の限定・投稿者名を含む）は server/photos.json に保存し、静的ファイルとしては配信しない。
+ * 静的ホスティングでもそのまま取得される data/photos.json には、ログインしていない閲覧者が見られる写真
+ * （承認済み・一般公開・同意の期限内）だけを書き出す。期限が切れた写真はアプリが期限の時刻に非表示にし、
+ * 次に data/photos.json を作り直した時点で取り除かれる。
+ *
+ * 写真を画面から保存するとサーバーが自動で作り直す。
+ * server/photos.json を直接編集した場合は次のコマンドで作り直す
+ *
+ * node server/photos.mjs
+ */
+import { constants } from 'node:fs';
+import { readFile, writeFile, rename, copyFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { canReadPhoto } from './auth.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const PHOTO_STORE_FILE = path.join(ROOT_DIR, 'server', 'photos.json');
+export const PUBLIC_PHOTOS_FILE = path.join(ROOT_DIR, 'data', 'photos.json');
+
+/**
+ * 既存の data/photos.json と同じ書式（2スペース、文字列などの配列は1行）に整形
+ */
+export function formatJson(data) {
+    return JSON.stringify(data, null, 2)
+        .replace(/\[\n\s+([^[\]{}]*?)\n\s+\]/g, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`);
+}
+
+/**
+ * ログインしていない閲覧者が見られる写真だけを選ぶ
+ */
+export function selectPublicPhotos(photos) {
+    return photos.filter(photo => canReadPhoto(photo, null));
+}
+
+/**
+ * 写真の保存先がなければ、同梱の data/photos.json から作成する（初回の起動時）
+ */
+export async function ensurePhotoStore() {
+    try {
+        await copyFile(PUBLIC_PHOTOS_FILE, PHOTO_STORE_FILE, constants.COPYFILE_EXCL);
+        console.log(`📦 Created ${path.relative(process.cwd(), PHOTO_STORE_FILE)} from ${path.relative(process.cwd(), PUBLIC_PHOTOS_FILE)}`);
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+}
+
+/**
+ * 写真の全件を読み込む（保存先がなければ data/photos.json）
+ */
+export async function readPhotoStore() {
+    try {
+        return JSON.parse(await readFile(PHOTO_STORE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return JSON.parse(await readFile(PUBLIC_PHOTOS_FILE, 'utf8'));
+    }
+}
+
+/**
+ * 公開してよい写真だけを data/photos.json に書き出す
+ * @returns {Promise<number>} 書き出した枚数
+ */
+export async function writePublicPhotos(photos) {
+    const publicPhotos = selectPublicPhotos(photos);
+    const tempFile = `${PUBLIC_PHOTOS_FILE}.${process.pid}.tmp`;
+    await writeFile(tempFile, formatJson(publicPhotos), 'utf8');
+    await rename(tempFile, PUBLIC_PHOTOS_FILE);
+    return publicPhotos.length;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        const photos = await readPhotoStore();
+        const count = await writePublicPhotos(photos);
+        console.log(`📦 Generated ${path.relative(process.cwd(), PUBLIC_PHOTOS_FILE)} (${count}/${photos.length} photos)`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,784 @@
+/**
+ * 開発・オフライン検証用のローカルサーバー
+ * アプリの静的ファイルを配信し、写真とエリアのREST API（server/photos.json・data/areas.json に保存）を提供する
+ * 外部パッケージは使わず、Node.js（18以上）だけで動く
+ *
+ * 起動: node server/server.mjs  （PORT / HOST 環境変数で変更可能）
+ *
+ * GET    /api/health       稼働確認
+ * POST   /api/auth/login   ログイン（トークンを返す）
+ * POST   /api/auth/logout  ログアウト
+ * GET    /api/auth/me      ログイン中の利用者
+ * GET    /api/photos       一覧（ロールで閲覧できる写真のみ）
+ * GET    /api/photos/:id   1件
+ * POST   /api/photos       追加（contributor以上、IDはサーバーで採番、審査待ち 'pending' で登録）
+ * PATCH  /api/photos/:id   部分更新（moderator以上、status の変更で承認・却下）
+ * DELETE /api/photos/:id   削除（moderator以上）
+ * POST   /api/uploads      画像の保存（contributor以上、本文は画像そのもの、uploads/ に保存してURLを返す）
+ * GET    /api/areas        エリア一覧（無効なエリアを含む）
+ * POST   /api/areas        エリアの追加（admin、IDはサーバーで採番）
+ * PATCH  /api/areas/:id    エリアの部分更新（admin、null の項目は削除）
+ * DELETE /api/areas/:id    エリアの削除（admin）
+ *
+ * エリアを保存すると埋め込みフォールバック（js/config/embeddedAreas.js）も作り直す
+ * 写真を保存すると、公開用の data/photos.json（一般公開の写真のみ）と、分割済み（data/photos/manifest.json がある）なら分割ファイルも作り直す
+ *
+ * 認証は Authorization: Bearer <token>（利用者の追加は server/users.mjs）
+ */
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename, stat, mkdir, unlink } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONSENT_LEVELS, authenticate, canReadPhoto, hasRole, sessions } from './auth.mjs';
+import { AREAS_FILE, writeEmbeddedAreas } from './embedded.mjs';
+import { PHOTO_STORE_FILE, ensurePhotoStore, formatJson, writePublicPhotos } from './photos.mjs';
+import { refreshPhotoShards } from './shards.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const UPLOADS_DIR = path.join(ROOT_DIR, 'uploads');
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const LOGIN_FAILURE_DELAY_MS = 1000;
+
+// handleUpload が保存した画像のURL（uploads/photo_*.webp・uploads/thumb_*.jpg など）
+const UPLOADED_IMAGE_PATTERN = /^\/?uploads\/((?:photo|thumb)_[0-9a-f-]+\.(?:webp|jpg))$/;
+
+// 静的ファイルとして配信するもの（これ以外は配信しない。写真の全件はAPIの権限確認を通し、利用者の情報は出さない）
+// 大文字・小文字を区別しないファイルシステムでも、表記を変えたパスで対象外のファイルを取得できないよう許可リストにする
+const PUBLIC_PATHS = ['index.html', 'sw.js', 'css/', 'js/', 'assets/', 'uploads/', 'data/areas.json'];
+
+// アップロードできる画像（ブラウザで縮小・再エンコード済みのもの）
+// ブラウザ以外から送られた場合に備え、保存前に撮影情報（EXIF/GPS）などのメタデータを取り除く
+const UPLOAD_TYPES = {
+    'image/webp': {
+        extension: 'webp',
+        isValid: data => data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP',
+        stripMetadata: data => stripWebpMetadata(data)
+    },
+    'image/jpeg': {
+        extension: 'jpg',
+        isValid: data => data[0] === 0xFF && data[1] === 0xD8,
+        stripMetadata: data => stripJpegMetadata(data)
+    }
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// クライアントから変更できない項目
+const READ_ONLY_FIELDS = ['id', 'created_at', 'updated_at', 'moderated_at', 'submitted_by'];
+// moderator以上だけが設定できる項目（並び順・注目の写真の絞り込み・エリアの割り当てに使われ、審査画面には表示されない）
+const MODERATOR_FIELDS = ['view_count', 'is_featured', 'area_id'];
+const AREA_READ_ONLY_FIELDS = ['id'];
+
+// data/areas.json の項目の並び（それ以外の項目は後ろに続ける）
+const AREA_FIELD_ORDER = [
+    'id', 'name', 'description', 'center_lat', 'center_lng', 'radius',
+    'boundary', 'color', 'category', 'is_active', 'priority'
+];
+
+// 写真の審査状態（js/config/constants.js の MODERATION.STATUSES と同じ）
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// 'YYYY-MM-DD'、または時刻付き（js/utils/DataValidator.js の ISO_DATE_PATTERN と同じ）
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * APIのエラー（ステータスコード付き）
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * URLのパスをデコード（不正なパーセントエンコーディングは400）
+ */
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid URL encoding');
+    }
+}
+
+/**
+ * JSON配列のファイル（server/photos.json・data/areas.json）の読み書き
+ * 書き込みは直列化し、一時ファイルからのリネームで途中状態のファイルを残さない
+ * @param {string} file - ファイルのパス
+ * @param {Object} options - { afterWrite: (items) => 保存後の処理（同じ書き込みの順番の中で実行） }
+ */
+function createJsonStore(file, { afterWrite = null } = {}) {
+    return {
+        writeQueue: Promise.resolve(),
+
+        async readAll() {
+            const text = await readFile(file, 'utf8');
+            return JSON.parse(text);
+        },
+
+        /**
+         * 一覧を読み込み、変更して保存する
+         * @param {Function} mutate - (items) => 結果（items を直接変更する）
+         */
+        update(mutate) {
+            const task = this.writeQueue.then(async () => {
+                const items = await this.readAll();
+                const result = mutate(items);
+
+                const tempFile = `${file}.${process.pid}.tmp`;
+                await writeFile(tempFile, formatJson(items), 'utf8');
+                await rename(tempFile, file);
+
+                // 保存は完了しているため、派生ファイルの更新に失敗してもリクエストは成功として返す
+                try {
+                    await afterWrite?.(items);
+                } catch (error) {
+                    console.error(`❌ Failed to update files derived from ${path.basename(file)}:`, error);
+                }
+                return result;
+            });
+
+            // 失敗しても後続の書き込みは続ける
+            this.writeQueue = task.catch(() => {});
+            return task;
+        }
+    };
+}
+
+const photoStore = createJsonStore(PHOTO_STORE_FILE, {
+    afterWrite: async photos => {
+        await writePublicPhotos(photos);
+        await refreshPhotoShards(photos);
+    }
+});
+const areaStore = createJsonStore(AREAS_FILE, {
+    afterWrite: areas => writeEmbeddedAreas(areas)
+});
+
+/**
+ * 追加・更新される写真の内容を検証
+ * アプリの読み込み時の検証（js/utils/DataValidator.js の validatePhoto）と同じ条件にし、
+ * 保存できてもアプリで隔離されて審査できない写真を作らない
+ * @param {Object} photo - 検証する写真（更新時は変更後の写真全体）
+ */
+function validatePhoto(photo) {
+    ['title', 'image_url'].forEach(field => {
+        if (typeof photo[field] !== 'string' || photo[field].trim() === '') {
+            throw new HttpError(400, `${field} は必須です`);
+        }
+    });
+    if (!Number.isFinite(photo.latitude) || Math.abs(photo.latitude) > 90) {
+        throw new HttpError(400, 'latitude が不正です');
+    }
+    if (!Number.isFinite(photo.longitude) || Math.abs(photo.longitude) > 180) {
+        throw new HttpError(400, 'longitude が不正です');
+    }
+    if (!isIsoDate(photo.taken_at)) {
+        throw new HttpError(400, 'taken_at はISO 8601の日時で指定してください');
+    }
+    ['created_at', 'updated_at'].forEach(field => {
+        if (photo[field] !== undefined && !isIsoDate(photo[field])) {
+            throw new HttpError(400, `${field} はISO 8601の日時で指定してください`);
+        }
+    });
+    ['description', 'location', 'thumbnail_url', 'area_id'].forEach(field => {
+        if (photo[field] != null && typeof photo[field] !== 'string') {
+            throw new HttpError(400, `${field} は文字列で指定してください`);
+        }
+    });
+    if (photo.tags !== undefined && !(Array.isArray(photo.tags) && photo.tags.every(tag => typeof tag === 'string'))) {
+        throw new HttpError(400, 'tags は文字列の配列で指定してください');
+    }
+    if (photo.is_featured !== undefined && typeof photo.is_featured !== 'boolean') {
+        throw new HttpError(400, 'is_featured は true / false で指定してください');
+    }
+    if (photo.view_count !== undefined && !(Number.isInteger(photo.view_count) && photo.view_count >= 0)) {
+        throw new HttpError(400, 'view_count は0以上の整数で指定してください');
+    }
+    if (photo.status !== undefined && !MODERATION_STATUSES.includes(photo.status)) {
+        throw new HttpError(400, `status は ${MODERATION_STATUSES.join(' / ')} のいずれかです`);
+    }
+    if (photo.consent !== undefined && photo.consent !== null) {
+        validateConsent(photo.consent);
+    }
+}
+
+/**
+ * 掲載同意（consent）を検証
+ */
+function validateConsent(consent) {
+    if (typeof consent !== 'object' || Array.isArray(consent)) {
+        throw new HttpError(400, 'consent はオブジェクトで指定してください');
+    }
+    if (!CONSENT_LEVELS.includes(consent.level)) {
+        throw new HttpError(400, `consent.level は ${CONSENT_LEVELS.join(' / ')} のいずれかです`);
+    }
+    if (consent.expires_at != null && !isIsoDate(consent.expires_at)) {
+        throw new HttpError(400, 'consent.expires_at が不正です（YYYY-MM-DD）');
+    }
+    if (consent.form_ref != null && typeof consent.form_ref !== 'string') {
+        throw new HttpError(400, 'consent.form_ref は文字列で指定してください');
+    }
+}
+
+/**
+ * ISO 8601の日付・日時の文字列で、実在する日時か（js/utils/DataValidator.js の isIsoDate と同じ）
+ */
+function isIsoDate(value) {
+    if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        return false;
+    }
+
+    // Date.parse は '2024-02-30' なども翌月の日付として受け付けるため、暦の上で存在する日付か確認する
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * 追加・更新されるエリアの内容を検証
+ * 範囲は中心＋半径（km）、またはポリゴン境界（boundary）のどちらか
+ * @param {Object} area - 検証するエリア（更新時は変更後のエリア全体）
+ */
+function validateArea(area) {
+    if (typeof area.name !== 'string' || area.name.trim() === '') {
+        throw new HttpError(400, 'name は必須です');
+    }
+    ['description', 'category'].forEach(field => {
+        if (area[field] !== undefined && typeof area[field] !== 'string') {
+            throw new HttpError(400, `${field} は文字列で指定してください`);
+        }
+    });
+    if (area.boundary !== undefined) {
+        validateBoundary(area.boundary);
+    }
+    if (area.boundary === undefined || area.center_lat !== undefined || area.center_lng !== undefined) {
+        if (!Number.isFinite(area.center_lat) || Math.abs(area.center_lat) > 90) {
+            throw new HttpError(400, 'center_lat が不正です');
+        }
+        if (!Number.isFinite(area.center_lng) || Math.abs(area.center_lng) > 180) {
+            throw new HttpError(400, 'center_lng が不正です');
+        }
+    }
+    if (area.boundary === undefined && !(Number.isFinite(area.radius) && area.radius > 0)) {
+        throw new HttpError(400, 'radius（km）は正の数で指定してください');
+    }
+    if (area.color !== undefined && !/^#[0-9a-f]{6}$/i.test(area.color)) {
+        throw new HttpError(400, 'color は #RRGGBB で指定してください');
+    }
+    if (area.priority !== undefined && !Number.isInteger(area.priority)) {
+        throw new HttpError(400, 'priority は整数で指定してください');
+    }
+    if (area.is_active !== undefined && typeof area.is_active !== 'boolean') {
+        throw new HttpError(400, 'is_active は true / false で指定してください');
+    }
+}
+
+/**
+ * エリアの境界（GeoJSONの Polygon / MultiPolygon、座標は [経度, 緯度]）を検証
+ */
+function validateBoundary(boundary) {
+    const isPosition = position => Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+        Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+    const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+    const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+    const valid = boundary?.type === 'Polygon' ? isPolygon(boundary.coordinates) :
+        boundary?.type === 'MultiPolygon' ? Array.isArray(boundary.coordinates) &&
+            boundary.coordinates.length > 0 && boundary.coordinates.every(isPolygon) :
+        false;
+    if (!valid) {
+        throw new HttpError(400, 'boundary はGeoJSONの Polygon または MultiPolygon で指定してください');
+    }
+}
+
+/**
+ * 次のエリアID（既存の area_NNN の最大値 + 1）
+ */
+function nextAreaId(areas) {
+    const max = areas.reduce((current, area) => {
+        const match = /^area_(\d+)$/.exec(area.id);
+        return match ? Math.max(current, Number(match[1])) : current;
+    }, 0);
+    return `area_${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * リクエストのトークンからログイン中の利用者を取得
+ */
+function getRequestUser(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/);
+    return match ? sessions.get(match[1]) : null;
+}
+
+/**
+ * 指定以上のロールでなければエラー（未ログインは401、権限不足は403）
+ */
+function requireRole(user, role) {
+    if (hasRole(user, role)) return;
+    throw user ?
+        new HttpError(403, 'この操作を行う権限がありません') :
+        new HttpError(401, 'ログインが必要です');
+}
+
+/**
+ * クライアントから変更できない項目（moderator未満の場合は MODERATOR_FIELDS も）を取り除く
+ */
+function pickWritableFields(body, user) {
+    const fields = { ...body };
+    READ_ONLY_FIELDS.forEach(field => delete fields[field]);
+    if (!hasRole(user, 'moderator')) {
+        MODERATOR_FIELDS.forEach(field => delete fields[field]);
+    }
+    return fields;
+}
+
+/**
+ * エリアの変更内容から変更できない項目を取り除く（null の項目は削除の指定）
+ */
+function pickAreaFields(body) {
+    const fields = { ...body };
+    AREA_READ_ONLY_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+}
+
+/**
+ * エリアに変更を適用（値が null の項目は削除、項目は data/areas.json の並びに揃える）
+ */
+function applyAreaChanges(area, changes) {
+    const merged = { ...area, ...changes };
+    const keys = [
+        ...AREA_FIELD_ORDER.filter(key => key in merged),
+        ...Object.keys(merged).filter(key => !AREA_FIELD_ORDER.includes(key))
+    ];
+    return Object.fromEntries(keys
+        .filter(key => merged[key] !== null)
+        .map(key => [key, merged[key]]));
+}
+
+/**
+ * リクエストボディを読み込む（上限を超えたら413）
+ */
+async function readBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new HttpError(413, 'リクエストが大きすぎます');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * リクエストボディをJSONとして読み込む
+ */
+async function readJsonBody(req) {
+    const data = await readBody(req, MAX_BODY_BYTES);
+
+    try {
+        const body = JSON.parse(data.toString('utf8') || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('not an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, 'JSONのオブジェクトを送信してください');
+    }
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+/**
+ * JPEGからEXIF・XMP・コメントなどのメタデータのセグメントを除く
+ */
+function stripJpegMetadata(data) {
+    const parts = [data.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= data.length) {
+        const marker = data.readUInt16BE(offset);
+        if ((marker & 0xFF00) !== 0xFF00) {
+            throw new HttpError(400, '画像データが不正です');
+        }
+        if (marker === 0xFFDA) break; // 以降は画像データ
+
+        const end = offset + 2 + data.readUInt16BE(offset + 2);
+        const segment = data.subarray(offset, end);
+        // APP1〜APP15（EXIF・XMPなど）とコメントを除く。色を正しく表示するためICCプロファイル（APP2）は残す
+        const isApp = marker >= 0xFFE1 && marker <= 0xFFEF;
+        const isIccProfile = marker === 0xFFE2 && segment.toString('ascii', 4, 15) === 'ICC_PROFILE';
+        if (!(isApp && !isIccProfile) && marker !== 0xFFFE) {
+            parts.push(segment);
+        }
+        offset = end;
+    }
+
+    parts.push(data.subarray(offset));
+    return Buffer.concat(parts);
+}
+
+/**
+ * WebPからEXIF・XMPチャンクを除く
+ */
+function stripWebpMetadata(data) {
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= data.length) {
+        const id = data.toString('ascii', offset, offset + 4);
+        const size = data.readUInt32LE(offset + 4);
+        const end = Math.min(offset + 8 + size + (size % 2), data.length); // チャンクは偶数バイトに揃えられる
+        if (id !== 'EXIF' && id !== 'XMP ') {
+            chunks.push(Buffer.from(data.subarray(offset, end)));
+        }
+        offset = end;
+    }
+
+    // 拡張ヘッダー（VP8X）のEXIF・XMPありのフラグを下ろす
+    const vp8x = chunks.find(chunk => chunk.toString('ascii', 0, 4) === 'VP8X');
+    if (vp8x) {
+        vp8x[8] &= ~(0x08 | 0x04);
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.from(data.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * 画像を uploads/ に保存してURL（ページからの相対パス）を返す
+ */
+async function handleUpload(req, res, url) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const type = UPLOAD_TYPES[(req.headers['content-type'] || '').split(';')[0].trim()];
+    if (!type) {
+        throw new HttpError(415, `対応している画像形式は ${Object.keys(UPLOAD_TYPES).join(' / ')} です`);
+    }
+
+    const data = await readBody(req, MAX_UPLOAD_BYTES);
+    if (data.length === 0 || !type.isValid(data)) {
+        throw new HttpError(400, '画像データが不正です');
+    }
+
+    const image = type.stripMetadata(data);
+    if (image.length !== data.length) {
+        console.log(`🧹 Image metadata removed: ${data.length - image.length} bytes`);
+    }
+
+    const prefix = url.searchParams.get('kind') === 'thumbnail' ? 'thumb_' : 'photo_';
+    const fileName = `${prefix}${randomUUID()}.${type.extension}`;
+    await mkdir(UPLOADS_DIR, { recursive: true });
+    await writeFile(path.join(UPLOADS_DIR, fileName), image);
+
+    console.log(`🖼️ Image uploaded: ${fileName} (${(image.length / 1024).toFixed(1)}KB)`);
+    return sendJson(res, 201, { url: `uploads/${fileName}` });
+}
+
+/**
+ * 写真の画像（image_url・thumbnail_url）のうち uploads/ に保存したものを削除
+ * 写真の削除・却下の後に呼ぶ（子どもの写真を公開しない状態でサーバーに残さない）
+ * 他の写真が同じ画像を使っている場合は残す
+ * @param {Object} photo - 削除・却下した写真
+ * @param {Array} remainingPhotos - 画像を使い続ける写真（却下の場合は却下した写真を除く）
+ */
+async function removeUploadedImages(photo, remainingPhotos) {
+    const inUse = new Set(remainingPhotos.flatMap(p => [p.image_url, p.thumbnail_url]));
+    const fileNames = [photo.image_url, photo.thumbnail_url]
+        .filter(url => typeof url === 'string' && !inUse.has(url))
+        .map(url => url.match(UPLOADED_IMAGE_PATTERN)?.[1])
+        .filter(Boolean);
+
+    await Promise.all([...new Set(fileNames)].map(async (fileName) => {
+        try {
+            await unlink(path.join(UPLOADS_DIR, fileName));
+            console.log(`🗑️ Image removed: ${fileName}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Failed to remove image ${fileName}:`, error);
+            }
+        }
+    }));
+}
+
+/**
+ * ログイン・ログアウト・ログイン中の利用者
+ */
+async function handleAuth(req, res, action, user) {
+    if (action === 'login' && req.method === 'POST') {
+        const { username, password } = await readJsonBody(req);
+        const authenticated = typeof username === 'string' && typeof password === 'string' ?
+            await authenticate(username, password) : null;
+        if (!authenticated) {
+            // 総当たりを遅らせる
+            await new Promise(resolve => setTimeout(resolve, LOGIN_FAILURE_DELAY_MS));
+            throw new HttpError(401, 'ユーザー名またはパスワードが違います');
+        }
+
+        console.log(`🔑 Logged in: ${authenticated.username} (${authenticated.role})`);
+        return sendJson(res, 200, { token: sessions.create(authenticated), user: authenticated });
+    }
+    if (action === 'logout' && req.method === 'POST') {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/);
+        if (match) sessions.delete(match[1]);
+        return sendJson(res, 204);
+    }
+    if (action === 'me' && req.method === 'GET') {
+        if (!user) throw new HttpError(401, 'ログインが必要です');
+        return sendJson(res, 200, user);
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * エリアの一覧・追加・更新・削除（閲覧以外は admin のみ）
+ */
+async function handleAreas(req, res, id, user) {
+    if (!id) {
+        if (req.method === 'GET') {
+            return sendJson(res, 200, await areaStore.readAll());
+        }
+        if (req.method === 'POST') {
+            requireRole(user, 'admin');
+            const fields = pickAreaFields(await readJsonBody(req));
+            const created = await areaStore.update(areas => {
+                const area = applyAreaChanges({ id: nextAreaId(areas), description: '', is_active: true }, fields);
+                validateArea(area);
+                areas.push(area);
+                return area;
+            });
+            console.log(`🗺️ Area created: ${created.id} (${created.name})`);
+            return sendJson(res, 201, created);
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    if (req.method === 'GET') {
+        const area = (await areaStore.readAll()).find(a => a.id === id);
+        if (!area) throw new HttpError(404, `Area not found: ${id}`);
+        return sendJson(res, 200, area);
+    }
+
+    if (req.method === 'PATCH' || req.method === 'PUT') {
+        requireRole(user, 'admin');
+        const changes = pickAreaFields(await readJsonBody(req));
+        const updated = await areaStore.update(areas => {
+            const index = areas.findIndex(a => a.id === id);
+            if (index === -1) throw new HttpError(404, `Area not found: ${id}`);
+
+            const area = applyAreaChanges(areas[index], changes);
+            validateArea(area);
+            areas[index] = area;
+            return area;
+        });
+        console.log(`✏️ Area updated: ${id}`);
+        return sendJson(res, 200, updated);
+    }
+
+    if (req.method === 'DELETE') {
+        requireRole(user, 'admin');
+        await areaStore.update(areas => {
+            const index = areas.findIndex(a => a.id === id);
+            if (index === -1) throw new HttpError(404, `Area not found: ${id}`);
+            areas.splice(index, 1);
+        });
+        console.log(`🗑️ Area deleted: ${id}`);
+        return sendJson(res, 204);
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * /api/ 以下のリクエストを処理
+ */
+async function handleApi(req, res, url) {
+    const [resource, id] = url.pathname.replace(/^\/api\/?/, '').split('/').map(decodePath);
+    const user = getRequestUser(req);
+
+    if (resource === 'health' && req.method === 'GET') {
+        return sendJson(res, 200, { status: 'ok' });
+    }
+    if (resource === 'auth') {
+        return handleAuth(req, res, id, user);
+    }
+    if (resource === 'uploads' && !id) {
+        requireRole(user, 'contributor');
+        return handleUpload(req, res, url);
+    }
+    if (resource === 'areas') {
+        return handleAreas(req, res, id, user);
+    }
+    if (resource !== 'photos') {
+        throw new HttpError(404, 'Not found');
+    }
+
+    if (!id) {
+        if (req.method === 'GET') {
+            const photos = await photoStore.readAll();
+            return sendJson(res, 200, photos.filter(photo => canReadPhoto(photo, user)));
+        }
+        if (req.method === 'POST') {
+            requireRole(user, 'contributor');
+            const body = await readJsonBody(req);
+            const now = new Date().toISOString();
+            const photo = {
+                description: '',
+                tags: [],
+                is_featured: false,
+                view_count: 0,
+                taken_at: now,
+                ...pickWritableFields(body, user),
+                // 子どもの写真は審査を経てから公開する
+                status: 'pending',
+                submitted_by: user.username,
+                id: `photo_${randomUUID()}`,
+                created_at: now,
+                updated_at: now
+            };
+            validatePhoto(photo);
+
+            await photoStore.update(photos => photos.push(photo));
+            console.log(`📸 Photo created: ${photo.id}`);
+            return sendJson(res, 201, photo);
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    if (req.method === 'GET') {
+        const photo = (await photoStore.readAll()).find(p => p.id === id);
+        if (!photo || !canReadPhoto(photo, user)) throw new HttpError(404, `Photo not found: ${id}`);
+        return sendJson(res, 200, photo);
+    }
+
+    if (req.method === 'PATCH' || req.method === 'PUT') {
+        requireRole(user, 'moderator');
+        const changes = pickWritableFields(await readJsonBody(req), user);
+        const { photo: updated, previous, photos } = await photoStore.update(photos => {
+            const index = photos.findIndex(p => p.id === id);
+            if (index === -1) throw new HttpError(404, `Photo not found: ${id}`);
+
+            const now = new Date().toISOString();
+            const previous = photos[index];
+            const photo = { ...previous, ...changes, updated_at: now };
+            if (changes.status !== undefined && changes.status !== previous.status) {
+                photo.moderated_at = now;
+            }
+            validatePhoto(photo);
+            photos[index] = photo;
+            return { photo, previous, photos };
+        });
+        console.log(`✏️ Photo updated: ${id}`);
+
+        // 却下した写真の画像は削除する（差し替えた画像も元の画像を削除する）
+        if (updated.status === 'rejected' && previous.status !== 'rejected') {
+            await removeUploadedImages(updated, photos.filter(p => p.id !== id));
+        } else if (updated.image_url !== previous.image_url || updated.thumbnail_url !== previous.thumbnail_url) {
+            await removeUploadedImages(previous, photos);
+        }
+        return sendJson(res, 200, updated);
+    }
+
+    if (req.method === 'DELETE') {
+        requireRole(user, 'moderator');
+        const { photo, photos } = await photoStore.update(photos => {
+            const index = photos.findIndex(p => p.id === id);
+            if (index === -1) throw new HttpError(404, `Photo not found: ${id}`);
+            const [photo] = photos.splice(index, 1);
+            return { photo, photos };
+        });
+        console.log(`🗑️ Photo deleted: ${id}`);
+        await removeUploadedImages(photo, photos);
+        return sendJson(res, 204);
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * 静的ファイルを配信（リポジトリのルート外は配信しない）
+ */
+async function serveStatic(req, res, pathname) {
+    const relativePath = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+    if (filePath !== ROOT_DIR && !filePath.startsWith(`${ROOT_DIR}${path.sep}`)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+    const repoPath = path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+    if (!PUBLIC_PATHS.some(publicPath => repoPath === publicPath || (publicPath.endsWith('/') && repoPath.startsWith(publicPath)))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    try {
+        if (!(await stat(filePath)).isFile()) throw new Error('not a file');
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : await readFile(filePath));
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            await serveStatic(req, res, decodePath(url.pathname));
+        } else {
+            throw new HttpError(405, 'Method not allowed');
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) {
+            console.error('❌ Server error:', error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+        }
+    }
+});
+
+await ensurePhotoStore();
+
+server.listen(PORT, HOST, () => {
+    console.log(`🚀 太子のあした local server: http://${HOST}:${PORT}/`);
+    console.log(`💾 Photos are saved to ${path.relative(process.cwd(), PHOTO_STORE_FILE)}`);
+    console.log(`💾 Areas are saved to ${path.relative(process.cwd(), AREAS_FILE)}`);
+});
@@ -0,0 +1,188 @@
+/**
+ * 写真データ（server/photos.json）を分割ファイル（data/photos/）に書き出す
+ * 写真が多くなった場合、アプリは manifest.json を読み、地図の表示範囲や選んだエリアに必要なファイルだけを読み込む
+ *
+ * node server/shards.mjs            撮影月ごとに分割（2024-05.json など）
+ * node server/shards.mjs --by area  近いエリアごとに分割（area_001.json など）
+ *
+ * 分割ファイルは誰でも取得できるため、ログインしていない閲覧者が見られる写真
+ * （承認済み・一般公開・同意の期限内）だけを書き出す。
+ * 分割済みの場合、写真を画面から保存するとサーバーが同じ分け方で自動で作り直す。
+ * 分割をやめる場合は data/photos/ を削除する
+ */
+import { readFile, writeFile, rename, readdir, unlink, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AREAS_FILE } from './embedded.mjs';
+import { readPhotoStore, selectPublicPhotos } from './photos.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const SHARDS_DIR = path.join(ROOT_DIR, 'data', 'photos');
+export const MANIFEST_FILE = path.join(SHARDS_DIR, 'manifest.json');
+export const SHARD_STRATEGIES = ['month', 'area'];
+
+const MANIFEST_VERSION = 1;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * 写真を分割する
+ * @param {Array} photos
+ * @param {Object} options - { by: 'month' | 'area', areas: エリア一覧（'area' の場合） }
+ * @returns {{ manifest: Object, shards: Map<string, Array> }} shards: ファイル名 → 写真
+ */
+export function buildPhotoShards(photos, { by = 'month', areas = [] } = {}) {
+    if (!SHARD_STRATEGIES.includes(by)) {
+        throw new Error(`Unknown shard strategy: ${by}（${SHARD_STRATEGIES.join(' / ')}）`);
+    }
+
+    const groups = new Map();
+    photos.forEach(photo => {
+        const id = by === 'area' ? getAreaShardId(photo, areas) : getMonthShardId(photo);
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(photo);
+    });
+
+    const shards = new Map();
+    const entries = [...groups.keys()].sort().map(id => {
+        const shardPhotos = groups.get(id);
+        const file = `${id.replace(/[^\w-]/g, '_')}.json`;
+        shards.set(file, shardPhotos);
+
+        const takenDates = shardPhotos.map(photo => photo.taken_at).filter(date => typeof date === 'string').sort();
+        return {
+            id,
+            file,
+            count: shardPhotos.length,
+            bounds: getPhotoBounds(shardPhotos),
+            taken_from: takenDates[0] ?? null,
+            taken_to: takenDates[takenDates.length - 1] ?? null
+        };
+    });
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        shard_by: by,
+        generated_at: new Date().toISOString(),
+        total: photos.length,
+        shards: entries
+    };
+    return { manifest, shards };
+}
+
+/**
+ * 分割ファイルと manifest.json を書き出し、使われなくなった分割ファイルを削除する
+ * ログインしていない閲覧者が見られない写真（審査中・却下・公開範囲の限定・同意の期限切れ）は含めない
+ * manifest.json は最後に置き換える（読み込み中のアプリが存在しないファイルを参照しないように）
+ */
+export async function writePhotoShards(photos, options) {
+    const { manifest, shards } = buildPhotoShards(selectPublicPhotos(photos), options);
+    await mkdir(SHARDS_DIR, { recursive: true });
+
+    for (const [file, shardPhotos] of shards) {
+        await writeAtomically(path.join(SHARDS_DIR, file), JSON.stringify(shardPhotos, null, 2) + '\n');
+    }
+    await writeAtomically(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+
+    const staleFiles = (await readdir(SHARDS_DIR))
+        .filter(file => file.endsWith('.json') && file !== path.basename(MANIFEST_FILE) && !shards.has(file));
+    await Promise.all(staleFiles.map(file => unlink(path.join(SHARDS_DIR, file))));
+
+    return manifest;
+}
+
+/**
+ * 分割済みなら、前回と同じ分け方で作り直す（分割していなければ何もしない）
+ * @returns {Promise<Object|null>} 書き出した manifest
+ */
+export async function refreshPhotoShards(photos) {
+    let previous;
+    try {
+        previous = JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const by = SHARD_STRATEGIES.includes(previous.shard_by) ? previous.shard_by : 'month';
+    const areas = by === 'area' ? JSON.parse(await readFile(AREAS_FILE, 'utf8')) : [];
+    return writePhotoShards(photos, { by, areas });
+}
+
+/**
+ * 撮影月（YYYY-MM）。撮影日がない写真は 'unknown'
+ */
+function getMonthShardId(photo) {
+    return typeof photo.taken_at === 'string' && /^\d{4}-\d{2}/.test(photo.taken_at) ?
+        photo.taken_at.slice(0, 7) :
+        'unknown';
+}
+
+/**
+ * 写真の area_id、なければ中心が最も近い有効なエリア（範囲の判定はアプリが行う）
+ */
+function getAreaShardId(photo, areas) {
+    const activeAreas = areas.filter(area => area.is_active !== false);
+    if (photo.area_id && activeAreas.some(area => area.id === photo.area_id)) {
+        return photo.area_id;
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    activeAreas.forEach(area => {
+        if (!Number.isFinite(area.center_lat) || !Number.isFinite(area.center_lng)) return;
+        const distance = distanceKm(photo.latitude, photo.longitude, area.center_lat, area.center_lng);
+        if (distance < nearestDistance) {
+            nearest = area;
+            nearestDistance = distance;
+        }
+    });
+    return nearest ? nearest.id : 'unassigned';
+}
+
+/**
+ * 写真の範囲（緯度経度のない写真は除く。1枚もなければ null）
+ */
+function getPhotoBounds(photos) {
+    const located = photos.filter(photo => Number.isFinite(photo.latitude) && Number.isFinite(photo.longitude));
+    if (located.length === 0) return null;
+
+    const latitudes = located.map(photo => photo.latitude);
+    const longitudes = located.map(photo => photo.longitude);
+    return {
+        south: Math.min(...latitudes),
+        west: Math.min(...longitudes),
+        north: Math.max(...latitudes),
+        east: Math.max(...longitudes)
+    };
+}
+
+// js/utils/GeoUtils.js の distanceKm と同じ（ハバーサイン公式）
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * (Math.PI / 180);
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+async function writeAtomically(file, content) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await writeFile(tempFile, content, 'utf8');
+    await rename(tempFile, file);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        const byIndex = process.argv.indexOf('--by');
+        const by = byIndex === -1 ? 'month' : process.argv[byIndex + 1];
+        const photos = await readPhotoStore();
+        const areas = by === 'area' ? JSON.parse(await readFile(AREAS_FILE, 'utf8')) : [];
+
+        const manifest = await writePhotoShards(photos, { by, areas });
+        console.log(`📦 Generated ${manifest.shards.length} shards by ${by} in ${path.relative(process.cwd(), SHARDS_DIR)} (${manifest.total} photos)`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
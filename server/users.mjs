@@ -0,0 +1,66 @@
+/**
+ * ローカルサーバーの利用者を管理するコマンド（server/users.json を更新）
+ *
+ * node server/users.mjs add <username> <role>   追加・パスワードとロールの変更（パスワードは入力を求める）
+ * node server/users.mjs remove <username>       削除
+ * node server/users.mjs list                    一覧
+ *
+ * role: viewer / contributor / moderator / admin
+ */
+import { createInterface } from 'node:readline/promises';
+import { ROLES, USERS_FILE, readUsers, writeUsers, hashPassword } from './auth.mjs';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function promptPassword(username) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        return await rl.question(`${username} のパスワード: `);
+    } finally {
+        rl.close();
+    }
+}
+
+async function main([command, username, role]) {
+    const users = await readUsers();
+
+    if (command === 'list') {
+        users.forEach(user => console.log(`${user.username}\t${user.role}`));
+        return;
+    }
+
+    if (command === 'add' && username && ROLES.includes(role)) {
+        const password = await promptPassword(username);
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`パスワードは${MIN_PASSWORD_LENGTH}文字以上にしてください`);
+        }
+
+        const user = { username, role, password_hash: await hashPassword(password) };
+        const index = users.findIndex(u => u.username === username);
+        if (index === -1) {
+            users.push(user);
+        } else {
+            users[index] = user;
+        }
+        await writeUsers(users);
+        console.log(`👤 ${index === -1 ? 'Added' : 'Updated'} ${username} (${role}) in ${USERS_FILE}`);
+        return;
+    }
+
+    if (command === 'remove' && username) {
+        const remaining = users.filter(u => u.username !== username);
+        if (remaining.length === users.length) {
+            throw new Error(`${username} は登録されていません`);
+        }
+        await writeUsers(remaining);
+        console.log(`👤 Removed ${username}`);
+        return;
+    }
+
+    throw new Error(`使い方: node server/users.mjs add <username> <${ROLES.join('|')}> | remove <username> | list`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,279 @@
+/**
+ * 🖥️ 太子町フォトマップの Service Worker（オフライン対応）
+ *
+ * インストール時にアプリ本体（HTML・CSS・JS・Leaflet など）と photos.json / areas.json を保存し、
+ * 電波の届かない場所でも地図と写真を表示できるようにする
+ *
+ * - 地図タイル・写真（サムネイル・アップロード画像）: キャッシュ優先
+ * - データ（data/*.json・写真の分割ファイル data/photos/・api/photos・api/areas）: ネットワーク優先（つながらなければ保存済みのデータ）
+ * - アプリ本体: 保存済みのものをすぐ返し、裏で更新する
+ *
+ * 太子町全域の地図タイル（ズーム12〜17）とサムネイルの一括保存は、
+ * ページ側の OfflineManager.saveForOffline() が同じキャッシュに書き込む
+ *
+ * アプリ本体のファイルを追加・変更した場合は SHELL_VERSION を上げる（古いキャッシュは有効化時に削除）
+ */
+const SHELL_VERSION = 'v14';
+
+// js/config/constants.js の APP_CONFIG.OFFLINE.CACHES と同じ（SHELL 以外はバージョンを上げても残す）
+const CACHE_PREFIX = 'taishi-';
+const CACHE_NAMES = {
+    SHELL: `${CACHE_PREFIX}shell-${SHELL_VERSION}`,
+    DATA: `${CACHE_PREFIX}data`,
+    IMAGES: `${CACHE_PREFIX}images`,
+    TILES: `${CACHE_PREFIX}tiles`
+};
+
+// js/config/constants.js の APP_CONFIG.MAP.TILE_URL と同じホスト
+const TILE_HOST = 'tile.openstreetmap.org';
+const NETWORK_TIMEOUT_MS = 4000;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/style.css',
+    'assets/ymca-logo.svg',
+    'js/app-clean.js',
+    'js/core/AppInitializer.js',
+    'js/config/constants.js',
+    'js/config/embeddedAreas.js',
+    'js/modules/AreaEditor.js',
+    'js/modules/AuthManager.js',
+    'js/modules/DataManager.js',
+    'js/modules/FaceBlurEditor.js',
+    'js/modules/FeedbackDialog.js',
+    'js/modules/LoginDialog.js',
+    'js/modules/MapManager.js',
+    'js/modules/MarkerManager.js',
+    'js/modules/ModerationPanel.js',
+    'js/modules/OfflineManager.js',
+    'js/modules/PhotoModal.js',
+    'js/modules/PhotoPagination.js',
+    'js/modules/PhotoPinManager.js',
+    'js/modules/PhotoRenderer.js',
+    'js/modules/PhotoUploader.js',
+    'js/modules/TimeSlider.js',
+    'js/modules/UIManager.js',
+    'js/modules/UrlRouter.js',
+    'js/utils/Analytics.js',
+    'js/utils/ClusterIndex.js',
+    'js/utils/DataValidator.js',
+    'js/utils/ErrorHandler.js',
+    'js/utils/EventEmitter.js',
+    'js/utils/ExifReader.js',
+    'js/utils/GeoUtils.js',
+    'js/utils/HeatmapLayer.js',
+    'js/utils/ImageAnonymizer.js',
+    'js/utils/ImageHandler.js',
+    'js/utils/ImageRenderer.js',
+    'js/utils/ImageResizer.js',
+    'js/utils/LogoProcessor.js',
+    'js/utils/PersistentCache.js',
+    'js/utils/PhotoConsent.js',
+    'js/utils/PhotoQuery.js',
+    'js/utils/ProgressManager.js',
+    'js/utils/SpatialIndex.js',
+    'js/utils/StorageAdapter.js',
+    'js/utils/VirtualScroller.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css'
+];
+
+// APIサーバーがなければ data/photos.json、あれば api/photos から読み込むため、両方を保存しておく
+const DATA_FILES = ['data/photos.json', 'data/areas.json', 'api/photos', 'api/areas'];
+
+// 静的ファイルとAPIは同じ内容なので、片方が保存されていなければもう片方で代用する
+const DATA_ALIASES = {
+    'data/photos.json': 'api/photos',
+    'api/photos': 'data/photos.json',
+    'data/areas.json': 'api/areas',
+    'api/areas': 'data/areas.json'
+};
+
+// 写真の分割ファイル（manifest.json と撮影月・エリアごとのファイル）
+const SHARD_PATH_PREFIX = 'data/photos/';
+const IMAGE_PATH_PREFIX = 'uploads/';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const [shellCount, dataCount] = await Promise.all([
+            precache(CACHE_NAMES.SHELL, APP_SHELL),
+            precache(CACHE_NAMES.DATA, DATA_FILES)
+        ]);
+        console.log(`📴 Service worker installed: ${shellCount}/${APP_SHELL.length} app files, ${dataCount}/${DATA_FILES.length} data files`);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = Object.values(CACHE_NAMES);
+        const stale = (await caches.keys())
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name));
+        await Promise.all(stale.map(name => caches.delete(name)));
+        if (stale.length > 0) {
+            console.log(`📴 Removed old caches: ${stale.join(', ')}`);
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(cacheFirst(request, CACHE_NAMES.TILES));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        const path = getAppPath(url);
+
+        if (path in DATA_ALIASES) {
+            // ログイン中の一覧（公開範囲が閲覧者と異なる）は保存しない
+            if (request.headers.has('Authorization')) return;
+            event.respondWith(networkFirst(request, CACHE_NAMES.DATA, DATA_ALIASES[path]));
+            return;
+        }
+        if (path.startsWith(SHARD_PATH_PREFIX)) {
+            event.respondWith(networkFirst(request, CACHE_NAMES.DATA));
+            return;
+        }
+        if (path.startsWith('api/')) return;
+        if (path.startsWith(IMAGE_PATH_PREFIX)) {
+            event.respondWith(cacheFirst(request, CACHE_NAMES.IMAGES));
+            return;
+        }
+        if (request.mode === 'navigate') {
+            event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.SHELL, 'index.html'));
+            return;
+        }
+        event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.SHELL));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, CACHE_NAMES.IMAGES));
+        return;
+    }
+
+    // CDN（Leaflet・Font Awesome とそのフォントなど）
+    event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.SHELL));
+});
+
+/**
+ * URLの一覧をキャッシュに保存（取得できないものがあってもインストールは続ける）
+ * @returns {Promise<number>} 保存できた件数
+ */
+async function precache(cacheName, urls) {
+    const cache = await caches.open(cacheName);
+    const results = await Promise.allSettled(urls.map(async (url) => {
+        // CDNの Leaflet は integrity 付きで読み込むため、中身を確認できるCORSで取得する
+        const response = await fetch(new Request(url, { mode: 'cors', cache: 'reload' }));
+        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+        await cache.put(url, response);
+    }));
+    return results.filter(result => result.status === 'fulfilled').length;
+}
+
+/**
+ * キャッシュ優先（なければ取得して保存）
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * ネットワーク優先（つながらない・応答が遅い場合は保存済みのもの）
+ * @param {string} [aliasPath] - 保存されていない場合に代わりに使うパス
+ */
+async function networkFirst(request, cacheName, aliasPath) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+        // ページが ETag で更新を確認した場合（DataManager）の 304 はそのまま返す
+        if (response.status === 304) return response;
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            return response;
+        }
+        // APIサーバーを止めた後の 404 などは保存済みのデータで代用する
+        return (await matchCached(cache, request, aliasPath)) || response;
+    } catch (error) {
+        const cached = await matchCached(cache, request, aliasPath);
+        if (cached) {
+            console.log(`📴 Offline: serving cached ${getAppPath(new URL(request.url))}`);
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 保存済みのものをすぐ返し、裏で取得して更新する（保存されていなければ取得を待つ）
+ * @param {string} [fallbackPath] - 取得も保存済みもない場合に使うパス（画面遷移の index.html）
+ */
+async function staleWhileRevalidate(request, cacheName, fallbackPath) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request).then(async (response) => {
+        if (isCacheable(response)) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+
+    try {
+        return await update;
+    } catch (error) {
+        const fallback = fallbackPath && await cache.match(new URL(fallbackPath, self.registration.scope).href);
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+async function matchCached(cache, request, aliasPath) {
+    return (await cache.match(request)) ||
+        (aliasPath ? await cache.match(new URL(aliasPath, self.registration.scope).href) : undefined);
+}
+
+function fetchWithTimeout(request, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+        fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+/**
+ * 保存してよい応答か（エラー応答は保存しない。CORSなしの画像は中身を確認できないが保存する）
+ */
+function isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+}
+
+/**
+ * アプリのディレクトリ（登録範囲）からの相対パス（クエリ文字列は除く）
+ */
+function getAppPath(url) {
+    const scopePath = new URL(self.registration.scope).pathname;
+    return url.pathname.startsWith(scopePath) ? url.pathname.slice(scopePath.length) : url.pathname;
+}